@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const db = require('../models');
+const siteRoles = require('../utils/siteRoles');
+const User = db.user;
+
+// Most users returned in one page
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Helper function to describe a user for the admin endpoints
+ * @param {Object} user - User document with populated roles
+ * @returns {Object}
+ */
+const toAdminUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  roles: (user.roles || []).map(role => role.name).filter(Boolean),
+  createdAt: user.createdAt
+});
+
+/**
+ * List the site roles and how many users hold each
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await siteRoles.ensureRoles();
+    const counts = await Promise.all(
+      siteRoles.SITE_ROLES.map(name => User.countDocuments({ roles: roles[name]._id }))
+    );
+
+    res.json({
+      success: true,
+      roles: siteRoles.SITE_ROLES.map((name, i) => ({ name, users: counts[i] }))
+    });
+  } catch (err) {
+    console.error('Error in getRoles:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * List users with their site roles, optionally only those holding `?role=`, or matching `?search=`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getUsers = async (req, res) => {
+  try {
+    const { role, search } = req.query;
+    const page = Math.max(1, Math.floor(Number(req.query.page)) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(req.query.limit)) || 20));
+    const filter = {};
+
+    if (role) {
+      const roleDoc = await siteRoles.getRole(role);
+      if (!roleDoc) {
+        return res.status(400).json({
+          success: false,
+          message: `role must be one of: ${siteRoles.SITE_ROLES.join(', ')}`
+        });
+      }
+      filter.roles = roleDoc._id;
+    }
+
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+
+    const skip = (page - 1) * limit;
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('username email roles createdAt')
+        .populate('roles', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      users: users.map(toAdminUser),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error in getUsers:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Give a user a site role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.grantRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const result = await siteRoles.grantRole(userId, req.body.role);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    console.log(`Admin ${req.userId} granted the ${req.body.role} role to user ${userId}`);
+    res.json(result);
+  } catch (err) {
+    console.error('Error in grantRole:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error granting role',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Take a site role away from a user. The last admin can't lose the admin role.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeRole = async (req, res) => {
+  try {
+    const { userId, role } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const result = await siteRoles.revokeRole(userId, role);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    console.log(`Admin ${req.userId} revoked the ${role} role from user ${userId}`);
+    res.json(result);
+  } catch (err) {
+    console.error('Error in revokeRole:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking role',
+      error: err.message
+    });
+  }
+};
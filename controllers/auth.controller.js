@@ -1,10 +1,54 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const db = require('../models');
+const groupInvites = require('../utils/groupInvites');
+const profileImages = require('../utils/profileImages');
+const accountTokens = require('../utils/accountTokens');
+const sessions = require('../utils/sessions');
+const twoFactor = require('../utils/twoFactor');
+const siteRoles = require('../utils/siteRoles');
+const { limiters, formatRetryAfter } = require('../utils/rateLimiter');
 const User = db.user;
 
-// Retrieve JWT secret from environment or use a default (in production, always use environment variable)
-const JWT_SECRET = process.env.JWT_SECRET || "bezkoder-secret-key";
+// Compared against when no account matches, so a failed login takes as long either way
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('freshshare-no-such-user', 8);
+
+const LOGIN_FAILED_MESSAGE = "Invalid username/email or password.";
+
+/**
+ * Accept a group invitation that came in with a signup or login request.
+ * A bad or expired invite never blocks the signup or login itself.
+ * @param {string} inviteToken - Token from the invite link
+ * @param {Object} user - User document
+ * @returns {Promise<Object|undefined>} - { success, message, groupId }, or undefined if there was no token
+ */
+const acceptInviteIfPresent = async (inviteToken, user) => {
+  if (!inviteToken) {
+    return undefined;
+  }
+  
+  try {
+    return await groupInvites.acceptInvite(inviteToken, user);
+  } catch (error) {
+    console.error("Invite acceptance error:", error);
+    return { success: false, message: "The invitation could not be accepted." };
+  }
+};
+
+/**
+ * Send an email verification link, logging rather than throwing if mail fails
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+const sendVerificationEmailSafely = async (user) => {
+  try {
+    await accountTokens.sendVerificationEmail(user);
+    return true;
+  } catch (error) {
+    console.error("Verification email error:", error);
+    return false;
+  }
+};
 
 /**
  * Register a new user
@@ -17,7 +61,7 @@ exports.signup = async (req, res) => {
     console.log('Signup request received:', req.body);
     
     // Validate request body
-    const { username, email, password, firstName, lastName, address, city, zipCode } = req.body;
+    const { username, email, password, firstName, lastName, address, city, zipCode, inviteToken } = req.body;
     
     if (!username || !email || !password) {
       console.log('Signup validation failed - missing required fields:', { 
@@ -65,10 +109,14 @@ exports.signup = async (req, res) => {
       hasZipCode: !!zipCode
     });
     
+    // Everyone starts with the default site role
+    const defaultRole = await siteRoles.getRole(siteRoles.DEFAULT_ROLE);
+
     const user = new User({
       username: username,
       email: email,
       password: hashedPassword,
+      roles: [defaultRole._id],
       firstName: firstName || '',
       lastName: lastName || '',
       location: {
@@ -83,10 +131,25 @@ exports.signup = async (req, res) => {
     await user.save();
     console.log('User saved successfully with ID:', user._id);
 
+    // Join the group the user was invited to, if they signed up from an invite link
+    const invite = await acceptInviteIfPresent(inviteToken, user);
+
+    // An accepted invite was sent to this address, so it is already confirmed;
+    // otherwise email a confirmation link. Mail problems never block the signup.
+    let verificationEmailSent = false;
+    if (invite && invite.success) {
+      await User.updateOne({ _id: user._id }, { $set: { emailVerified: true, emailVerifiedAt: new Date() } });
+    } else {
+      verificationEmailSent = await sendVerificationEmailSafely(user);
+    }
+
     // Return success response
     return res.status(201).json({
       success: true,
-      message: "User registered successfully!"
+      message: verificationEmailSent
+        ? "User registered successfully! Check your email to confirm your address."
+        : "User registered successfully!",
+      invite
     });
   } catch (error) {
     console.error("Registration error:", error);
@@ -99,6 +162,59 @@ exports.signup = async (req, res) => {
   }
 };
 
+/**
+ * Helper function to finish a login once the password (and 2FA code, if on) checked out:
+ * start a session, set the cookies and answer with the tokens and user info
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User document
+ * @param {string} inviteToken - Optional invite to accept
+ * @param {Object} extra - More fields for the response
+ */
+const completeLogin = async (req, res, user, inviteToken, extra = {}) => {
+  // Start a session for this device; the access token is short-lived and the refresh token renews it
+  const { accessToken, refreshToken } = await sessions.createSession(user, req, {
+    deviceName: req.body.deviceName
+  });
+  sessions.setAuthCookies(res, { accessToken, refreshToken });
+
+  // Create user object without password
+  const userResponse = {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+    firstName: user.firstName,
+    lastName: user.lastName,
+    profileImage: user.profileImage,
+    location: {
+      street: user.location.street,
+      city: user.location.city,
+      state: user.state,
+      zipCode: user.location.zipCode
+    },
+    phoneNumber: user.phoneNumber,
+    privacy: user.privacy || {},
+    notifications: user.notifications || {}
+  };
+
+  // Join the group the user was invited to, if they logged in from an invite link
+  const invite = await acceptInviteIfPresent(inviteToken, user);
+
+  // Return token and user info
+  return res.status(200).json({
+    success: true,
+    message: "Login successful!",
+    ...extra,
+    token: accessToken,
+    refreshToken,
+    expiresIn: sessions.ACCESS_TOKEN_MINUTES * 60,
+    user: userResponse,
+    invite
+  });
+};
+
 /**
  * Authenticate a user and generate JWT token
  * @param {Object} req - Express request object
@@ -107,76 +223,71 @@ exports.signup = async (req, res) => {
  */
 exports.login = async (req, res) => {
   try {
-    // Validate request body
-    const { username, password } = req.body;
-    
-    if (!username || !password) {
+    // Validate request body; `username` may hold either the username or the email address
+    const { password, inviteToken } = req.body;
+    const identifier = typeof (req.body.username || req.body.email) === 'string'
+      ? (req.body.username || req.body.email).trim()
+      : '';
+
+    if (!identifier || !password) {
       return res.status(400).json({ 
         success: false, 
-        message: "Username and password are required!" 
+        message: "Username or email and password are required!" 
       });
     }
 
-    // Find user by username
-    const user = await User.findOne({ username: username });
+    // Attempts are counted per username/email (existing or not) and per IP address
+    const accountKey = identifier.toLowerCase();
+    const [accountStatus, ipStatus] = await Promise.all([
+      limiters.loginAccount.check(accountKey),
+      limiters.loginIp.check(req.ip)
+    ]);
 
-    if (!user) {
-      return res.status(404).json({
+    if (!accountStatus.allowed || !ipStatus.allowed) {
+      const retryAfterMs = Math.max(accountStatus.retryAfterMs, ipStatus.retryAfterMs);
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      return res.status(429).json({
         success: false,
-        message: "User not found!"
+        message: `Too many failed login attempts. Please try again in ${formatRetryAfter(retryAfterMs)}.`
       });
     }
 
-    // Check password
-    const isPasswordValid = bcrypt.compareSync(password, user.password);
+    // Find user by username or email
+    const user = await User.findOne({
+      $or: [
+        { username: identifier },
+        { email: accountKey }
+      ]
+    });
+
+    // Check password; unknown accounts get the same answer as wrong passwords
+    const isPasswordValid = bcrypt.compareSync(password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+    if (!user || !isPasswordValid) {
+      await Promise.all([
+        limiters.loginAccount.record(accountKey),
+        limiters.loginIp.record(req.ip)
+      ]);
 
-    if (!isPasswordValid) {
       return res.status(401).json({
         success: false,
-        message: "Invalid password!"
+        message: LOGIN_FAILED_MESSAGE
       });
     }
 
-    // Generate JWT token (expires in 7 days)
-    const token = jwt.sign({ id: user._id }, JWT_SECRET, {
-      expiresIn: 7 * 24 * 60 * 60 // 7 days
-    });
-
-    // Set token as cookie with longer expiration (7 days)
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
-      sameSite: 'lax', // Changed from 'strict' to 'lax' to work better across pages
-      path: '/' // Ensure cookie is available on all paths
-    });
+    await limiters.loginAccount.reset(accountKey);
 
-    // Create user object without password
-    const userResponse = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      profileImage: user.profileImage,
-      location: {
-        street: user.location.street,
-        city: user.location.city,
-        state: user.state,
-        zipCode: user.location.zipCode
-      },
-      phoneNumber: user.phoneNumber,
-      privacy: user.privacy || {},
-      notifications: user.notifications || {}
-    };
+    // With 2FA on, the password only gets the user to the second step
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: "Enter the code from your authenticator app.",
+        twoFactorRequired: true,
+        twoFactorToken: twoFactor.issueLoginChallenge(user)
+      });
+    }
 
-    // Return token and user info
-    return res.status(200).json({
-      success: true,
-      message: "Login successful!",
-      token: token,
-      user: userResponse
-    });
+    return await completeLogin(req, res, user, inviteToken);
   } catch (error) {
     console.error("Login error:", error);
     return res.status(500).json({
@@ -213,6 +324,9 @@ exports.getUserProfile = async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+        roles: await siteRoles.getRoleNames(user),
         firstName: user.firstName,
         lastName: user.lastName,
         nickname: user.nickname,
@@ -278,11 +392,17 @@ exports.updateUserProfile = async (req, res) => {
     // Create update object
     const updateData = {};
     if (username) updateData.username = username;
+    // A new email address has to be confirmed again
+    const emailChanged = email && email.toLowerCase() !== req.user.email;
     if (email) updateData.email = email;
-    if (street) updateData.location.street = street;
-    if (city) updateData.location.city = city;
-    if (state) updateData.state = state;
-    if (zipCode) updateData.location.zipCode = zipCode;
+    if (emailChanged) {
+      updateData.emailVerified = false;
+      updateData.emailVerifiedAt = null;
+    }
+    if (street) updateData['location.street'] = street;
+    if (city) updateData['location.city'] = city;
+    if (state) updateData['location.state'] = state;
+    if (zipCode) updateData['location.zipCode'] = zipCode;
     if (phoneNumber) updateData.phoneNumber = phoneNumber;
     
     // Update user
@@ -299,6 +419,10 @@ exports.updateUserProfile = async (req, res) => {
       });
     }
     
+    if (emailChanged) {
+      await sendVerificationEmailSafely(updatedUser);
+    }
+    
     // Return updated user info without password
     return res.status(200).json({
       success: true,
@@ -310,7 +434,7 @@ exports.updateUserProfile = async (req, res) => {
         profileImage: updatedUser.profileImage,
         street: updatedUser.location.street,
         city: updatedUser.location.city,
-        state: updatedUser.state,
+        state: updatedUser.location.state,
         zipCode: updatedUser.location.zipCode,
         phoneNumber: updatedUser.phoneNumber
       }
@@ -324,3 +448,738 @@ exports.updateUserProfile = async (req, res) => {
     });
   }
 };
+
+/**
+ * Replace the current user's profile picture with an uploaded image
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateProfileImage = async (req, res) => {
+  try {
+    const file = req.files && req.files[0];
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please choose an image to upload."
+      });
+    }
+
+    const result = await profileImages.saveProfileImage(req.userId, file.buffer);
+    if (!result.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid image",
+        errors: result.errors
+      });
+    }
+
+    const previousImage = req.user.profileImage;
+    let updatedUser;
+    try {
+      updatedUser = await User.findByIdAndUpdate(
+        req.userId,
+        { $set: { profileImage: result.url } },
+        { new: true }
+      );
+    } catch (updateError) {
+      await profileImages.deleteProfileImage(result.url);
+      throw updateError;
+    }
+
+    if (!updatedUser) {
+      await profileImages.deleteProfileImage(result.url);
+      return res.status(404).json({
+        success: false,
+        message: "User not found!"
+      });
+    }
+
+    await profileImages.deleteProfileImage(previousImage);
+
+    return res.status(200).json({
+      success: true,
+      message: "Profile picture updated successfully!",
+      profileImage: updatedUser.profileImage
+    });
+  } catch (error) {
+    console.error("Update profile image error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while updating the profile picture.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm the user's email address with the token from the verification link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const result = await accountTokens.verifyEmail(req.body.token);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Your email address is confirmed!"
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while confirming your email address.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Send the current user a new email verification link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Your email address is already confirmed."
+      });
+    }
+
+    await accountTokens.sendVerificationEmail(req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: `A new confirmation link has been sent to ${req.user.email}.`
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while sending the confirmation email.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Email a password reset link. The response is the same whether or not the
+ * address has an account, so it can't be used to find out who is registered.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required!"
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user) {
+      try {
+        await accountTokens.sendPasswordResetEmail(user);
+      } catch (mailError) {
+        console.error("Password reset email error:", mailError);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "If an account uses that email address, a link to reset the password is on its way."
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while requesting a password reset.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Choose a new password with the token from a reset link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Check the password first so a typo doesn't use up the link
+    const validation = accountTokens.validatePassword(password);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: validation.errors
+      });
+    }
+
+    const redeemed = await accountTokens.redeemToken(token, 'password-reset');
+    if (!redeemed.success) {
+      return res.status(400).json({
+        success: false,
+        message: redeemed.message
+      });
+    }
+
+    const update = {
+      password: bcrypt.hashSync(password, 8),
+      passwordChangedAt: new Date()
+    };
+
+    // Opening the emailed link proves the user can read that inbox
+    const user = await User.findById(redeemed.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "This link is not valid or has expired"
+      });
+    }
+    if (user.email === redeemed.email && !user.emailVerified) {
+      update.emailVerified = true;
+      update.emailVerifiedAt = new Date();
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: update });
+
+    // Whoever knew the old password is logged out everywhere
+    await sessions.revokeUserSessions(user._id, { reason: 'password-change' });
+
+    try {
+      await accountTokens.sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error("Password changed email error:", mailError);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Your password has been reset. You can now log in with the new password."
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while resetting the password.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change the current user's password; the current password is required
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Current and new passwords are required!"
+      });
+    }
+
+    if (!bcrypt.compareSync(currentPassword, req.user.password)) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect!"
+      });
+    }
+
+    const validation = accountTokens.validatePassword(newPassword);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: validation.errors
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "The new password must be different from the current one."
+      });
+    }
+
+    await User.updateOne(
+      { _id: req.userId },
+      { $set: { password: bcrypt.hashSync(newPassword, 8), passwordChangedAt: new Date() } }
+    );
+
+    // Log out every other device; this one stays signed in
+    await sessions.revokeUserSessions(req.userId, { except: req.sessionId, reason: 'password-change' });
+
+    try {
+      await accountTokens.sendPasswordChangedEmail(req.user);
+    } catch (mailError) {
+      console.error("Password changed email error:", mailError);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Password changed successfully!"
+    });
+  } catch (error) {
+    console.error("Change password error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while changing the password.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token (from the body or the refresh cookie) for new tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    const refreshToken = req.body.refreshToken || (req.cookies && req.cookies[sessions.REFRESH_COOKIE]);
+    const result = await sessions.refreshSession(refreshToken, req);
+
+    if (!result.success) {
+      sessions.clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    sessions.setAuthCookies(res, result);
+
+    return res.status(200).json({
+      success: true,
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: sessions.ACCESS_TOKEN_MINUTES * 60
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while refreshing the session.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Log out: revoke the current session and clear the auth cookies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.logout = async (req, res) => {
+  try {
+    const refreshToken = req.body.refreshToken || (req.cookies && req.cookies[sessions.REFRESH_COOKIE]);
+    if (req.authSession) {
+      await sessions.revokeSession(req.authSession._id, req.authSession.user, 'logout');
+    } else {
+      await sessions.revokeByRefreshToken(refreshToken, 'logout');
+    }
+
+    sessions.clearAuthCookies(res);
+
+    return res.status(200).json({
+      success: true,
+      message: "Logged out successfully!"
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred during logout.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the current user's active sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const activeSessions = await sessions.listSessions(req.userId);
+
+    return res.status(200).json({
+      success: true,
+      sessions: activeSessions.map(session => sessions.toSessionResponse(session, req.sessionId))
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while fetching sessions.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const revoked = mongoose.Types.ObjectId.isValid(sessionId) &&
+      await sessions.revokeSession(sessionId, req.userId, 'user');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found!"
+      });
+    }
+
+    const isCurrent = req.sessionId.toString() === sessionId;
+    if (isCurrent) {
+      sessions.clearAuthCookies(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Session revoked successfully!",
+      current: isCurrent
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while revoking the session.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke all of the current user's sessions. With `?keepCurrent=true` this device stays signed in.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revokedCount = await sessions.revokeUserSessions(req.userId, {
+      except: keepCurrent ? req.sessionId : undefined,
+      reason: 'user'
+    });
+
+    if (!keepCurrent) {
+      sessions.clearAuthCookies(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: keepCurrent ? "Logged out of all other devices." : "Logged out of all devices.",
+      revokedCount
+    });
+  } catch (error) {
+    console.error("Revoke all sessions error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while revoking sessions.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Second login step for users with 2FA: exchange the token from `login` and a code
+ * from the authenticator app (or a recovery code) for a session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode, inviteToken } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: "A code from your authenticator app or a recovery code is required!"
+      });
+    }
+
+    const userId = twoFactor.verifyLoginChallenge(twoFactorToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Your login has expired. Please log in again."
+      });
+    }
+
+    const status = await limiters.twoFactor.check(userId);
+    if (!status.allowed) {
+      res.set('Retry-After', String(Math.ceil(status.retryAfterMs / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: `Too many incorrect codes. Please try again in ${formatRetryAfter(status.retryAfterMs)}.`
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Your login has expired. Please log in again."
+      });
+    }
+
+    const result = await twoFactor.verify(user, { code, recoveryCode });
+    if (!result.success) {
+      await limiters.twoFactor.record(userId);
+      return res.status(401).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await limiters.twoFactor.reset(userId);
+
+    return await completeLogin(req, res, user, inviteToken, {
+      twoFactorMethod: result.method,
+      recoveryCodesRemaining: result.recoveryCodesRemaining
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred during login.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the current user's 2FA status, including groups that require it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const settings = req.user.twoFactor || {};
+    const requiredBy = await twoFactor.groupsRequiringTwoFactor(req.userId);
+
+    return res.status(200).json({
+      success: true,
+      twoFactor: {
+        enabled: !!settings.enabled,
+        enabledAt: settings.enabledAt,
+        setupPending: !settings.enabled && !!settings.pendingSecret,
+        recoveryCodesRemaining: (settings.recoveryCodes || []).filter(entry => !entry.usedAt).length,
+        requiredBy: requiredBy.map(group => ({ id: group._id, name: group.name }))
+      }
+    });
+  } catch (error) {
+    console.error("Get two-factor status error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while fetching two-factor status.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Start 2FA setup: returns a new secret and the provisioning URI for an authenticator app
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already on!"
+      });
+    }
+
+    const { secret, uri } = await twoFactor.startSetup(req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: "Add the account to your authenticator app, then confirm with a code from it.",
+      secret,
+      provisioningUri: uri
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while setting up two-factor authentication.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Turn on 2FA with a code from the authenticator app. The recovery codes are only shown here.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactor.enable(req.user, req.body.code);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication is on. Keep your recovery codes somewhere safe.",
+      recoveryCodes: result.recoveryCodes
+    });
+  } catch (error) {
+    console.error("Enable two-factor error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while turning on two-factor authentication.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Turn off 2FA; needs the password and a code (or recovery code).
+ * Not allowed while a group the user administers requires it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Your password and a code from your authenticator app or a recovery code are required!"
+      });
+    }
+
+    // Only wrong passwords and codes count towards the lockout
+    const limitKey = req.userId.toString();
+    const status = await limiters.twoFactorManage.check(limitKey);
+    if (!status.allowed) {
+      res.set('Retry-After', String(Math.ceil(status.retryAfterMs / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: `Too many incorrect attempts. Please try again in ${formatRetryAfter(status.retryAfterMs)}.`
+      });
+    }
+
+    if (!bcrypt.compareSync(password, req.user.password)) {
+      await limiters.twoFactorManage.record(limitKey);
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect!"
+      });
+    }
+
+    const requiredBy = await twoFactor.groupsRequiringTwoFactor(req.userId);
+    if (requiredBy.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: "Groups you administer require two-factor authentication.",
+        requiredBy: requiredBy.map(group => ({ id: group._id, name: group.name }))
+      });
+    }
+
+    const result = await twoFactor.verify(req.user, { code, recoveryCode });
+    if (!result.success) {
+      await limiters.twoFactorManage.record(limitKey);
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await limiters.twoFactorManage.reset(limitKey);
+    await twoFactor.disable(req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication is off."
+    });
+  } catch (error) {
+    console.error("Disable two-factor error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while turning off two-factor authentication.",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replace the recovery codes; needs a code from the authenticator app
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    // Only wrong codes count towards the lockout
+    const limitKey = req.userId.toString();
+    const status = await limiters.twoFactorManage.check(limitKey);
+    if (!status.allowed) {
+      res.set('Retry-After', String(Math.ceil(status.retryAfterMs / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: `Too many incorrect codes. Please try again in ${formatRetryAfter(status.retryAfterMs)}.`
+      });
+    }
+
+    const result = await twoFactor.verify(req.user, { code: req.body.code });
+    if (!result.success) {
+      await limiters.twoFactorManage.record(limitKey);
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await limiters.twoFactorManage.reset(limitKey);
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: "New recovery codes created. The old ones no longer work.",
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while creating recovery codes.",
+      error: error.message
+    });
+  }
+};
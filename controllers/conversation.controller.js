@@ -0,0 +1,434 @@
+const mongoose = require('mongoose');
+const db = require('../models');
+const messageAttachments = require('../utils/messageAttachments');
+const storage = require('../utils/storage');
+const Conversation = db.conversation;
+const Listing = db.listing;
+const Group = db.group;
+const User = db.user;
+
+// Most conversations or messages returned in one page
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Helper function to read `?page=` and `?limit=` as whole numbers within range
+ * @param {Object} query - Express request query
+ * @returns {Object} - { page, limit }
+ */
+const getPagination = (query) => ({
+  page: Math.max(1, Math.floor(Number(query.page)) || 1),
+  limit: Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(query.limit)) || 20))
+});
+
+/**
+ * Helper function to check if a user takes part in a conversation
+ * @param {Object} conversation - Conversation document
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const isParticipant = (conversation, userId) => {
+  return conversation.participants.some(p => (p._id || p).toString() === userId.toString());
+};
+
+/**
+ * Helper function to build the aggregation expression counting messages
+ * the user has not read yet (messages they sent never count as unread)
+ * @param {ObjectId} userId - User ID
+ * @returns {Object} - Aggregation expression
+ */
+const unreadCountExpression = (userId) => ({
+  $size: {
+    $filter: {
+      input: { $ifNull: ['$messages', []] },
+      as: 'message',
+      cond: {
+        $and: [
+          { $ne: ['$$message.sender', userId] },
+          { $not: [{ $in: [userId, { $ifNull: ['$$message.readBy.user', []] }] }] }
+        ]
+      }
+    }
+  }
+});
+
+/**
+ * Start a conversation with a listing's seller or a fellow group member.
+ * Reuses the existing 1:1 conversation between the two users if there is one.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.startConversation = async (req, res) => {
+  try {
+    const { listingId, groupId, userId, content } = req.body;
+    let recipientId = null;
+    let title = '';
+
+    if (listingId) {
+      const listing = await Listing.findById(listingId).select('title seller');
+      if (!listing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Listing not found'
+        });
+      }
+      recipientId = listing.seller;
+      title = listing.title;
+    } else if (groupId && userId) {
+      const group = await Group.findById(groupId).select('members');
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      const memberIds = group.members.map(member => member.toString());
+      if (!memberIds.includes(req.userId.toString()) || !memberIds.includes(userId.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only message members of groups you belong to'
+        });
+      }
+      recipientId = userId;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'A listingId, or a groupId and userId, is required'
+      });
+    }
+
+    if (recipientId.toString() === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot start a conversation with yourself'
+      });
+    }
+
+    const recipient = await User.findById(recipientId).select('_id');
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Reuse an existing 1:1 conversation between the two users
+    let conversation = await Conversation.findOne({
+      isGroupChat: false,
+      participants: { $all: [req.userId, recipient._id], $size: 2 }
+    });
+    const created = !conversation;
+
+    if (!conversation) {
+      conversation = new Conversation({
+        title,
+        participants: [req.userId, recipient._id],
+        isGroupChat: false
+      });
+    }
+
+    if (content && content.trim()) {
+      const now = new Date();
+      conversation.messages.push({
+        sender: req.userId,
+        content: content.trim(),
+        readBy: [{ user: req.userId, readAt: now }],
+        createdAt: now
+      });
+      conversation.lastMessage = { content: content.trim(), sender: req.userId, createdAt: now };
+    }
+
+    await conversation.save();
+    await conversation.populate('participants', 'username profileImage');
+
+    const conversationObj = conversation.toObject();
+    delete conversationObj.messages;
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      conversation: conversationObj
+    });
+  } catch (err) {
+    console.error('Error in startConversation:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting conversation',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * List the current user's conversations, most recently active first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getConversations = async (req, res) => {
+  try {
+    const { page, limit } = getPagination(req.query);
+    const userId = new mongoose.Types.ObjectId(req.userId);
+    const skip = (page - 1) * limit;
+
+    const conversations = await Conversation.aggregate([
+      { $match: { participants: userId } },
+      // Conversations without messages yet sort by when they were started
+      { $addFields: {
+        unreadCount: unreadCountExpression(userId),
+        lastActivity: { $ifNull: ['$lastMessage.createdAt', '$createdAt'] }
+      } },
+      { $project: { messages: 0 } },
+      { $sort: { lastActivity: -1 } },
+      { $skip: skip },
+      { $limit: limit }
+    ]);
+
+    await Conversation.populate(conversations, [
+      { path: 'participants', select: 'username profileImage' },
+      { path: 'lastMessage.sender', select: 'username' }
+    ]);
+
+    const total = await Conversation.countDocuments({ participants: userId });
+
+    res.json({
+      success: true,
+      conversations,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error in getConversations:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conversations',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Get unread message counts across all of the current user's conversations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getUnreadCounts = async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.userId);
+
+    const counts = await Conversation.aggregate([
+      { $match: { participants: userId } },
+      { $project: { unreadCount: unreadCountExpression(userId) } },
+      { $match: { unreadCount: { $gt: 0 } } }
+    ]);
+
+    res.json({
+      success: true,
+      total: counts.reduce((sum, c) => sum + c.unreadCount, 0),
+      conversations: counts.map(c => ({ conversationId: c._id, unreadCount: c.unreadCount }))
+    });
+  } catch (err) {
+    console.error('Error in getUnreadCounts:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unread counts',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Page through a conversation's messages, newest page first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMessages = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page, limit } = getPagination(req.query);
+
+    const conversation = await Conversation.findById(id).select('participants');
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (!isParticipant(conversation, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a participant in this conversation'
+      });
+    }
+
+    const [{ total }] = await Conversation.aggregate([
+      { $match: { _id: conversation._id } },
+      { $project: { total: { $size: '$messages' } } }
+    ]);
+
+    // Messages are stored oldest first, so pages are sliced from the end
+    const start = Math.max(total - page * limit, 0);
+    const count = Math.min(limit, total - (page - 1) * limit);
+    let messages = [];
+
+    if (count > 0) {
+      const paged = await Conversation.findById(id, { messages: { $slice: [start, count] } })
+        .populate('messages.sender', 'username profileImage');
+      messages = paged.messages;
+    }
+
+    res.json({
+      success: true,
+      messages: await messageAttachments.withSignedAttachments(id, messages),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error in getMessages:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching messages',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Send a message in a conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.sendMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content, attachments } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message content is required'
+      });
+    }
+
+    const conversation = await Conversation.findById(id).select('participants');
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (!isParticipant(conversation, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a participant in this conversation'
+      });
+    }
+
+    // Uploaded files are stored privately; clients can only send links directly
+    const storedFiles = await messageAttachments.saveAttachments(id, req.files);
+
+    const now = new Date();
+    const message = {
+      _id: new mongoose.Types.ObjectId(),
+      sender: req.userId,
+      content: content.trim(),
+      attachments: [...messageAttachments.linkAttachments(attachments), ...storedFiles],
+      readBy: [{ user: req.userId, readAt: now }],
+      createdAt: now
+    };
+
+    // $push keeps concurrent senders from overwriting each other
+    try {
+      await Conversation.updateOne(
+        { _id: id },
+        {
+          $push: { messages: message },
+          $set: { lastMessage: { content: message.content, sender: req.userId, createdAt: now } }
+        }
+      );
+    } catch (updateError) {
+      await storage.remove(storedFiles);
+      throw updateError;
+    }
+
+    const [sentMessage] = await messageAttachments.withSignedAttachments(id, [message]);
+
+    res.status(201).json({
+      success: true,
+      message: sentMessage
+    });
+  } catch (err) {
+    console.error('Error in sendMessage:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending message',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Mark messages in a conversation as read by the current user.
+ * Marks everything when no messageIds are given.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.markAsRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { messageIds } = req.body;
+
+    const conversation = await Conversation.findById(id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (!isParticipant(conversation, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a participant in this conversation'
+      });
+    }
+
+    const userId = req.userId.toString();
+    const onlyIds = Array.isArray(messageIds) ? messageIds.map(String) : null;
+    const now = new Date();
+    let markedCount = 0;
+
+    conversation.messages.forEach(message => {
+      if (onlyIds && !onlyIds.includes(message._id.toString())) return;
+      if (message.sender.toString() === userId) return;
+      if (message.readBy.some(receipt => receipt.user && receipt.user.toString() === userId)) return;
+
+      message.readBy.push({ user: req.userId, readAt: now });
+      markedCount++;
+    });
+
+    if (markedCount > 0) {
+      await conversation.save();
+    }
+
+    res.json({
+      success: true,
+      markedCount
+    });
+  } catch (err) {
+    console.error('Error in markAsRead:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking messages as read',
+      error: err.message
+    });
+  }
+};
@@ -0,0 +1,330 @@
+const Group = require('../models/group.model');
+const User = require('../models/user.model');
+const MembershipRequest = require('../models/membership-request.model');
+const GroupInvite = require('../models/group-invite.model');
+const membership = require('../utils/groupMembership');
+const { getGroupRole, outranks } = require('../utils/groupPermissions');
+
+// Roles that can be assigned with updateMemberRole; ownership is transferred separately
+const ASSIGNABLE_ROLES = ['admin', 'moderator', 'member'];
+
+/**
+ * Helper function to check that the current user may act on another member.
+ * Nobody acts on themselves here, and everyone acts only on people ranked below them.
+ * @returns {Object|null} - { status, message } if not allowed
+ */
+const checkCanActOn = (req, targetId, action) => {
+  if (targetId.toString() === req.userId.toString()) {
+    return { status: 400, message: `You cannot ${action} yourself` };
+  }
+
+  const targetRole = getGroupRole(req.group, targetId);
+  if (targetRole && !outranks(req.groupRole, targetRole)) {
+    return { status: 403, message: `You cannot ${action} someone with the ${targetRole} role` };
+  }
+
+  return null;
+};
+
+/**
+ * Promote or demote a member (owner and admins; admins can't change other admins)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const { id: groupId, userId } = req.params;
+    const { role } = req.body;
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}. Use the ownership endpoint to change the owner.`
+      });
+    }
+
+    if (!getGroupRole(req.group, userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this group'
+      });
+    }
+
+    const notAllowed = checkCanActOn(req, userId, 'change the role of');
+    if (notAllowed) {
+      return res.status(notAllowed.status).json({ success: false, message: notAllowed.message });
+    }
+
+    // Admins can hand out roles up to their own
+    if (outranks(role, req.groupRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot make someone ${role}`
+      });
+    }
+
+    const group = await membership.setRole(groupId, userId, role);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this group'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Role changed to ${role}`,
+      member: {
+        _id: userId,
+        role: getGroupRole(group, userId)
+      }
+    });
+  } catch (err) {
+    console.error('Error in updateMemberRole:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing member role',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Hand the group over to another member (owner only).
+ * The new owner becomes an admin; the previous owner stays an admin.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.transferOwnership = async (req, res) => {
+  try {
+    const { id: groupId } = req.params;
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new owner\'s userId is required'
+      });
+    }
+
+    if (userId.toString() === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this group'
+      });
+    }
+
+    const newOwner = await User.findById(userId);
+    if (!newOwner || !getGroupRole(req.group, userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'The new owner must be a member of this group'
+      });
+    }
+
+    const group = await membership.transferOwnership(groupId, req.userId, userId);
+    if (!group) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ownership of this group has already changed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${newOwner.username} now owns the group`,
+      owner: userId
+    });
+  } catch (err) {
+    console.error('Error in transferOwnership:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error transferring ownership',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Remove a member from the group (owner, admins and moderators, for people ranked below them)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.removeMember = async (req, res) => {
+  try {
+    const { id: groupId, userId } = req.params;
+
+    if (!getGroupRole(req.group, userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this group'
+      });
+    }
+
+    const notAllowed = checkCanActOn(req, userId, 'remove');
+    if (notAllowed) {
+      return res.status(notAllowed.status).json({ success: false, message: notAllowed.message });
+    }
+
+    await membership.removeMember(groupId, userId);
+
+    // Offer the freed spot to the waitlist
+    await membership.processWaitlist(groupId);
+
+    res.json({
+      success: true,
+      message: 'Member removed from the group'
+    });
+  } catch (err) {
+    console.error('Error in removeMember:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing member',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * List users banned from the group (owner and admins)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBans = async (req, res) => {
+  try {
+    await req.group.populate([
+      { path: 'bannedUsers.user', select: 'username email' },
+      { path: 'bannedUsers.bannedBy', select: 'username' }
+    ]);
+
+    res.json({
+      success: true,
+      bans: req.group.bannedUsers
+    });
+  } catch (err) {
+    console.error('Error in getBans:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting banned users',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Ban a user from the group, removing them if they are a member (owner and admins)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.banMember = async (req, res) => {
+  try {
+    const { id: groupId } = req.params;
+    const { userId, reason } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId is required'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const notAllowed = checkCanActOn(req, userId, 'ban');
+    if (notAllowed) {
+      return res.status(notAllowed.status).json({ success: false, message: notAllowed.message });
+    }
+
+    // The filter skips users who are already banned
+    const group = await Group.findOneAndUpdate(
+      { _id: groupId, 'bannedUsers.user': { $ne: userId } },
+      { $push: { bannedUsers: { user: userId, bannedBy: req.userId, reason, bannedAt: new Date() } } },
+      { new: true, runValidators: true }
+    );
+
+    if (!group) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already banned from this group'
+      });
+    }
+
+    await Promise.all([
+      membership.removeMember(groupId, userId),
+      MembershipRequest.updateMany(
+        { group: groupId, user: userId, status: { $in: ['pending', 'waitlisted'] } },
+        { $set: { status: 'rejected', reason: 'Banned from the group', reviewedBy: req.userId, reviewedAt: new Date() } }
+      ),
+      GroupInvite.updateMany(
+        { group: groupId, email: user.email, status: 'pending' },
+        { $set: { status: 'revoked', revokedAt: new Date() } }
+      )
+    ]);
+
+    // Offer any freed spot to the waitlist
+    await membership.processWaitlist(groupId);
+
+    res.json({
+      success: true,
+      message: `${user.username} has been banned from the group`
+    });
+  } catch (err) {
+    console.error('Error in banMember:', err);
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(err.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error banning member',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Lift a ban (owner and admins)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.unbanMember = async (req, res) => {
+  try {
+    const { id: groupId, userId } = req.params;
+
+    const group = await Group.findOneAndUpdate(
+      { _id: groupId, 'bannedUsers.user': userId },
+      { $pull: { bannedUsers: { user: userId } } },
+      { new: true }
+    );
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not banned from this group'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ban lifted'
+    });
+  } catch (err) {
+    console.error('Error in unbanMember:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error lifting ban',
+      error: err.message
+    });
+  }
+};
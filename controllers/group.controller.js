@@ -1,5 +1,30 @@
 const Group = require('../models/group.model');
 const User = require('../models/user.model');
+const Order = require('../models/order.model');
+const MembershipRequest = require('../models/membership-request.model');
+const GroupInvite = require('../models/group-invite.model');
+const membership = require('../utils/groupMembership');
+const { can, getGroupRole, isBanned, needsTwoFactor } = require('../utils/groupPermissions');
+const groupInvites = require('../utils/groupInvites');
+const { emitToGroup } = require('../sockets');
+const { getNextDeliveryDay } = require('../utils/deliveryDates');
+const geo = require('../utils/geo');
+
+// Fields that can be changed through updateGroup; roles, membership and
+// ownership have their own endpoints
+const EDITABLE_GROUP_FIELDS = ['name', 'description', 'category', 'location', 'rules', 'deliveryDays', 'isPrivate'];
+
+/**
+ * Helper function to find update operators or dotted paths in a request body
+ * @param {*} value - Request body or one of its values
+ * @returns {Boolean} - Whether any key starts with $ or contains a dot
+ */
+const hasOperatorKeys = (value) => {
+  if (!value || typeof value !== 'object') return false;
+  return Object.keys(value).some(key =>
+    key.startsWith('$') || key.includes('.') || hasOperatorKeys(value[key])
+  );
+};
 
 /**
  * Helper function to validate group creation data
@@ -28,6 +53,21 @@ const validateGroupData = (data) => {
   };
 };
 
+/**
+ * Helper function to turn [longitude, latitude] from a request into a GeoJSON point
+ * @param {Object} location - Location from the request body
+ * @returns {Object} - Location with coordinates ready to save
+ */
+const normalizeGroupLocation = (location) => {
+  if (!location || !Array.isArray(location.coordinates)) {
+    return location;
+  }
+  return {
+    ...location,
+    coordinates: { type: 'Point', coordinates: location.coordinates.map(Number) }
+  };
+};
+
 /**
  * Helper function to populate group data
  * @param {Object} group - Group document
@@ -57,6 +97,9 @@ const populateGroupData = async (group, userId = null) => {
         groupObj.joinedAt = membership.joinedAt;
         groupObj.role = membership.role;
       }
+      groupObj.groupRole = getGroupRole(populatedGroup, userId);
+      // Admins of groups that require 2FA only have member rights until they turn it on
+      groupObj.twoFactorRequired = needsTwoFactor(populatedGroup, user);
     }
   }
   
@@ -112,22 +155,16 @@ exports.createGroup = async (req, res) => {
         street: (req.body.location.street || '').trim(),
         city: req.body.location.city.trim(),
         state: (req.body.location.state || '').trim(),
-        zipCode: req.body.location.zipCode.trim()
+        zipCode: req.body.location.zipCode.trim(),
+        coordinates: normalizeGroupLocation(req.body.location).coordinates
       },
       rules: (req.body.rules || '').trim(),
       deliveryDays: req.body.deliveryDays || [],
-      isPrivate: req.body.isPrivate || false,
-      createdBy: req.userId,
-      members: [req.userId],
-      admins: [req.userId]
+      isPrivate: req.body.isPrivate || false
     };
 
-    // Create and save the group
-    const group = new Group(groupData);
-    const savedGroup = await group.save();
-    
-    // Add user as admin
-    await user.joinGroup(savedGroup._id, 'admin');
+    // Create the group with the user as owner and admin on both sides
+    const savedGroup = await membership.createGroup(groupData, req.userId);
     
     // Return populated group data
     const populatedGroup = await populateGroupData(savedGroup, req.userId);
@@ -192,23 +229,40 @@ exports.getAllGroups = async (req, res) => {
       query['location.zipCode'] = req.query.zipCode;
     }
     
-    // Get groups with populated user data
-    const groups = await Group.find(query)
-      .populate('createdBy', 'username')
-      .populate('members', 'username')
-      .populate('admins', 'username')
-      .sort({ createdAt: -1 });
+    const nearQuery = geo.parseNearQuery(req.query);
+    if (!nearQuery.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid location filter',
+        errors: nearQuery.errors
+      });
+    }
+    
+    // Near-me searches come back nearest first with their distance
+    const groups = nearQuery.near
+      ? await Group.aggregate([
+        ...geo.geoNearStages(nearQuery.near, query),
+        { $project: { _id: 1, 'location.distance': 1 } }
+      ])
+      : await Group.find(query).select('_id').sort({ createdAt: -1 });
     
     console.log(`Found ${groups.length} groups`);
     
     // Populate group data with membership info if user is authenticated
     const groupsWithMeta = await Promise.all(
-      groups.map(group => populateGroupData(group, req.userId))
+      groups.map(async group => {
+        const groupObj = await populateGroupData(group, req.userId);
+        if (nearQuery.near) {
+          groupObj.location.distance = group.location.distance;
+        }
+        return groupObj;
+      })
     );
     
     res.json({
       success: true,
-      groups: groupsWithMeta
+      groups: groupsWithMeta,
+      distanceUnit: nearQuery.near ? nearQuery.near.unit : undefined
     });
   } catch (err) {
     console.error('Error in getAllGroups:', err);
@@ -278,7 +332,7 @@ exports.updateGroup = async (req, res) => {
     }
 
     // Check if user is admin
-    if (!group.admins.includes(req.userId)) {
+    if (!can(group, req.user, 'group.update')) {
       console.log('User not authorized to update group:', req.userId);
       return res.status(403).json({
         success: false,
@@ -286,9 +340,38 @@ exports.updateGroup = async (req, res) => {
       });
     }
 
+    const invalidFields = Object.keys(req.body).filter(
+      field => field.startsWith('$') || field.includes('.') ||
+        !EDITABLE_GROUP_FIELDS.includes(field) || hasOperatorKeys(req.body[field])
+    );
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only these fields can be updated: ${EDITABLE_GROUP_FIELDS.join(', ')}`,
+        invalidFields
+      });
+    }
+    const updates = {};
+    EDITABLE_GROUP_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { updates[field] = req.body[field]; });
+
+    // Requiring 2FA without having it would take away the admin's own rights
+    const requireAdminTwoFactor = Boolean(updates.rules) &&
+      String(updates.rules.requireAdminTwoFactor) === 'true';
+    if (requireAdminTwoFactor && !(req.user.twoFactor && req.user.twoFactor.enabled)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Turn on two-factor authentication for your own account before requiring it for admins'
+      });
+    }
+    if (updates.location) {
+      updates.location = normalizeGroupLocation(updates.location);
+    }
+
     const updatedGroup = await Group.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
@@ -336,22 +419,17 @@ exports.deleteGroup = async (req, res) => {
       });
     }
 
-    // Check if user is admin
-    if (!group.admins.includes(req.userId)) {
+    // Only the owner can delete the group
+    if (!can(group, req.user, 'group.delete')) {
       console.log('User not authorized to delete group:', req.userId);
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to delete this group'
+        message: 'Only the group owner can delete this group'
       });
     }
 
-    // Remove group from all members' groups arrays
-    await User.updateMany(
-      { groups: group._id },
-      { $pull: { groups: group._id, adminGroups: group._id } }
-    );
-
-    await Group.findByIdAndDelete(req.params.id);
+    // Delete the group and remove it from all members' groups arrays
+    await membership.deleteGroup(group._id);
     console.log('Group deleted successfully');
     
     res.json({
@@ -400,19 +478,58 @@ exports.joinGroup = async (req, res) => {
       });
     }
     
-    // Join group and update both user and group
-    await Promise.all([
-      user.joinGroup(groupId),
-      Group.findByIdAndUpdate(groupId, { $addToSet: { members: req.userId } })
-    ]);
+    if (isBanned(group, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You have been banned from this group'
+      });
+    }
     
-    // Return updated group data
-    const updatedGroup = await populateGroupData(group, req.userId);
+    // Check for a request that is already waiting
+    const openRequest = await MembershipRequest.findOne({
+      group: groupId,
+      user: req.userId,
+      status: { $in: ['pending', 'waitlisted'] }
+    });
+    if (openRequest) {
+      return res.status(400).json({
+        success: false,
+        message: openRequest.status === 'waitlisted'
+          ? 'You are already on the waitlist for this group'
+          : 'Your request to join this group is awaiting approval'
+      });
+    }
     
-    res.json({
+    const isFull = group.members.length >= group.rules.maxMembers;
+    // Private groups only take members through an invite or an admin's approval
+    const needsApproval = group.isPrivate || !group.rules.autoApproveMembers;
+    
+    if (!isFull && !needsApproval && await membership.addMember(group, req.userId)) {
+      // Return updated group data
+      const updatedGroup = await populateGroupData(group, req.userId);
+      
+      return res.json({
+        success: true,
+        message: 'Successfully joined the group',
+        group: updatedGroup
+      });
+    }
+    
+    // Otherwise queue a request: waitlisted when full, pending admin approval when not
+    const request = await new MembershipRequest({
+      group: groupId,
+      user: req.userId,
+      status: isFull || !needsApproval ? 'waitlisted' : 'pending',
+      message: req.body && req.body.message
+    }).save();
+    await user.requestToJoinGroup(groupId);
+    
+    res.status(202).json({
       success: true,
-      message: 'Successfully joined the group',
-      group: updatedGroup
+      message: request.status === 'waitlisted'
+        ? 'This group is full. You have been added to the waitlist.'
+        : 'Your request to join has been sent to the group admins',
+      request
     });
   } catch (err) {
     console.error('Error in joinGroup:', err);
@@ -456,6 +573,14 @@ exports.leaveGroup = async (req, res) => {
       });
     }
     
+    // The owner has to hand the group over first
+    if (getGroupRole(group, req.userId) === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot leave group as the owner. Transfer ownership first.'
+      });
+    }
+    
     // Check if last admin
     if (user.isAdminOfGroup(groupId) && group.admins.length === 1) {
       return res.status(400).json({
@@ -465,15 +590,10 @@ exports.leaveGroup = async (req, res) => {
     }
     
     // Leave group and update both user and group
-    await Promise.all([
-      user.leaveGroup(groupId),
-      Group.findByIdAndUpdate(groupId, {
-        $pull: {
-          members: req.userId,
-          admins: req.userId
-        }
-      })
-    ]);
+    await membership.removeMember(groupId, req.userId);
+    
+    // Offer the freed spot to the waitlist
+    await membership.processWaitlist(groupId);
     
     res.json({
       success: true,
@@ -512,16 +632,13 @@ exports.getGroupMembers = async (req, res) => {
     }
     
     // Format members with roles
-    const members = group.members.map(member => {
-      const isAdmin = group.admins.some(admin => admin._id.toString() === member._id.toString());
-      return {
-        _id: member._id,
-        name: member.username,
-        email: member.email,
-        avatar: member.avatar || null,
-        role: isAdmin ? 'admin' : 'member'
-      };
-    });
+    const members = group.members.map(member => ({
+      _id: member._id,
+      name: member.username,
+      email: member.email,
+      avatar: member.avatar || null,
+      role: getGroupRole(group, member._id)
+    }));
     
     res.json({
       success: true,
@@ -537,6 +654,155 @@ exports.getGroupMembers = async (req, res) => {
   }
 };
 
+/**
+ * Get a group's pending join requests and waitlist (admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMembershipRequests = async (req, res) => {
+  try {
+    const { id: groupId } = req.params;
+    const { status } = req.query;
+    
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+    
+    if (!can(group, req.user, 'members.approve')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and moderators can review join requests'
+      });
+    }
+    
+    const requests = await MembershipRequest.find({
+      group: groupId,
+      status: status ? status : { $in: ['pending', 'waitlisted'] }
+    })
+      .populate('user', 'username email profileImage')
+      .populate('reviewedBy', 'username')
+      .sort({ createdAt: 1 });
+    
+    res.json({
+      success: true,
+      memberCount: group.members.length,
+      maxMembers: group.rules.maxMembers,
+      requests
+    });
+  } catch (err) {
+    console.error('Error in getMembershipRequests:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting join requests',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Approve or reject a join request (admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.reviewMembershipRequest = async (req, res) => {
+  try {
+    const { id: groupId, requestId } = req.params;
+    const { action, reason } = req.body;
+    
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be approve or reject'
+      });
+    }
+    
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+    
+    if (!can(group, req.user, 'members.approve')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and moderators can review join requests'
+      });
+    }
+    
+    const request = await MembershipRequest.findOne({ _id: requestId, group: groupId });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+    
+    if (!['pending', 'waitlisted'].includes(request.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This request has already been ${request.status}`
+      });
+    }
+    
+    const user = await User.findById(request.user);
+    
+    if (action === 'approve') {
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      if (isBanned(group, user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This user has been banned from the group'
+        });
+      }
+      
+      if (!await membership.addMember(group, user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: `This group is full (${group.rules.maxMembers} members). Raise the member limit or wait for a spot to open.`
+        });
+      }
+      request.status = 'approved';
+    } else {
+      request.status = 'rejected';
+      // Only the pending entry; a user who has joined some other way stays a member
+      await User.updateOne(
+        { _id: request.user },
+        { $pull: { groups: { group: groupId, status: 'pending' } } }
+      );
+    }
+    
+    request.reason = reason;
+    request.reviewedBy = req.userId;
+    request.reviewedAt = new Date();
+    await request.save();
+    
+    res.json({
+      success: true,
+      message: action === 'approve' ? 'Request approved' : 'Request rejected',
+      request
+    });
+  } catch (err) {
+    console.error('Error in reviewMembershipRequest:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing join request',
+      error: err.message
+    });
+  }
+};
+
 /**
  * Invite a user to join the group
  * @param {Object} req - Express request object
@@ -563,47 +829,77 @@ exports.inviteToGroup = async (req, res) => {
       });
     }
     
-    // Check if user is admin or creator
-    if (!group.admins.includes(req.userId) && group.createdBy.toString() !== req.userId) {
+    if (!can(group, req.user, 'members.invite')) {
       return res.status(403).json({
         success: false,
-        message: 'Only admins can invite users'
+        message: 'Only admins and moderators can invite users'
       });
     }
     
-    // Find user by email
-    const invitedUser = await User.findOne({ email });
+    const normalizedEmail = email.trim().toLowerCase();
     
-    // If user exists, add them to the group
-    if (invitedUser) {
-      // Check if already a member
-      if (invitedUser.isMemberOfGroup(groupId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'User is already a member of this group'
-        });
-      }
-      
-      // Add user to group
-      await Promise.all([
-        invitedUser.joinGroup(groupId),
-        Group.findByIdAndUpdate(groupId, { $addToSet: { members: invitedUser._id } })
-      ]);
-      
-      return res.json({
-        success: true,
-        message: 'User added to the group'
+    // Existing users are invited too, so nobody is added without agreeing to it
+    const invitedUser = await User.findOne({ email: normalizedEmail });
+    if (invitedUser && invitedUser.isMemberOfGroup(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a member of this group'
       });
     }
     
-    // If user doesn't exist, we would normally send an email invitation
-    // For now, just return success message
-    res.json({
+    if (invitedUser && isBanned(group, invitedUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user has been banned from the group'
+      });
+    }
+    
+    const existingInvite = await GroupInvite.findOne({
+      group: groupId,
+      email: normalizedEmail,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (existingInvite) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email already has a pending invitation. Resend it instead.',
+        inviteId: existingInvite._id
+      });
+    }
+    
+    const invite = new GroupInvite({
+      group: groupId,
+      email: normalizedEmail,
+      invitedBy: req.userId
+    });
+    const token = groupInvites.issueToken(invite);
+    await invite.save();
+    
+    const inviter = await User.findById(req.userId).select('username');
+    await groupInvites.sendInviteEmail(invite, token, { group, inviter, hasAccount: !!invitedUser });
+    
+    res.status(201).json({
       success: true,
-      message: 'Invitation sent to ' + email
+      message: 'Invitation sent to ' + normalizedEmail,
+      invite: {
+        _id: invite._id,
+        email: invite.email,
+        status: invite.status,
+        expiresAt: invite.expiresAt
+      }
     });
   } catch (err) {
     console.error('Error in inviteToGroup:', err);
+    
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(err.errors).map(e => e.message)
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Error inviting user to group',
@@ -612,75 +908,208 @@ exports.inviteToGroup = async (req, res) => {
   }
 };
 
-// Models for new functionality (temporary - should be moved to separate files)
-const mongoose = require('mongoose');
+/**
+ * Helper function to load a group and check that the current user may manage its invites
+ * @returns {Promise<Object>} - { group, error: { status, message } }
+ */
+const loadGroupForInvites = async (groupId, user) => {
+  const group = await Group.findById(groupId);
+  if (!group) {
+    return { error: { status: 404, message: 'Group not found' } };
+  }
+  
+  if (!can(group, user, 'members.invite')) {
+    return { error: { status: 403, message: 'Only admins and moderators can manage invitations' } };
+  }
+  
+  return { group };
+};
 
-// Shopping List Item Schema
-const ShoppingListItemSchema = new mongoose.Schema({
-  productName: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  vendor: {
-    type: String,
-    trim: true
-  },
-  casePrice: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  quantity: {
-    type: Number,
-    required: true,
-    min: 1,
-    default: 1
-  },
-  totalUnits: {
-    type: Number,
-    required: true,
-    min: 1,
-    default: 1
-  },
-  notes: {
-    type: String,
-    trim: true
-  },
-  createdBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  groupId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Group',
-    required: true
+/**
+ * List a group's invitations (admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getInvites = async (req, res) => {
+  try {
+    const { id: groupId } = req.params;
+    const { status = 'pending' } = req.query;
+    
+    const { error } = await loadGroupForInvites(groupId, req.user);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    
+    const query = { group: groupId };
+    if (status !== 'all') {
+      query.status = status;
+    }
+    
+    const invites = await GroupInvite.find(query)
+      .select('-tokenHash')
+      .populate('invitedBy', 'username')
+      .populate('acceptedBy', 'username')
+      .sort({ createdAt: -1 });
+    
+    const now = new Date();
+    res.json({
+      success: true,
+      invites: invites.map(invite => ({
+        ...invite.toObject(),
+        isExpired: invite.status === 'pending' && invite.expiresAt <= now
+      }))
+    });
+  } catch (err) {
+    console.error('Error in getInvites:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting invitations',
+      error: err.message
+    });
   }
-}, {
-  timestamps: true
-});
+};
 
-// Message Schema
-const MessageSchema = new mongoose.Schema({
-  content: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  author: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  groupId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Group',
-    required: true
+/**
+ * Send a pending invitation again with a new link and expiry (admins only).
+ * The previous link stops working.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.resendInvite = async (req, res) => {
+  try {
+    const { id: groupId, inviteId } = req.params;
+    
+    const { group, error } = await loadGroupForInvites(groupId, req.user);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    
+    const invite = await GroupInvite.findOne({ _id: inviteId, group: groupId });
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+    
+    if (invite.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This invitation has already been ${invite.status}`
+      });
+    }
+    
+    const token = groupInvites.issueToken(invite);
+    invite.sendCount += 1;
+    invite.lastSentAt = new Date();
+    await invite.save();
+    
+    const [inviter, invitedUser] = await Promise.all([
+      User.findById(req.userId).select('username'),
+      User.findOne({ email: invite.email }).select('_id')
+    ]);
+    await groupInvites.sendInviteEmail(invite, token, { group, inviter, hasAccount: !!invitedUser });
+    
+    res.json({
+      success: true,
+      message: 'Invitation resent to ' + invite.email,
+      invite: {
+        _id: invite._id,
+        email: invite.email,
+        status: invite.status,
+        expiresAt: invite.expiresAt,
+        sendCount: invite.sendCount
+      }
+    });
+  } catch (err) {
+    console.error('Error in resendInvite:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error resending invitation',
+      error: err.message
+    });
   }
-}, {
-  timestamps: true
-});
+};
+
+/**
+ * Revoke a pending invitation so its link can no longer be used (admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeInvite = async (req, res) => {
+  try {
+    const { id: groupId, inviteId } = req.params;
+    
+    const { error } = await loadGroupForInvites(groupId, req.user);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    
+    const invite = await GroupInvite.findOneAndUpdate(
+      { _id: inviteId, group: groupId, status: 'pending' },
+      { $set: { status: 'revoked', revokedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending invitation found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (err) {
+    console.error('Error in revokeInvite:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Accept an invitation as the logged-in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.acceptInvite = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation token is required'
+      });
+    }
+    
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const result = await groupInvites.acceptInvite(token, user);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (err) {
+    console.error('Error in acceptInvite:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation',
+      error: err.message
+    });
+  }
+};
+
+// Models for new functionality (temporary - should be moved to separate files)
+const mongoose = require('mongoose');
 
 // Event Schema
 const EventSchema = new mongoose.Schema({
@@ -716,9 +1145,9 @@ const EventSchema = new mongoose.Schema({
 });
 
 // Create models from schemas or reference existing ones
-const ShoppingListItem = mongoose.model('ShoppingListItem', ShoppingListItemSchema);
-// Use the existing Message model instead of redefining it
-const Message = require('../models/message.model');
+const ShoppingListItem = require('../models/shopping-list-item.model');
+// Discussion board posts live in their own model (message.model is for direct messages)
+const Message = require('../models/group-message.model');
 const Event = mongoose.model('Event', EventSchema);
 
 /**
@@ -730,7 +1159,14 @@ exports.getShoppingList = async (req, res) => {
   try {
     const { id: groupId } = req.params;
     
-    const items = await ShoppingListItem.find({ groupId })
+    // Optionally show only items still to buy (?status=open) or already ordered
+    const query = { groupId };
+    if (req.query.status) {
+      // Items added before statuses existed have none and count as open
+      query.status = req.query.status === 'open' ? { $ne: 'ordered' } : req.query.status;
+    }
+    
+    const items = await ShoppingListItem.find(query)
       .populate('createdBy', 'username email')
       .sort({ createdAt: -1 });
     
@@ -838,10 +1274,10 @@ exports.updateShoppingListItem = async (req, res) => {
       });
     }
     
-    // Check if user is the creator or an admin
+    // Check if user is the creator or may edit the list
     const group = await Group.findById(groupId);
-    const isAdmin = group.admins.includes(req.userId);
-    const isCreator = item.createdBy.toString() === req.userId;
+    const isAdmin = can(group, req.user, 'shoppingList.edit');
+    const isCreator = item.createdBy.toString() === req.userId.toString();
     
     if (!isAdmin && !isCreator) {
       return res.status(403).json({
@@ -904,10 +1340,10 @@ exports.deleteShoppingListItem = async (req, res) => {
       });
     }
     
-    // Check if user is the creator or an admin
+    // Check if user is the creator or may edit the list
     const group = await Group.findById(groupId);
-    const isAdmin = group.admins.includes(req.userId);
-    const isCreator = item.createdBy.toString() === req.userId;
+    const isAdmin = can(group, req.user, 'shoppingList.edit');
+    const isCreator = item.createdBy.toString() === req.userId.toString();
     
     if (!isAdmin && !isCreator) {
       return res.status(403).json({
@@ -933,6 +1369,150 @@ exports.deleteShoppingListItem = async (req, res) => {
   }
 };
 
+/**
+ * Convert selected shopping list items into a pending order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.convertShoppingListToOrder = async (req, res) => {
+  try {
+    const { id: groupId } = req.params;
+    const { itemIds, deliveryDate, allocationPolicy, notes } = req.body;
+    
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one shopping list item'
+      });
+    }
+    
+    // Find the group
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+    
+    // Only admins place orders for the group
+    if (!can(group, req.user, 'orders.create')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can create orders from the shopping list'
+      });
+    }
+    
+    const items = await ShoppingListItem.find({ _id: { $in: itemIds }, groupId });
+    if (items.length !== itemIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some items are not on this group\'s shopping list'
+      });
+    }
+    
+    const alreadyOrdered = items.filter(item => item.status === 'ordered');
+    if (alreadyOrdered.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items have already been ordered',
+        items: alreadyOrdered.map(item => ({ _id: item._id, productName: item.productName, order: item.order }))
+      });
+    }
+    
+    const orderDeliveryDate = deliveryDate ? new Date(deliveryDate) : getNextDeliveryDay(group.deliveryDays);
+    if (!orderDeliveryDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery date is required when the group has no delivery days'
+      });
+    }
+    
+    const order = new Order({
+      group: groupId,
+      products: items.map(item => ({
+        productName: item.productName,
+        vendor: item.vendor,
+        casePrice: item.casePrice,
+        quantity: item.quantity,
+        maxCases: item.quantity,
+        totalUnits: item.totalUnits
+      })),
+      allocationPolicy,
+      deliveryDate: orderDeliveryDate,
+      deliveryLocation: {
+        street: group.location.street,
+        city: group.location.city,
+        state: group.location.state,
+        zipCode: group.location.zipCode
+      },
+      notes,
+      statusHistory: [{
+        to: 'pending',
+        changedBy: req.userId,
+        changedAt: new Date(),
+        note: 'Created from the shopping list'
+      }],
+      participants: [{
+        user: req.userId,
+        items: [],
+        totalCost: 0,
+        hasPaid: false
+      }]
+    });
+    
+    // Claim the items before saving the order; only items still open can be claimed,
+    // so two admins converting at the same time can't both order an item
+    const claim = await ShoppingListItem.updateMany(
+      { _id: { $in: itemIds }, groupId, status: { $ne: 'ordered' } },
+      { $set: { status: 'ordered', order: order._id } }
+    );
+    
+    if (claim.modifiedCount !== items.length) {
+      await ShoppingListItem.updateMany(
+        { order: order._id },
+        { $set: { status: 'open' }, $unset: { order: 1 } }
+      );
+      return res.status(409).json({
+        success: false,
+        message: 'Some items were ordered by someone else, please refresh the shopping list'
+      });
+    }
+    
+    try {
+      await order.save();
+    } catch (saveError) {
+      await ShoppingListItem.updateMany(
+        { order: order._id },
+        { $set: { status: 'open' }, $unset: { order: 1 } }
+      );
+      throw saveError;
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Order created from shopping list',
+      order
+    });
+  } catch (err) {
+    console.error('Error in convertShoppingListToOrder:', err);
+    
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(err.errors).map(error => error.message)
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error creating order from shopping list',
+      error: err.message
+    });
+  }
+};
+
 /**
  * Get messages for a group
  * @param {Object} req - Express request object
@@ -942,6 +1522,22 @@ exports.getMessages = async (req, res) => {
   try {
     const { id: groupId } = req.params;
     
+    const group = await Group.findById(groupId).select('members owner createdBy admins moderators');
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+    
+    // Only members can read the discussion, as with the socket channel
+    if (!getGroupRole(group, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group members can read messages'
+      });
+    }
+    
     const messages = await Message.find({ groupId })
       .populate('author', 'username email avatar')
       .sort({ createdAt: -1 });
@@ -987,7 +1583,7 @@ exports.addMessage = async (req, res) => {
     }
     
     // Check if user is a member
-    if (!group.members.includes(req.userId)) {
+    if (!can(group, req.user, 'messages.post')) {
       return res.status(403).json({
         success: false,
         message: 'Only group members can post messages'
@@ -1004,6 +1600,9 @@ exports.addMessage = async (req, res) => {
     const savedMessage = await newMessage.save();
     await savedMessage.populate('author', 'username email avatar');
     
+    // Push the new message to everyone viewing the group
+    emitToGroup(groupId, 'message:new', { groupId, message: savedMessage });
+    
     res.status(201).json({
       success: true,
       message: savedMessage
@@ -1018,6 +1617,69 @@ exports.addMessage = async (req, res) => {
   }
 };
 
+/**
+ * Edit a message on the discussion board
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateMessage = async (req, res) => {
+  try {
+    const { id: groupId, messageId } = req.params;
+    const { content } = req.body;
+    
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message content is required'
+      });
+    }
+    
+    // Find the message
+    const message = await Message.findById(messageId);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+    
+    // Check if message belongs to the specified group
+    if (message.groupId.toString() !== groupId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message does not belong to this group'
+      });
+    }
+    
+    // Only the author can edit their message
+    if (message.author.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this message'
+      });
+    }
+    
+    message.content = content;
+    message.editedAt = new Date();
+    const updatedMessage = await message.save();
+    await updatedMessage.populate('author', 'username email avatar');
+    
+    emitToGroup(groupId, 'message:updated', { groupId, message: updatedMessage });
+    
+    res.json({
+      success: true,
+      message: updatedMessage
+    });
+  } catch (err) {
+    console.error('Error in updateMessage:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating message',
+      error: err.message
+    });
+  }
+};
+
 /**
  * Delete message
  * @param {Object} req - Express request object
@@ -1044,10 +1706,10 @@ exports.deleteMessage = async (req, res) => {
       });
     }
     
-    // Check if user is the author or an admin
+    // Check if user is the author or may delete messages
     const group = await Group.findById(groupId);
-    const isAdmin = group.admins.includes(req.userId);
-    const isAuthor = message.author.toString() === req.userId;
+    const isAdmin = can(group, req.user, 'messages.delete');
+    const isAuthor = message.author.toString() === req.userId.toString();
     
     if (!isAdmin && !isAuthor) {
       return res.status(403).json({
@@ -1059,6 +1721,8 @@ exports.deleteMessage = async (req, res) => {
     // Delete the message
     await Message.findByIdAndDelete(messageId);
     
+    emitToGroup(groupId, 'message:deleted', { groupId, messageId });
+    
     res.json({
       success: true,
       message: 'Message deleted successfully'
@@ -1187,10 +1851,10 @@ exports.updateEvent = async (req, res) => {
       });
     }
     
-    // Check if user is the creator or an admin
+    // Check if user is the creator or may edit events
     const group = await Group.findById(groupId);
-    const isAdmin = group.admins.includes(req.userId);
-    const isCreator = event.createdBy.toString() === req.userId;
+    const isAdmin = can(group, req.user, 'events.edit');
+    const isCreator = event.createdBy.toString() === req.userId.toString();
     
     if (!isAdmin && !isCreator) {
       return res.status(403).json({
@@ -1251,10 +1915,10 @@ exports.deleteEvent = async (req, res) => {
       });
     }
     
-    // Check if user is the creator or an admin
+    // Check if user is the creator or may edit events
     const group = await Group.findById(groupId);
-    const isAdmin = group.admins.includes(req.userId);
-    const isCreator = event.createdBy.toString() === req.userId;
+    const isAdmin = can(group, req.user, 'events.edit');
+    const isCreator = event.createdBy.toString() === req.userId.toString();
     
     if (!isAdmin && !isCreator) {
       return res.status(403).json({
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const Reservation = require('../models/reservation.model');
+const reservations = require('../utils/listingReservations');
+const { isModeratorOrAdmin } = require('../utils/siteRoles');
+
+const RESERVATION_STATUSES = ['pending', 'completed', 'cancelled', 'expired'];
+
+/**
+ * Helper function to load a reservation and expire it on the spot if its pickup window
+ * has ended since the scheduler last ran. Malformed IDs are treated as not found.
+ * @returns {Promise<Object|null>}
+ */
+const loadReservation = async (reservationId) => {
+  if (!mongoose.Types.ObjectId.isValid(reservationId)) {
+    return null;
+  }
+
+  const reservation = await Reservation.findById(reservationId);
+  if (reservation && reservations.isOverdue(reservation)) {
+    return (await reservations.expireReservation(reservation._id)) || Reservation.findById(reservationId);
+  }
+  return reservation;
+};
+
+/**
+ * Reserve part of a listing for pickup
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createReservation = async (req, res) => {
+  try {
+    const { quantity, pickupStart, pickupEnd, note } = req.body;
+
+    const result = await reservations.reserve(req.params.id, req.userId, { quantity, pickupStart, pickupEnd, note });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        errors: result.errors
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Reservation made. Pick up by ${result.reservation.pickupWindow.end.toLocaleString()}`,
+      data: {
+        reservation: result.reservation,
+        remaining: result.listing.quantity,
+        isAvailable: result.listing.isAvailable
+      }
+    });
+  } catch (err) {
+    console.error('Error in createReservation:', err);
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(err.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error making reservation',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Get the reservations on a listing (seller, site moderators and admins)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getListingReservations = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const listing = await Listing.findById(req.params.id).select('seller');
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    if (listing.seller.toString() !== req.userId.toString() && !(await isModeratorOrAdmin(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to view reservations on this listing'
+      });
+    }
+
+    const filter = { listing: listing._id };
+    if (status && RESERVATION_STATUSES.includes(status)) {
+      filter.status = status;
+    }
+
+    const listingReservations = await Reservation.find(filter)
+      .sort({ 'pickupWindow.start': 1 })
+      .populate('buyer', 'username profileImage');
+
+    res.json({
+      success: true,
+      data: listingReservations
+    });
+  } catch (err) {
+    console.error('Error in getListingReservations:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting reservations',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Get the signed-in user's reservations, as a buyer (default) or as a seller
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMyReservations = async (req, res) => {
+  try {
+    const { as = 'buyer', status } = req.query;
+
+    if (!['buyer', 'seller'].includes(as)) {
+      return res.status(400).json({
+        success: false,
+        message: 'as must be buyer or seller'
+      });
+    }
+
+    const filter = { [as]: req.userId };
+    if (status && RESERVATION_STATUSES.includes(status)) {
+      filter.status = status;
+    }
+
+    const myReservations = await Reservation.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('listing', 'title price priceUnit images location')
+      .populate(as === 'buyer' ? 'seller' : 'buyer', 'username profileImage');
+
+    res.json({
+      success: true,
+      data: myReservations
+    });
+  } catch (err) {
+    console.error('Error in getMyReservations:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting reservations',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Confirm the buyer has picked up their reservation (seller only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.confirmReservation = async (req, res) => {
+  try {
+    const reservation = await loadReservation(req.params.reservationId);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    if (reservation.seller.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the seller can confirm a pickup'
+      });
+    }
+
+    const confirmed = reservation.status === 'pending' && await reservations.confirmHandoff(reservation._id);
+    if (!confirmed) {
+      return res.status(400).json({
+        success: false,
+        message: `This reservation is already ${reservation.status === 'pending' ? 'closed' : reservation.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Pickup confirmed',
+      data: confirmed
+    });
+  } catch (err) {
+    console.error('Error in confirmReservation:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming pickup',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Cancel a reservation and put its quantity back on the listing (buyer or seller)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.cancelReservation = async (req, res) => {
+  try {
+    const reservation = await loadReservation(req.params.reservationId);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    const userId = req.userId.toString();
+    if (reservation.buyer.toString() !== userId && reservation.seller.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to cancel this reservation'
+      });
+    }
+
+    const cancelled = reservation.status === 'pending' && await reservations.cancelReservation(reservation._id, req.userId);
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: `This reservation is already ${reservation.status === 'pending' ? 'closed' : reservation.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reservation cancelled',
+      data: cancelled
+    });
+  } catch (err) {
+    console.error('Error in cancelReservation:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling reservation',
+      error: err.message
+    });
+  }
+};
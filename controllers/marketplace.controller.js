@@ -1,6 +1,85 @@
 const db = require('../models');
 const Listing = db.listing;
 const usdaApi = require('../utils/usdaApi');
+const geo = require('../utils/geo');
+const listingExpiry = require('../utils/listingExpiryScheduler');
+const listingHistory = require('../utils/listingHistory');
+const { isModeratorOrAdmin } = require('../utils/siteRoles');
+const listingImages = require('../utils/listingImages');
+
+/**
+ * Helper function to run a listing query, nearest first when a location is given
+ * @param {Object} filter - Listing filter
+ * @param {Object} options - { near, sort, skip, limit }
+ * @returns {Promise<Object>} - { listings, total }
+ */
+const findListings = async (filter, { near, sort, skip = 0, limit }) => {
+  if (!near) {
+    const [listings, total] = await Promise.all([
+      Listing.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('seller', 'username profileImage'),
+      Listing.countDocuments(filter)
+    ]);
+    return { listings, total };
+  }
+
+  // Distances only exist inside the aggregation, so the page and count come from one $facet
+  const [result] = await Listing.aggregate([
+    ...geo.geoNearStages(near, filter),
+    ...(sort ? [{ $sort: sort }] : []),
+    {
+      $facet: {
+        listings: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const listings = await Listing.populate(result.listings, { path: 'seller', select: 'username profileImage' });
+  return {
+    listings,
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+/**
+ * Helper function to read a form field that may hold one value or several
+ * @param {string|Array} value - Field value
+ * @returns {Array}
+ */
+const toList = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value ? [value] : [];
+};
+
+/**
+ * Helper function to read a query parameter that should appear once;
+ * `?search=a&search=b` arrives as an array, so the first text value is used
+ * @param {string|Array|Object} value - Query parameter
+ * @returns {string|undefined}
+ */
+const firstQueryValue = (value) => toList(value).find(item => typeof item === 'string');
+
+/**
+ * Helper function to check if a user may change or delete a listing: its seller, or a site moderator/admin
+ * @param {Object} listing - Listing document
+ * @param {Object} user - Signed-in user document
+ * @returns {Promise<boolean>}
+ */
+const canManageListing = async (listing, user) => {
+  if (!user) {
+    return false;
+  }
+  if (listing.seller.toString() === user._id.toString()) {
+    return true;
+  }
+  return isModeratorOrAdmin(user);
+};
 
 /**
  * Create a new marketplace listing
@@ -18,7 +97,7 @@ exports.createListing = async (req, res) => {
       category: req.body.category,
       condition: req.body.condition,
       location: req.body.location,
-      seller: req.body.userId, // This will be replaced with actual user ID from auth middleware
+      seller: req.userId, // Always the signed-in user, whatever the client sends
       isOrganic: req.body.isOrganic,
       quantity: req.body.quantity,
       tags: req.body.tags,
@@ -50,13 +129,27 @@ exports.createListing = async (req, res) => {
       }
     }
 
-    // If images were uploaded, add them to the listing
+    // Check the uploaded photos and save their resized variants
     if (req.files && req.files.length > 0) {
-      listing.images = req.files.map(file => file.path);
+      const upload = await listingImages.processUploads(req.files);
+      if (!upload.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid images",
+          errors: upload.errors
+        });
+      }
+      listing.images = upload.images;
     }
 
-    // Save the listing to the database
-    const savedListing = await listing.save();
+    // Save the listing to the database, removing the new photos if that fails
+    let savedListing;
+    try {
+      savedListing = await listing.save();
+    } catch (saveError) {
+      await listingImages.deleteImages(listing.images);
+      throw saveError;
+    }
     
     res.status(201).json({
       success: true,
@@ -78,57 +171,82 @@ exports.createListing = async (req, res) => {
  * @param {Object} res - Express response object
  */
 exports.getMarketplacePage = async (req, res) => {
-  // Get query parameters for filtering
-  const {
-    category,
-    minPrice,
-    maxPrice,
-    isOrganic,
-    sortBy = 'latest',
-    search
-  } = req.query;
+  try {
+    // Get query parameters for filtering
+    const {
+      category,
+      minPrice,
+      maxPrice,
+      isOrganic,
+      sortBy = 'latest',
+      near,
+      radius,
+      unit
+    } = req.query;
+    const search = firstQueryValue(req.query.search);
 
-  // Build filter object
-  const filter = {};
+    const nearQuery = geo.parseNearQuery(req.query);
 
-  if (category) filter.category = category;
-  if (isOrganic) filter.isOrganic = isOrganic === 'true';
-  if (minPrice || maxPrice) {
-    filter.price = {};
-    if (minPrice) filter.price.$gte = Number(minPrice);
-    if (maxPrice) filter.price.$lte = Number(maxPrice);
-  }
+    // Build filter object; archived, expired and unavailable listings are hidden
+    const filter = listingExpiry.activeListingFilter();
 
-  // Add text search if search parameter is provided
-  if (search) {
-    filter.$text = { $search: search };
-  }
+    if (category) filter.category = category;
+    if (isOrganic) filter.isOrganic = isOrganic === 'true';
+    if (minPrice || maxPrice) {
+      filter.price = {};
+      if (minPrice) filter.price.$gte = Number(minPrice);
+      if (maxPrice) filter.price.$lte = Number(maxPrice);
+    }
 
-  // Build sort object
-  let sort = { createdAt: -1 }; // Default sort by newest
+    // Add text search if search parameter is provided
+    if (search) {
+      Object.assign(filter, nearQuery.near
+        ? geo.searchCondition(search, ['title', 'description', 'tags'])
+        : { $text: { $search: search } });
+    }
+
+    // Build sort object
+    let sort = { createdAt: -1 }; // Default sort by newest
 
-  if (sortBy === 'price-asc') sort = { price: 1 };
-  if (sortBy === 'price-desc') sort = { price: -1 };
+    if (sortBy === 'price-asc') sort = { price: 1 };
+    if (sortBy === 'price-desc') sort = { price: -1 };
+    // Near-me results are sorted nearest first unless a price sort was chosen
+    if (nearQuery.near && !['price-asc', 'price-desc'].includes(sortBy)) sort = null;
 
-  // Execute query
-  const listings = await Listing.find(filter)
-    .sort(sort)
-    .limit(12) // Limit to 12 listings for the page
-    .populate('seller', 'username profileImage');
+    // Execute query; an invalid location is ignored here rather than failing the page
+    const { listings } = await findListings(filter, {
+      near: nearQuery.near,
+      sort,
+      limit: 12 // Limit to 12 listings for the page
+    });
 
-  // Render the marketplace page with the listings
-  res.render('pages/marketplace', {
-    title: 'FreshShare - Marketplace',
-    listings: listings || [],
-    filters: {
-      category,
-      minPrice,
-      maxPrice,
-      isOrganic,
-      sortBy,
-      search
-    }
-  });
+    // Render the marketplace page with the listings
+    res.render('pages/marketplace', {
+      title: 'FreshShare - Marketplace',
+      listings: listings || [],
+      imageVariant: listingImages.variantUrl,
+      filters: {
+        category,
+        minPrice,
+        maxPrice,
+        isOrganic,
+        sortBy,
+        search,
+        near: nearQuery.near ? near : undefined,
+        radius,
+        unit
+      }
+    });
+  } catch (error) {
+    console.error('Error in getMarketplacePage:', error);
+    res.status(500).render('pages/marketplace', {
+      title: 'FreshShare - Marketplace',
+      listings: [],
+      imageVariant: listingImages.variantUrl,
+      errorMessage: "Listings couldn't be loaded right now. Please try again.",
+      filters: {}
+    });
+  }
 };
 
 /**
@@ -146,11 +264,21 @@ exports.getListings = async (req, res) => {
       sortBy, 
       limit = 10, 
       page = 1,
-      search
+      includeInactive
     } = req.query;
+    const search = firstQueryValue(req.query.search);
     
-    // Build filter object
-    const filter = {};
+    const nearQuery = geo.parseNearQuery(req.query);
+    if (!nearQuery.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid location filter",
+        errors: nearQuery.errors
+      });
+    }
+    
+    // Build filter object; archived, expired and unavailable listings are hidden unless asked for
+    const filter = includeInactive === 'true' ? {} : listingExpiry.activeListingFilter();
     
     if (category) filter.category = category;
     if (isOrganic) filter.isOrganic = isOrganic === 'true';
@@ -162,7 +290,9 @@ exports.getListings = async (req, res) => {
     
     // Add text search if search parameter is provided
     if (search) {
-      filter.$text = { $search: search };
+      Object.assign(filter, nearQuery.near
+        ? geo.searchCondition(search, ['title', 'description', 'tags'])
+        : { $text: { $search: search } });
     }
     
     // Build sort object
@@ -170,24 +300,80 @@ exports.getListings = async (req, res) => {
     
     if (sortBy === 'price-asc') sort = { price: 1 };
     if (sortBy === 'price-desc') sort = { price: -1 };
+    // Near-me results are sorted nearest first unless a price sort was chosen
+    if (nearQuery.near && !['price-asc', 'price-desc'].includes(sortBy)) sort = null;
     
     // Calculate pagination
     const skip = (Number(page) - 1) * Number(limit);
     
-    // Execute query
-    const listings = await Listing.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(Number(limit))
-      .populate('seller', 'username profileImage');
+    // Execute query and get total count for pagination
+    const { listings, total } = await findListings(filter, {
+      near: nearQuery.near,
+      sort,
+      skip,
+      limit: Number(limit)
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        listings,
+        pagination: {
+          total,
+          page: Number(page),
+          limit: Number(limit),
+          pages: Math.ceil(total / Number(limit))
+        },
+        near: nearQuery.near ? {
+          latitude: nearQuery.near.point.coordinates[1],
+          longitude: nearQuery.near.point.coordinates[0],
+          radius: nearQuery.near.radius,
+          unit: nearQuery.near.unit
+        } : undefined
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch listings",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the signed-in user's own listings, filtered by status (active, expired, archived or all)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMyListings = async (req, res) => {
+  try {
+    const { status = 'active', limit = 20, page = 1 } = req.query;
     
-    // Get total count for pagination
-    const total = await Listing.countDocuments(filter);
+    const statusFilter = listingExpiry.listingStatusFilter(status);
+    if (!statusFilter) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${listingExpiry.LISTING_STATUSES.join(', ')}`
+      });
+    }
+    
+    const filter = { ...statusFilter, seller: req.userId };
+    const skip = (Number(page) - 1) * Number(limit);
+    
+    const [listings, total] = await Promise.all([
+      Listing.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      Listing.countDocuments(filter)
+    ]);
     
     res.status(200).json({
       success: true,
       data: {
         listings,
+        status,
         pagination: {
           total,
           page: Number(page),
@@ -199,7 +385,7 @@ exports.getListings = async (req, res) => {
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Failed to fetch listings",
+      message: "Failed to fetch your listings",
       error: error.message
     });
   }
@@ -236,7 +422,7 @@ exports.getListingById = async (req, res) => {
 };
 
 /**
- * Update a listing
+ * Update a listing (seller, site moderators and admins)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -251,9 +437,8 @@ exports.updateListing = async (req, res) => {
       });
     }
     
-    // Check if the user is the owner of the listing
-    // This will be replaced with actual user ID from auth middleware
-    if (listing.seller.toString() !== req.body.userId) {
+    // Only the seller or a site moderator/admin may change the listing
+    if (!(await canManageListing(listing, req.user))) {
       return res.status(403).json({
         success: false,
         message: "You are not authorized to update this listing"
@@ -298,12 +483,58 @@ exports.updateListing = async (req, res) => {
       }
     }
     
+    // New photos go after the ones being kept (all of them unless keepImages is sent);
+    // photos left out are deleted once the update is saved
+    let uploadedImages = [];
+    if ((req.files && req.files.length > 0) || req.body.keepImages !== undefined) {
+      const keepImages = req.body.keepImages === undefined ? listing.images : toList(req.body.keepImages);
+      const kept = listing.images.filter(image => keepImages.includes(image));
+      
+      if (kept.length + (req.files || []).length > listingImages.MAX_IMAGES) {
+        return res.status(400).json({
+          success: false,
+          message: `A listing can have at most ${listingImages.MAX_IMAGES} images`
+        });
+      }
+      
+      const upload = await listingImages.processUploads(req.files);
+      if (!upload.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid images",
+          errors: upload.errors
+        });
+      }
+      
+      uploadedImages = upload.images;
+      updateData.images = [...kept, ...uploadedImages];
+    }
+    
+    // Keep the previous state in the history when anything buyers see changes
+    const update = { $set: updateData };
+    if (listingHistory.changedFields(listing, updateData).length > 0) {
+      update.$push = listingHistory.pushVersion(listingHistory.snapshot(listing, {
+        modifiedBy: req.userId,
+        reason: req.body.reason
+      }));
+    }
+    
     // Update the listing
-    const updatedListing = await Listing.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateData },
-      { new: true }
-    );
+    let updatedListing;
+    try {
+      updatedListing = await Listing.findByIdAndUpdate(
+        req.params.id,
+        update,
+        { new: true }
+      );
+    } catch (updateError) {
+      await listingImages.deleteImages(uploadedImages);
+      throw updateError;
+    }
+    
+    if (updateData.images) {
+      await listingImages.deleteImages(listing.images.filter(image => !updateData.images.includes(image)));
+    }
     
     res.status(200).json({
       success: true,
@@ -320,7 +551,7 @@ exports.updateListing = async (req, res) => {
 };
 
 /**
- * Delete a listing
+ * Delete a listing (seller, site moderators and admins)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -335,9 +566,8 @@ exports.deleteListing = async (req, res) => {
       });
     }
     
-    // Check if the user is the owner of the listing
-    // This will be replaced with actual user ID from auth middleware
-    if (listing.seller.toString() !== req.body.userId) {
+    // Only the seller or a site moderator/admin may change the listing
+    if (!(await canManageListing(listing, req.user))) {
       return res.status(403).json({
         success: false,
         message: "You are not authorized to delete this listing"
@@ -346,6 +576,10 @@ exports.deleteListing = async (req, res) => {
     
     await Listing.findByIdAndDelete(req.params.id);
     
+    // Remove the listing's photos, including ones only its history still pointed to
+    const historyImages = listing.versionHistory.flatMap(version => version.images || []);
+    await listingImages.deleteImages([...new Set([...listing.images, ...historyImages])]);
+    
     res.status(200).json({
       success: true,
       message: "Listing deleted successfully"
@@ -359,6 +593,179 @@ exports.deleteListing = async (req, res) => {
   }
 };
 
+/**
+ * Get a listing's version history as a list of changes, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getListingHistory = async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id)
+      .populate('versionHistory.modifiedBy', 'username');
+    
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: "Listing not found"
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        currentVersion: listing.versionHistory.length + 1,
+        versions: listingHistory.getVersionDiffs(listing)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch listing history",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Roll a listing back to the state before one of its updates (seller, site moderators and admins).
+ * The rollback is itself recorded in the history. The quantity in stock is left as it is.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.rollbackListing = async (req, res) => {
+  try {
+    const { versionId } = req.body;
+    
+    if (!versionId) {
+      return res.status(400).json({
+        success: false,
+        message: "versionId is required"
+      });
+    }
+    
+    const listing = await Listing.findById(req.params.id);
+    
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: "Listing not found"
+      });
+    }
+    
+    if (!(await canManageListing(listing, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not authorized to roll back this listing"
+      });
+    }
+    
+    const version = listing.versionHistory.id(versionId);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: "Version not found"
+      });
+    }
+    
+    // Photos deleted since that version can't come back
+    const values = listingHistory.versionValues(version);
+    if (values.images) {
+      const stillStored = await Promise.all(values.images.map(listingImages.imageExists));
+      values.images = values.images.filter((image, index) => stillStored[index]);
+    }
+    if (listingHistory.changedFields(listing, values).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The listing already matches this version"
+      });
+    }
+    
+    const updatedListing = await Listing.findByIdAndUpdate(
+      req.params.id,
+      {
+        $set: { ...values, updatedAt: Date.now() },
+        $push: listingHistory.pushVersion(listingHistory.snapshot(listing, {
+          modifiedBy: req.userId,
+          reason: req.body.reason || `Rolled back to the version from ${version.modifiedAt.toISOString()}`
+        }))
+      },
+      { new: true, runValidators: true }
+    );
+    
+    if (values.images) {
+      await listingImages.deleteImages(listing.images.filter(image => !values.images.includes(image)));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: "Listing rolled back successfully",
+      data: updatedListing
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: "Failed to roll back listing",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Renew a listing for another period, bringing it back if it was archived (seller, site moderators and admins)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.renewListing = async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+    
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: "Listing not found"
+      });
+    }
+    
+    if (!(await canManageListing(listing, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not authorized to renew this listing"
+      });
+    }
+    
+    const renewal = listingExpiry.renewListing(listing, req.body.days);
+    if (!renewal.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid renewal",
+        errors: renewal.errors
+      });
+    }
+    
+    await listing.save();
+    
+    res.status(200).json({
+      success: true,
+      message: `Listing renewed until ${listing.expiryDate.toDateString()}`,
+      data: listing
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to renew listing",
+      error: error.message
+    });
+  }
+};
+
 /**
  * Search listings by keyword
  * @param {Object} req - Express request object
@@ -376,7 +783,7 @@ exports.searchListings = async (req, res) => {
     }
     
     const listings = await Listing.find(
-      { $text: { $search: query } },
+      { $text: { $search: query }, ...listingExpiry.activeListingFilter() },
       { score: { $meta: "textScore" } }
     )
     .sort({ score: { $meta: "textScore" } })
@@ -1,5 +1,31 @@
 const Order = require('../models/order.model');
 const Group = require('../models/group.model');
+const caseAllocation = require('../utils/caseAllocation');
+const orderStateMachine = require('../utils/orderStateMachine');
+const paymentLedger = require('../utils/paymentLedger');
+const { can, isGroupMember } = require('../utils/groupPermissions');
+const Payment = require('../models/payment.model');
+
+// The only fields updateOrder may change; everything else has its own endpoint
+const EDITABLE_ORDER_FIELDS = ['deliveryDate', 'deliveryLocation', 'notes'];
+
+/**
+ * Helper function to work out the roles a user holds on an order
+ * @param {Object} order - Order document
+ * @param {Object} group - The order's group document
+ * @param {Object} user - User document
+ * @returns {Array<string>} - Any of 'admin', 'participant'
+ */
+const getOrderRoles = (order, group, user) => {
+  const roles = [];
+  if (group && can(group, user, 'orders.edit')) {
+    roles.push('admin');
+  }
+  if (order.participants.some(p => p.user && (p.user._id || p.user).toString() === user._id.toString())) {
+    roles.push('participant');
+  }
+  return roles;
+};
 
 /**
  * Create a new order
@@ -8,7 +34,14 @@ const Group = require('../models/group.model');
  */
 exports.createOrder = async (req, res) => {
   try {
-    const { groupId, products, deliveryDate, deliveryLocation, notes } = req.body;
+    const { groupId, products, deliveryDate, deliveryLocation, notes, allocationPolicy } = req.body;
+    
+    if (allocationPolicy && !caseAllocation.ALLOCATION_POLICIES.includes(allocationPolicy)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Allocation policy must be one of: ${caseAllocation.ALLOCATION_POLICIES.join(', ')}` 
+      });
+    }
     
     // Check if group exists
     const group = await Group.findById(groupId);
@@ -20,9 +53,7 @@ exports.createOrder = async (req, res) => {
     }
     
     // Check if user is a member of the group
-    const isMember = group.members.some(
-      member => member.user.toString() === req.userId
-    );
+    const isMember = isGroupMember(group, req.userId);
     
     if (!isMember) {
       return res.status(403).json({ 
@@ -34,10 +65,20 @@ exports.createOrder = async (req, res) => {
     // Create new order
     const order = new Order({
       group: groupId,
-      products,
+      // Unless capped explicitly, the organizer's case count is the most that can be claimed
+      products: (products || []).map(product => ({
+        ...product,
+        maxCases: product.maxCases !== undefined ? product.maxCases : product.quantity
+      })),
+      allocationPolicy,
       deliveryDate,
       deliveryLocation,
       notes,
+      statusHistory: [{
+        to: 'pending',
+        changedBy: req.userId,
+        changedAt: new Date()
+      }],
       participants: [{
         user: req.userId,
         items: [],
@@ -84,9 +125,7 @@ exports.getGroupOrders = async (req, res) => {
     }
     
     // Check if user is a member of the group
-    const isMember = group.members.some(
-      member => member.user.toString() === req.userId
-    );
+    const isMember = isGroupMember(group, req.userId);
     
     if (!isMember) {
       return res.status(403).json({ 
@@ -135,16 +174,14 @@ exports.getOrderById = async (req, res) => {
     
     // Check if user is a participant in the order
     const isParticipant = order.participants.some(
-      participant => participant.user._id.toString() === req.userId
+      participant => participant.user._id.toString() === req.userId.toString()
     );
     
     // Check if user is a member of the group
     const group = await Group.findById(order.group);
-    const isGroupMember = group.members.some(
-      member => member.user.toString() === req.userId
-    );
+    const isMember = group && isGroupMember(group, req.userId);
     
-    if (!isParticipant && !isGroupMember) {
+    if (!isParticipant && !isMember) {
       return res.status(403).json({ 
         success: false, 
         message: 'You do not have permission to view this order' 
@@ -171,7 +208,27 @@ exports.getOrderById = async (req, res) => {
 exports.updateOrder = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const updates = req.body;
+    const updates = { ...req.body };
+    
+    // Status only changes through the state machine
+    if (updates.status !== undefined) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Use the status endpoint to change an order\'s status' 
+      });
+    }
+    
+    // Operators and dotted paths would reach fields outside the whitelist
+    const invalidFields = Object.keys(updates).filter(
+      field => field.startsWith('$') || field.includes('.') || !EDITABLE_ORDER_FIELDS.includes(field)
+    );
+    if (invalidFields.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Only these fields can be updated: ${EDITABLE_ORDER_FIELDS.join(', ')}`,
+        invalidFields
+      });
+    }
     
     // Get the order
     const order = await Order.findById(orderId);
@@ -183,18 +240,11 @@ exports.updateOrder = async (req, res) => {
       });
     }
     
-    // Check if user is a participant in the order
-    const isParticipant = order.participants.some(
-      participant => participant.user.toString() === req.userId
-    );
-    
-    // Check if user is an admin of the group
+    // Check if user is a participant in the order or an admin of the group
     const group = await Group.findById(order.group);
-    const isAdmin = group.members.some(
-      member => member.user.toString() === req.userId && member.role === 'admin'
-    );
+    const roles = getOrderRoles(order, group, req.user);
     
-    if (!isParticipant && !isAdmin) {
+    if (roles.length === 0) {
       return res.status(403).json({ 
         success: false, 
         message: 'You do not have permission to update this order' 
@@ -242,7 +292,7 @@ exports.joinOrder = async (req, res) => {
     
     // Check if user is already a participant
     const isParticipant = order.participants.some(
-      participant => participant.user.toString() === req.userId
+      participant => participant.user.toString() === req.userId.toString()
     );
     
     if (isParticipant) {
@@ -254,47 +304,62 @@ exports.joinOrder = async (req, res) => {
     
     // Check if user is a member of the group
     const group = await Group.findById(order.group);
-    const isGroupMember = group.members.some(
-      member => member.user.toString() === req.userId
-    );
-    
-    if (!isGroupMember) {
+    if (!group || !isGroupMember(group, req.userId)) {
       return res.status(403).json({ 
         success: false, 
         message: 'You must be a member of the group to join this order' 
       });
     }
     
-    // Calculate total cost for the user
-    let totalCost = 0;
+    const signupsClosed = order.signupCutoff && order.signupCutoff <= new Date();
+    if (order.participantsLocked || order.allocationFinalizedAt || signupsClosed) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This order is no longer accepting participants' 
+      });
+    }
     
-    if (items && items.length > 0) {
-      items.forEach(item => {
-        const product = order.products.find(p => p._id.toString() === item.productId);
-        if (product) {
-          const itemCost = (product.casePrice / product.totalUnits) * item.quantity;
-          item.cost = itemCost;
-          totalCost += itemCost;
-        }
+    // Refuse claims for more units than the cases can hold
+    const validation = caseAllocation.validateClaims(order, items, req.userId);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Not enough units available',
+        errors: validation.errors
       });
     }
     
     // Add user as a participant
     order.participants.push({
       user: req.userId,
-      items: items || [],
-      totalCost,
+      items: (items || []).map(item => ({
+        productId: item.productId,
+        quantity: Number(item.quantity)
+      })),
       hasPaid: false
     });
     
+    // Recalculate case counts and everyone's share
+    caseAllocation.rebalanceOrder(order);
     await order.save();
     
+    const participant = order.participants[order.participants.length - 1];
+    
     res.status(200).json({ 
       success: true, 
       message: 'Successfully joined the order',
-      totalCost
+      totalCost: participant.totalCost,
+      allocation: caseAllocation.getAllocationReport(order)
     });
   } catch (error) {
+    // Someone else joined or changed the order between loading and saving it
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'The order changed while you were joining. Please try again.' 
+      });
+    }
+    
     res.status(500).json({ 
       success: false, 
       message: error.message 
@@ -304,13 +369,16 @@ exports.joinOrder = async (req, res) => {
 
 /**
  * Update payment status for a participant
+ * Kept for older clients: marking as paid records a ledger payment for the
+ * outstanding amount, marking as unpaid records a refund of what was paid.
+ * As on the payments endpoint, only group admins can record refunds.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.updatePaymentStatus = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { hasPaid } = req.body;
+    const { hasPaid, method = 'other', reference } = req.body;
     
     // Get the order
     const order = await Order.findById(orderId);
@@ -324,7 +392,7 @@ exports.updatePaymentStatus = async (req, res) => {
     
     // Find the participant
     const participantIndex = order.participants.findIndex(
-      participant => participant.user.toString() === req.userId
+      participant => participant.user.toString() === req.userId.toString()
     );
     
     if (participantIndex === -1) {
@@ -334,9 +402,35 @@ exports.updatePaymentStatus = async (req, res) => {
       });
     }
     
-    // Update payment status
-    order.participants[participantIndex].hasPaid = hasPaid;
+    if (!hasPaid) {
+      const group = await Group.findById(order.group);
+      if (!group || !can(group, req.user, 'payments.manage')) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Only group admins can record refunds' 
+        });
+      }
+    }
+    
+    const participant = order.participants[participantIndex];
+    const amount = hasPaid
+      ? participant.totalCost - participant.amountPaid
+      : participant.amountPaid;
+    
+    if (amount > 0) {
+      await new Payment({
+        group: order.group,
+        order: order._id,
+        type: hasPaid ? 'payment' : 'refund',
+        member: req.userId,
+        amount: Math.round(amount * 100) / 100,
+        method,
+        reference,
+        recordedBy: req.userId
+      }).save();
+    }
     
+    await paymentLedger.applyLedgerToOrder(order);
     await order.save();
     
     res.status(200).json({ 
@@ -372,19 +466,28 @@ exports.cancelOrder = async (req, res) => {
     
     // Check if user is an admin of the group
     const group = await Group.findById(order.group);
-    const isAdmin = group.members.some(
-      member => member.user.toString() === req.userId && member.role === 'admin'
-    );
+    const roles = getOrderRoles(order, group, req.user);
     
-    if (!isAdmin) {
+    if (!roles.includes('admin')) {
       return res.status(403).json({ 
         success: false, 
         message: 'Only group admins can cancel orders' 
       });
     }
     
-    // Update order status
-    order.status = 'cancelled';
+    const result = await orderStateMachine.transition(order, 'cancelled', {
+      userId: req.userId,
+      roles,
+      note: req.body && req.body.reason
+    });
+    
+    if (!result.success) {
+      return res.status(400).json({ 
+        success: false, 
+        message: result.message 
+      });
+    }
+    
     await order.save();
     
     res.status(200).json({ 
@@ -398,3 +501,277 @@ exports.cancelOrder = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get claimed and remaining units for each product in an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAllocation = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    
+    const order = await Order.findById(orderId);
+    
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+    
+    // Check if user is a participant in the order or a member of the group
+    const isParticipant = order.participants.some(
+      participant => participant.user.toString() === req.userId.toString()
+    );
+    const group = await Group.findById(order.group);
+    const isMember = group && isGroupMember(group, req.userId);
+    
+    if (!isParticipant && !isMember) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You do not have permission to view this order' 
+      });
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      allocationPolicy: order.allocationPolicy,
+      finalizedAt: order.allocationFinalizedAt,
+      allocation: caseAllocation.getAllocationReport(order)
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
+/**
+ * Choose how partly filled cases are settled (group admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.setAllocationPolicy = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { allocationPolicy } = req.body;
+    
+    if (!caseAllocation.ALLOCATION_POLICIES.includes(allocationPolicy)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Allocation policy must be one of: ${caseAllocation.ALLOCATION_POLICIES.join(', ')}` 
+      });
+    }
+    
+    const order = await Order.findById(orderId);
+    
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+    
+    const group = await Group.findById(order.group);
+    if (!group || !can(group, req.user, 'orders.edit')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only group admins can change the allocation policy' 
+      });
+    }
+    
+    if (order.allocationFinalizedAt) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Allocation for this order has been finalized' 
+      });
+    }
+    
+    order.allocationPolicy = allocationPolicy;
+    await order.save();
+    
+    res.status(200).json({ 
+      success: true, 
+      message: `Allocation policy set to ${allocationPolicy}`,
+      allocationPolicy
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
+/**
+ * Close claims and settle partly filled cases using the order's policy (group admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.finalizeAllocation = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    
+    const order = await Order.findById(orderId);
+    
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+    
+    const group = await Group.findById(order.group);
+    if (!group || !can(group, req.user, 'orders.edit')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only group admins can finalize allocation' 
+      });
+    }
+    
+    if (order.allocationFinalizedAt) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Allocation for this order has already been finalized' 
+      });
+    }
+    
+    const trimmed = caseAllocation.rebalanceOrder(order, { finalize: true });
+    order.allocationFinalizedAt = new Date();
+    await order.save();
+    
+    res.status(200).json({ 
+      success: true, 
+      message: 'Allocation finalized',
+      allocationPolicy: order.allocationPolicy,
+      allocation: caseAllocation.getAllocationReport(order),
+      trimmed,
+      participants: order.participants.map(participant => ({
+        user: participant.user,
+        items: participant.items,
+        totalCost: participant.totalCost
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
+/**
+ * Move an order to a new status through the lifecycle state machine
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateOrderStatus = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { status, note } = req.body;
+    
+    if (!status) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Status is required' 
+      });
+    }
+    
+    const order = await Order.findById(orderId);
+    
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+    
+    const group = await Group.findById(order.group);
+    const roles = getOrderRoles(order, group, req.user);
+    
+    if (roles.length === 0) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You do not have permission to update this order' 
+      });
+    }
+    
+    const result = await orderStateMachine.transition(order, status, {
+      userId: req.userId,
+      roles,
+      note
+    });
+    
+    if (!result.success) {
+      return res.status(400).json({ 
+        success: false, 
+        message: result.message,
+        allowedStatuses: orderStateMachine.getNextStatuses(order.status)
+      });
+    }
+    
+    await order.save();
+    
+    res.status(200).json({ 
+      success: true, 
+      message: result.message,
+      order 
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
+/**
+ * Get an order's status history and the statuses the user can move it to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getStatusHistory = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    
+    const order = await Order.findById(orderId)
+      .populate('statusHistory.changedBy', 'username');
+    
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+    
+    const group = await Group.findById(order.group);
+    const roles = getOrderRoles(order, group, req.user);
+    const isMember = group && isGroupMember(group, req.userId);
+    
+    if (roles.length === 0 && !isMember) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You do not have permission to view this order' 
+      });
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      status: order.status,
+      history: order.statusHistory,
+      nextStatuses: roles.reduce((next, role) => {
+        orderStateMachine.getNextStatuses(order.status, role).forEach(status => {
+          if (!next.includes(status)) next.push(status);
+        });
+        return next;
+      }, [])
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
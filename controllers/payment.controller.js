@@ -0,0 +1,246 @@
+const Payment = require('../models/payment.model');
+const Order = require('../models/order.model');
+const Group = require('../models/group.model');
+const paymentLedger = require('../utils/paymentLedger');
+const { can, isGroupMember } = require('../utils/groupPermissions');
+
+const PAYMENT_METHODS = Payment.schema.path('method').enumValues;
+
+/**
+ * Record a payment, refund or vendor payment against an order.
+ * Members may record their own payments; refunds and vendor payments
+ * are recorded by group admins.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.recordPayment = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { type = 'payment', amount, method, reference, paidTo, vendor, note, paidAt } = req.body;
+    const member = req.body.member || req.userId;
+
+    if (!['payment', 'refund', 'vendor_payment'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be payment, refund or vendor_payment'
+      });
+    }
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Method must be one of: ${PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const group = await Group.findById(order.group);
+    const isAdmin = group && can(group, req.user, 'payments.manage');
+    const isSelf = member.toString() === req.userId.toString();
+
+    if (!isAdmin && (type !== 'payment' || !isSelf)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can record refunds, vendor payments or payments for other members'
+      });
+    }
+
+    const participant = type !== 'vendor_payment' && order.participants.find(
+      p => p.user.toString() === member.toString()
+    );
+    if (type !== 'vendor_payment' && !participant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Member is not a participant in this order'
+      });
+    }
+
+    if (type === 'refund' && Number(amount) > participant.amountPaid) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot refund more than the ${participant.amountPaid} the member has paid`
+      });
+    }
+
+    if (paidTo && !isGroupMember(group, paidTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Money can only be paid to a member of the group'
+      });
+    }
+
+    const entry = await new Payment({
+      group: order.group,
+      order: order._id,
+      type,
+      member: type === 'vendor_payment' ? undefined : member,
+      amount,
+      method,
+      reference,
+      // Member payments default to the organizer recording them; refunds and vendor payments to whoever paid out
+      paidTo: paidTo || (type === 'payment' && !isSelf ? req.userId : undefined),
+      vendor: type === 'vendor_payment' ? vendor : undefined,
+      note,
+      recordedBy: req.userId,
+      paidAt: paidAt || Date.now()
+    }).save();
+
+    await paymentLedger.applyLedgerToOrder(order);
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      payment: entry,
+      paymentStatus: order.paymentStatus
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the ledger for an order with each participant's paid and outstanding amounts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getOrderPayments = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId).populate('participants.user', 'username');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const group = await Group.findById(order.group);
+    if (!group || !isGroupMember(group, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must be a member of the group to view payments'
+      });
+    }
+
+    const payments = await Payment.find({ order: orderId })
+      .populate('member', 'username')
+      .populate('paidTo', 'username')
+      .populate('recordedBy', 'username')
+      .sort({ paidAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      paymentStatus: order.paymentStatus,
+      participants: order.participants.map(p => ({
+        user: p.user,
+        totalCost: p.totalCost,
+        amountPaid: p.amountPaid,
+        outstanding: Math.round((p.totalCost - p.amountPaid) * 100) / 100
+      })),
+      payments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get running balances for every member across a group's orders.
+ * Admins see everyone; members see only their own balance.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getGroupBalances = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupMember(group, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must be a member of the group to view balances'
+      });
+    }
+
+    let balances = await paymentLedger.getGroupBalances(groupId);
+    if (!can(group, req.user, 'payments.manage')) {
+      balances = balances.filter(balance => balance.member === req.userId.toString());
+    }
+
+    res.status(200).json({
+      success: true,
+      balances
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Compare what was collected from members with what was paid to vendors (group admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getGroupReconciliation = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!can(group, req.user, 'payments.manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can reconcile payments'
+      });
+    }
+
+    const orders = await paymentLedger.getGroupReconciliation(groupId);
+
+    res.status(200).json({
+      success: true,
+      orders
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,309 @@
+const Proposal = require('../models/proposal.model');
+const ShoppingListItem = require('../models/shopping-list-item.model');
+const Group = require('../models/group.model');
+const { isGroupMember } = require('../utils/groupPermissions');
+
+/**
+ * Helper function to mark proposals past their deadline as expired
+ * @param {string} groupId - Group ID
+ */
+const expireOverdueProposals = async (groupId) => {
+  await Proposal.updateMany(
+    { group: groupId, status: 'open', deadline: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+/**
+ * Helper function to move a proposal onto the shopping list once it has enough votes.
+ * Only one caller can win the open -> promoted update, so the item is added once.
+ * @param {Object} proposal - Proposal document
+ * @param {Object} group - Group document
+ * @returns {Promise<Object>} - The proposal, promoted or not
+ */
+const promoteIfWinning = async (proposal, group) => {
+  const threshold = (group.rules && group.rules.proposalVoteThreshold) || 3;
+  if (proposal.status !== 'open' || proposal.voteCount < threshold) {
+    return proposal;
+  }
+
+  const promoted = await Proposal.findOneAndUpdate(
+    { _id: proposal._id, status: 'open' },
+    { $set: { status: 'promoted', promotedAt: new Date() } },
+    { new: true }
+  );
+  if (!promoted) {
+    return Proposal.findById(proposal._id);
+  }
+
+  const item = await new ShoppingListItem({
+    productName: promoted.productName,
+    vendor: promoted.vendor || '',
+    casePrice: promoted.casePrice,
+    quantity: promoted.quantity || 1,
+    totalUnits: promoted.totalUnits || 1,
+    notes: `Voted in with ${promoted.voteCount} vote(s)${promoted.notes ? `: ${promoted.notes}` : ''}`,
+    createdBy: promoted.proposedBy,
+    groupId: promoted.group
+  }).save();
+
+  promoted.shoppingListItem = item._id;
+  return promoted.save();
+};
+
+/**
+ * List a group's proposals, most votes first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getProposals = async (req, res) => {
+  try {
+    const { id: groupId } = req.params;
+    const { status = 'open' } = req.query;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupMember(group, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must be a member to see proposals'
+      });
+    }
+
+    await expireOverdueProposals(groupId);
+
+    const query = { group: groupId };
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    const proposals = await Proposal.find(query)
+      .populate('proposedBy', 'username')
+      .sort({ voteCount: -1, createdAt: 1 });
+
+    const userId = req.userId.toString();
+
+    res.json({
+      success: true,
+      threshold: group.rules.proposalVoteThreshold,
+      proposals: proposals.map(proposal => ({
+        ...proposal.toObject(),
+        hasVoted: proposal.votes.some(vote => vote.user.toString() === userId)
+      }))
+    });
+  } catch (err) {
+    console.error('Error in getProposals:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting proposals',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Propose a product for the group to buy
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createProposal = async (req, res) => {
+  try {
+    const { id: groupId } = req.params;
+    const { productName, vendor, casePrice, quantity, totalUnits, notes, deadline } = req.body;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupMember(group, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must be a member to propose products'
+      });
+    }
+
+    let votingDeadline;
+    if (deadline) {
+      votingDeadline = new Date(deadline);
+      if (isNaN(votingDeadline) || votingDeadline <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Deadline must be a date in the future'
+        });
+      }
+    } else {
+      votingDeadline = new Date();
+      votingDeadline.setDate(votingDeadline.getDate() + (group.rules.proposalVotingDays || 7));
+    }
+
+    const proposal = await new Proposal({
+      group: groupId,
+      productName,
+      vendor,
+      casePrice,
+      quantity,
+      totalUnits,
+      notes,
+      proposedBy: req.userId,
+      deadline: votingDeadline
+    }).save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Product proposed successfully',
+      proposal
+    });
+  } catch (err) {
+    console.error('Error in createProposal:', err);
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(err.errors).map(error => error.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error proposing product',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Vote for a proposal (one vote per member)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.voteForProposal = async (req, res) => {
+  try {
+    const { id: groupId, proposalId } = req.params;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupMember(group, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must be a member to vote on products'
+      });
+    }
+
+    // The filter only matches if the user hasn't voted, so repeated requests can't add votes
+    const proposal = await Proposal.findOneAndUpdate(
+      {
+        _id: proposalId,
+        group: groupId,
+        status: 'open',
+        deadline: { $gt: new Date() },
+        'votes.user': { $ne: req.userId }
+      },
+      {
+        $push: { votes: { user: req.userId, votedAt: new Date() } },
+        $inc: { voteCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!proposal) {
+      const existing = await Proposal.findOne({ _id: proposalId, group: groupId });
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Proposal not found'
+        });
+      }
+      if (existing.votes.some(vote => vote.user.toString() === req.userId.toString())) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already voted for this proposal'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Voting on this proposal has closed'
+      });
+    }
+
+    const result = await promoteIfWinning(proposal, group);
+
+    res.json({
+      success: true,
+      message: result.status === 'promoted'
+        ? 'Vote recorded; the product has been added to the shopping list'
+        : 'Vote recorded successfully',
+      votes: result.voteCount,
+      proposal: result
+    });
+  } catch (err) {
+    console.error('Error in voteForProposal:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record vote',
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Take back a vote while voting is still open
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.retractVote = async (req, res) => {
+  try {
+    const { id: groupId, proposalId } = req.params;
+
+    const proposal = await Proposal.findOneAndUpdate(
+      {
+        _id: proposalId,
+        group: groupId,
+        status: 'open',
+        deadline: { $gt: new Date() },
+        'votes.user': req.userId
+      },
+      {
+        $pull: { votes: { user: req.userId } },
+        $inc: { voteCount: -1 }
+      },
+      { new: true }
+    );
+
+    if (!proposal) {
+      return res.status(400).json({
+        success: false,
+        message: 'No vote to retract, or voting on this proposal has closed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vote retracted',
+      votes: proposal.voteCount
+    });
+  } catch (err) {
+    console.error('Error in retractVote:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retract vote',
+      error: err.message
+    });
+  }
+};
@@ -0,0 +1,365 @@
+const RecurringOrder = require('../models/recurring-order.model');
+const ShoppingListItem = require('../models/shopping-list-item.model');
+const Group = require('../models/group.model');
+const scheduler = require('../utils/recurringOrderScheduler');
+const { can, isGroupMember } = require('../utils/groupPermissions');
+
+// Fields an admin may change on an existing template
+const UPDATABLE_FIELDS = ['name', 'cadence', 'deliveryDay', 'cutoff', 'allocationPolicy', 'deliveryLocation', 'isActive'];
+
+/**
+ * Helper function to load a template with its group and check admin rights
+ * @returns {Promise<Object>} - { template, group, error: { status, message } }
+ */
+const loadTemplateForAdmin = async (templateId, user) => {
+  const template = await RecurringOrder.findById(templateId);
+  if (!template) {
+    return { error: { status: 404, message: 'Recurring order not found' } };
+  }
+
+  const group = await Group.findById(template.group);
+  if (!group || !can(group, user, 'orders.create')) {
+    return { error: { status: 403, message: 'Only group admins can manage recurring orders' } };
+  }
+
+  return { template, group };
+};
+
+/**
+ * Create a recurring order from items on the group's shopping list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createRecurringOrder = async (req, res) => {
+  try {
+    const { groupId, name, itemIds, cadence, deliveryDay, cutoff, allocationPolicy, deliveryLocation } = req.body;
+
+    if (!groupId || !Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A groupId and at least one shopping list item are required'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!can(group, req.user, 'orders.create')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can create recurring orders'
+      });
+    }
+
+    if (!group.deliveryDays.includes(deliveryDay)) {
+      return res.status(400).json({
+        success: false,
+        message: `Delivery day must be one of the group's delivery days: ${group.deliveryDays.join(', ')}`
+      });
+    }
+
+    const items = await ShoppingListItem.find({ _id: { $in: itemIds }, groupId });
+    if (items.length !== itemIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some items are not on this group\'s shopping list'
+      });
+    }
+
+    const template = new RecurringOrder({
+      group: groupId,
+      name,
+      products: items.map(item => ({
+        shoppingListItem: item._id,
+        productName: item.productName,
+        vendor: item.vendor,
+        casePrice: item.casePrice,
+        quantity: item.quantity,
+        totalUnits: item.totalUnits
+      })),
+      cadence,
+      deliveryDay,
+      cutoff,
+      allocationPolicy,
+      deliveryLocation: deliveryLocation || {
+        street: group.location.street,
+        city: group.location.city,
+        state: group.location.state,
+        zipCode: group.location.zipCode
+      },
+      createdBy: req.userId
+    });
+
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      recurringOrder: template,
+      nextDeliveryDate: scheduler.getNextDeliveryDate(template)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a group's recurring orders
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getGroupRecurringOrders = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupMember(group, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must be a member of the group to view recurring orders'
+      });
+    }
+
+    const templates = await RecurringOrder.find({ group: groupId })
+      .populate('standingParticipants.user', 'username')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      recurringOrders: templates.map(template => ({
+        ...template.toObject(),
+        nextDeliveryDate: template.isActive ? scheduler.getNextDeliveryDate(template) : null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a recurring order's schedule or settings (group admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateRecurringOrder = async (req, res) => {
+  try {
+    const { template, group, error } = await loadTemplateForAdmin(req.params.templateId, req.user);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (req.body.deliveryDay && !group.deliveryDays.includes(req.body.deliveryDay)) {
+      return res.status(400).json({
+        success: false,
+        message: `Delivery day must be one of the group's delivery days: ${group.deliveryDays.join(', ')}`
+      });
+    }
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+
+    // The next delivery is counted from the last one, which was on the old schedule;
+    // start again from the next delivery day instead
+    if (template.isModified('deliveryDay') || template.isModified('cadence')) {
+      template.lastDeliveryDate = undefined;
+    }
+
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      recurringOrder: template
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a recurring order; orders it already opened are kept (group admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteRecurringOrder = async (req, res) => {
+  try {
+    const { template, error } = await loadTemplateForAdmin(req.params.templateId, req.user);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    await RecurringOrder.findByIdAndDelete(template._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring order deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set the quantities the current user joins every order with.
+ * An empty items list stops the standing order.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.setStandingQuantities = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const items = req.body.items || [];
+
+    if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items must be a list of { productId, quantity }'
+      });
+    }
+
+    const template = await RecurringOrder.findById(templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring order not found'
+      });
+    }
+
+    const group = await Group.findById(template.group);
+    if (!group || !isGroupMember(group, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must be a member of the group to join recurring orders'
+      });
+    }
+
+    const errors = [];
+    items.forEach(item => {
+      const product = template.products.id(item.productId);
+      const quantity = Number(item.quantity);
+      if (!product) {
+        errors.push(`Product ${item.productId} is not part of this recurring order`);
+      } else if (!Number.isInteger(quantity) || quantity < 1) {
+        errors.push(`Quantity for ${product.productName} must be a whole number of at least 1`);
+      } else if (quantity > product.quantity * product.totalUnits) {
+        errors.push(`At most ${product.quantity * product.totalUnits} unit(s) of ${product.productName} can be claimed`);
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    const existing = template.standingParticipants.find(
+      standing => standing.user.toString() === req.userId.toString()
+    );
+
+    if (items.length === 0) {
+      if (existing) {
+        existing.deleteOne();
+      }
+    } else if (existing) {
+      existing.items = items.map(item => ({ productId: item.productId, quantity: Number(item.quantity) }));
+    } else {
+      template.standingParticipants.push({
+        user: req.userId,
+        items: items.map(item => ({ productId: item.productId, quantity: Number(item.quantity) }))
+      });
+    }
+
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: items.length === 0 ? 'Standing order removed' : 'Standing quantities saved',
+      standingParticipants: template.standingParticipants
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Open the next order now instead of waiting for the scheduler (group admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.openNextOrder = async (req, res) => {
+  try {
+    const { template, error } = await loadTemplateForAdmin(req.params.templateId, req.user);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (!template.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring order is paused'
+      });
+    }
+
+    const order = await scheduler.openNextOrder(template);
+    if (!order) {
+      return res.status(400).json({
+        success: false,
+        message: 'The previous order is still taking sign-ups'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
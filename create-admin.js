@@ -0,0 +1,90 @@
+/**
+ * Makes a user a site admin, e.g. the first admin after a fresh install.
+ * Gives an existing account the admin role, or creates the account first
+ * when --email is given. The password is read from ADMIN_PASSWORD so it
+ * doesn't end up in the shell history.
+ *
+ * Usage:
+ *   node create-admin.js <username or email>
+ *   ADMIN_PASSWORD=... node create-admin.js <username> --email <email>
+ */
+// Load environment variables from .env file before the modules that read them
+require('dotenv').config();
+
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('./models/user.model');
+const siteRoles = require('./utils/siteRoles');
+const { validatePassword } = require('./utils/accountTokens');
+
+const args = process.argv.slice(2);
+const identifier = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--email');
+const emailIndex = args.indexOf('--email');
+const email = emailIndex !== -1 ? args[emailIndex + 1] : null;
+
+/**
+ * Find the account, or create it when an email address was given
+ * @returns {Promise<Object|null>} - User document
+ */
+const findOrCreateUser = async () => {
+  const user = await User.findOne({
+    $or: [{ username: identifier }, { email: identifier.toLowerCase() }]
+  });
+  if (user || !email) {
+    return user;
+  }
+
+  const password = process.env.ADMIN_PASSWORD;
+  const validation = validatePassword(password);
+  if (!validation.isValid) {
+    throw new Error(`Set ADMIN_PASSWORD to create the account: ${validation.errors.join(', ')}`);
+  }
+
+  const defaultRole = await siteRoles.getRole(siteRoles.DEFAULT_ROLE);
+  const created = await User.create({
+    username: identifier,
+    email,
+    password: bcrypt.hashSync(password, 8),
+    roles: [defaultRole._id],
+    // Whoever runs this has shell access to the server, so the address is trusted
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+  console.log(`Created user ${created.username} (${created.email}).`);
+  return created;
+};
+
+const run = async () => {
+  if (!identifier) {
+    console.log('Usage: node create-admin.js <username or email> [--email <email>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Successfully connected to MongoDB!');
+
+  await siteRoles.ensureRoles();
+
+  const user = await findOrCreateUser();
+  if (!user) {
+    console.log(`No user "${identifier}". Pass --email <email> (and ADMIN_PASSWORD) to create one.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (await siteRoles.hasRole(user, 'admin')) {
+    console.log(`${user.username} is already an admin.`);
+    return;
+  }
+
+  const result = await siteRoles.grantRole(user._id, 'admin');
+  console.log(`${user.username} is now an admin. Roles: ${result.roles.join(', ')}`);
+};
+
+run()
+  .catch(err => {
+    console.error('Creating admin failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
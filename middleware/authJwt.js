@@ -1,26 +1,35 @@
 const jwt = require('jsonwebtoken');
+const config = require('../config/auth.config');
 const db = require('../models');
+const sessions = require('../utils/sessions');
 const User = db.user;
 
-const JWT_SECRET = process.env.JWT_SECRET || 'freshShare-auth-secret';
+/**
+ * Reads the access token from request cookies or headers.
+ * @param {Object} req - Express request object.
+ * @returns {string|null} - The token, or null if none was sent.
+ */
+const getToken = (req) => {
+  // Prefer token from cookie
+  if (req.cookies && req.cookies[sessions.ACCESS_COOKIE]) {
+    return req.cookies[sessions.ACCESS_COOKIE];
+  }
+  // Fallback to Authorization header
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
+    return req.headers.authorization.substring(7);
+  }
+  return null;
+};
 
 /**
  * Extracts and decodes JWT from request cookies or headers.
  * This function does not handle errors, it simply returns null if verification fails.
+ * It does not check whether the token's session was revoked; see `authenticate`.
  * @param {Object} req - Express request object.
  * @returns {Object|null} - Decoded token payload or null if not found/invalid.
  */
 const decodeToken = (req) => {
-  let token = null;
-
-  // Prefer token from cookie
-  if (req.cookies && req.cookies.token) {
-    token = req.cookies.token;
-  }
-  // Fallback to Authorization header
-  else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
-    token = req.headers.authorization.substring(7);
-  }
+  const token = getToken(req);
 
   if (!token) {
     return null;
@@ -28,67 +37,95 @@ const decodeToken = (req) => {
 
   try {
     // Verify the token and return the decoded payload
-    return jwt.verify(token, JWT_SECRET);
+    return jwt.verify(token, config.secret);
   } catch (error) {
-    // Log the error but don't throw, just return null for an invalid token
-    console.error('JWT verification failed:', error.message);
+    // Access tokens are short-lived, so only log failures other than expiry
+    if (error.name !== 'TokenExpiredError') {
+      console.error('JWT verification failed:', error.message);
+    }
     return null;
   }
 };
 
 /**
- * Renews the JWT if it's nearing expiration (e.g., within the next 24 hours).
- * This helps keep the user logged in without interruption.
+ * Checks whether the request carries a genuine access token that has expired,
+ * so clients can be told to refresh rather than log in again.
+ * @param {Object} req - Express request object.
+ * @returns {boolean}
+ */
+const isTokenExpired = (req) => {
+  const token = getToken(req);
+
+  if (!token) {
+    return false;
+  }
+
+  try {
+    jwt.verify(token, config.secret);
+    return false;
+  } catch (error) {
+    return error.name === 'TokenExpiredError';
+  }
+};
+
+/**
+ * Resolves the session of a request. A valid access token is accepted only while
+ * its session is active. Otherwise a browser's refresh cookie is exchanged for
+ * new tokens, which are set as cookies on the response.
+ * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
- * @param {Object} decoded - The decoded JWT payload which includes 'exp' and 'id'.
+ * @returns {Promise<Object|null>} - The active session, or null.
  */
-const renewTokenIfNecessary = (res, decoded) => {
-  const nowInSeconds = Date.now() / 1000;
-  const oneDayInSeconds = 24 * 60 * 60; // 24 hours
-
-  // Check if the token has an expiration and if it's less than a day away
-  if (decoded.exp && (decoded.exp - nowInSeconds < oneDayInSeconds)) {
-    console.log(`Token for user ${decoded.id} is nearing expiration. Renewing...`);
-
-    const newToken = jwt.sign({ id: decoded.id }, JWT_SECRET, {
-      expiresIn: '7d' // Renew for another 7 days
-    });
-
-    // Set the new token in the cookie
-    res.cookie('token', newToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
-      sameSite: 'lax',
-      path: '/'
-    });
-    console.log('Token renewed successfully.');
+const authenticate = async (req, res) => {
+  if (req.authSession) {
+    return req.authSession;
   }
+
+  const decoded = decodeToken(req);
+  if (decoded && decoded.id) {
+    const session = await sessions.findActiveSession(decoded);
+    if (session) {
+      req.authSession = session;
+      return session;
+    }
+  }
+
+  const refreshToken = req.cookies && req.cookies[sessions.REFRESH_COOKIE];
+  if (!refreshToken) {
+    return null;
+  }
+
+  const refreshed = await sessions.refreshSession(refreshToken, req);
+  if (!refreshed.success) {
+    sessions.clearAuthCookies(res);
+    return null;
+  }
+
+  sessions.setAuthCookies(res, refreshed);
+  req.authSession = refreshed.session;
+  return refreshed.session;
 };
 
 /**
  * Global middleware to universally handle user authentication state.
- * It decodes the token, fetches the user, and attaches them to `req.user` and `res.locals.user`.
+ * It checks the session, fetches the user, and attaches them to `req.user` and `res.locals.user`.
  * This middleware is NON-PROTECTIVE; it simply makes user info available if they are logged in.
  */
 const addUserToRequestAndLocals = async (req, res, next) => {
-  const decoded = decodeToken(req);
-
-  if (decoded && decoded.id) {
-    try {
-      const user = await User.findById(decoded.id).select('-password');
+  try {
+    const session = await authenticate(req, res);
+    if (session) {
+      const user = await User.findById(session.user)
+        .select('-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes');
       if (user) {
         // Attach user to the request object for use in protected routes
         req.user = user;
         // Attach user to response locals for use in EJS templates
         res.locals.user = user;
-        
-        // Check if the token needs renewal
-        renewTokenIfNecessary(res, decoded);
       }
-    } catch (error) {
-      console.error('Error fetching user during authentication:', error);
     }
+  } catch (error) {
+    console.error('Error fetching user during authentication:', error);
   }
 
   // Always continue to the next middleware
@@ -115,24 +152,24 @@ const requireAuthForPage = (req, res, next) => {
  * It checks for a valid token and an existing user, returning a JSON error if authentication fails.
  */
 const requireAuthForApi = async (req, res, next) => {
-  const decoded = decodeToken(req);
-
-  if (!decoded || !decoded.id) {
-    return res.status(403).json({ success: false, message: 'Authentication failed. No token provided.' });
-  }
-
   try {
-    const user = await User.findById(decoded.id);
+    const session = await authenticate(req, res);
+    if (!session) {
+      if (!getToken(req) && !(req.cookies && req.cookies[sessions.REFRESH_COOKIE])) {
+        return res.status(403).json({ success: false, message: 'Authentication failed. No token provided.' });
+      }
+      return res.status(401).json({ success: false, message: 'Unauthorized. Your session has expired or was revoked.' });
+    }
+
+    const user = await User.findById(session.user);
     if (!user) {
       return res.status(401).json({ success: false, message: 'Unauthorized. User not found.' });
     }
 
-    // Attach user and userId to the request for use in controllers
+    // Attach user, userId and the session ID to the request for use in controllers
     req.user = user;
     req.userId = user._id;
-
-    // Check if the token needs renewal
-    renewTokenIfNecessary(res, decoded);
+    req.sessionId = session._id;
 
     next();
   } catch (error) {
@@ -142,6 +179,10 @@ const requireAuthForApi = async (req, res, next) => {
 };
 
 const authJwt = {
+  getToken,
+  decodeToken,
+  isTokenExpired,
+  authenticate,
   addUserToRequestAndLocals,
   requireAuthForPage,
   requireAuthForApi,
@@ -0,0 +1,46 @@
+const Group = require('../models/group.model');
+const { can, getGroupRole, needsTwoFactor } = require('../utils/groupPermissions');
+
+/**
+ * Protective middleware for group API endpoints.
+ * Loads the group named by a route parameter and checks that the authenticated
+ * user's role allows the permission. Attaches `req.group` and `req.groupRole`.
+ * This middleware MUST run *after* `requireAuthForApi`.
+ * @param {string} permission - Key of PERMISSIONS in utils/groupPermissions
+ * @param {string} param - Route parameter holding the group ID (default 'id')
+ */
+const requireGroupPermission = (permission, param = 'id') => async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params[param]);
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    if (!can(group, req.user, permission)) {
+      if (needsTwoFactor(group, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This group requires admins to turn on two-factor authentication first',
+          permission,
+          twoFactorRequired: true
+        });
+      }
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do this in this group',
+        permission
+      });
+    }
+
+    req.group = group;
+    req.groupRole = getGroupRole(group, req.userId);
+    next();
+  } catch (error) {
+    console.error('Group permission check error:', error);
+    return res.status(500).json({ success: false, message: 'Server error while checking group permissions.' });
+  }
+};
+
+module.exports = {
+  requireGroupPermission
+};
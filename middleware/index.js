@@ -1,5 +1,13 @@
 const authJwt = require('./authJwt');
+const groupPermission = require('./groupPermission');
+const siteRole = require('./siteRole');
+const upload = require('./upload');
+const rateLimit = require('./rateLimit');
 
 module.exports = {
-  authJwt
+  authJwt,
+  groupPermission,
+  siteRole,
+  upload,
+  rateLimit
 };
@@ -0,0 +1,35 @@
+const { formatRetryAfter } = require('../utils/rateLimiter');
+
+/**
+ * Middleware that counts every request against a limiter from utils/rateLimiter
+ * and answers with a 429 and a Retry-After header while the key is locked out.
+ * @param {Object} limiter - Limiter from `createLimiter`
+ * @param {Function} keyFn - Gets the key to count from the request (default: IP address)
+ */
+const rateLimit = (limiter, keyFn = req => req.ip) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyFn(req);
+      const status = await limiter.check(key);
+
+      if (!status.allowed) {
+        res.set('Retry-After', String(Math.ceil(status.retryAfterMs / 1000)));
+        return res.status(429).json({
+          success: false,
+          message: `Too many requests. Please try again in ${formatRetryAfter(status.retryAfterMs)}.`
+        });
+      }
+
+      await limiter.record(key);
+      next();
+    } catch (error) {
+      // A broken limit store shouldn't take the endpoint down with it
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,28 @@
+const { hasRole } = require('../utils/siteRoles');
+
+/**
+ * Protective middleware for endpoints limited to site roles, e.g. `requireRole('admin')`.
+ * The user needs any one of the roles; roles don't include each other, so
+ * list every role that is allowed: `requireRole('moderator', 'admin')`.
+ * This middleware MUST run *after* `requireAuthForApi`.
+ * @param {...string} roles - Site role names
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    if (!req.user || !(await hasRole(req.user, ...roles))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do this',
+        requiredRoles: roles
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Site role check error:', error);
+    return res.status(500).json({ success: false, message: 'Server error while checking roles.' });
+  }
+};
+
+module.exports = {
+  requireRole
+};
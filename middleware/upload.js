@@ -0,0 +1,34 @@
+const multer = require('multer');
+
+/**
+ * Middleware that accepts multipart file uploads into memory (`req.files`),
+ * answering upload errors such as oversized files with a 400. The files are
+ * checked and stored by the controller, through utils/storage.
+ * @param {string} field - Form field holding the files
+ * @param {Object} options - { maxFiles (default 1), maxFileSize in bytes (default 5MB) }
+ */
+const uploadFiles = (field, { maxFiles = 1, maxFileSize = 5 * 1024 * 1024 } = {}) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSize,
+      files: maxFiles
+    }
+  }).array(field, maxFiles);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err instanceof multer.MulterError ? `Upload failed: ${err.message}` : err.message
+        });
+      }
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadFiles
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Account Token Schema
+ * A single-use token emailed to a user to verify their email address or
+ * reset their password. Only a hash of the token is stored.
+ */
+const AccountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['email-verification', 'password-reset'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The address the token was sent to, so a verification can't apply to a changed email
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+// Create indexes for better query performance
+AccountTokenSchema.index({ user: 1, type: 1, usedAt: 1 });
+// Remove tokens a day after they expire
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const AccountToken = mongoose.model('AccountToken', AccountTokenSchema);
+
+module.exports = AccountToken;
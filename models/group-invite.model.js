@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Group Invite Schema
+ * An emailed invitation to join a group. Only a hash of the signed
+ * token is stored; resending issues a new token and retires the old link.
+ */
+const GroupInviteSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  // SHA-256 of the most recently sent token
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  sendCount: {
+    type: Number,
+    default: 1
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Create indexes for better query performance
+GroupInviteSchema.index({ group: 1, status: 1 });
+GroupInviteSchema.index({ group: 1, email: 1 });
+
+const GroupInvite = mongoose.model('GroupInvite', GroupInviteSchema);
+
+module.exports = GroupInvite;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Group Message Schema
+ * Represents a post on a group's discussion board
+ */
+const GroupMessageSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  editedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Messages are always read per group, newest first
+GroupMessageSchema.index({ groupId: 1, createdAt: -1 });
+
+const GroupMessage = mongoose.model('GroupMessage', GroupMessageSchema);
+
+module.exports = GroupMessage;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { isValidCoordinates } = require('../utils/geo');
+const { geocodeLocationPlugin } = require('../utils/geocoder');
 
 const groupSchema = new mongoose.Schema({
   name: {
@@ -43,6 +45,23 @@ const groupSchema = new mongoose.Schema({
       type: String,
       required: [true, 'Zip code is required'],
       trim: true
+    },
+    // GeoJSON point used for "near me" searches
+    coordinates: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined,
+        validate: {
+          validator: function(v) {
+            return !v || isValidCoordinates(v);
+          },
+          message: 'Coordinates must be [longitude, latitude]'
+        }
+      }
     }
   },
   rules: {
@@ -70,6 +89,24 @@ const groupSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // The owner and admins need two-factor authentication to use their admin rights
+    requireAdminTwoFactor: {
+      type: Boolean,
+      default: false
+    },
+    // Votes a product proposal needs to be added to the shopping list
+    proposalVoteThreshold: {
+      type: Number,
+      default: 3,
+      min: [1, 'Proposals must need at least 1 vote']
+    },
+    // Days a proposal stays open for voting unless it sets its own deadline
+    proposalVotingDays: {
+      type: Number,
+      default: 7,
+      min: [1, 'Voting must stay open for at least 1 day'],
+      max: [60, 'Voting cannot stay open for more than 60 days']
+    },
     membershipFee: {
       amount: {
         type: Number,
@@ -111,6 +148,11 @@ const groupSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Group creator is required']
   },
+  // Current owner; starts as the creator and can be transferred to another admin
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   members: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -118,6 +160,31 @@ const groupSchema = new mongoose.Schema({
   admins: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  }],
+  moderators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users who may not join, request to join or accept invites
+  bannedUsers: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    bannedAt: {
+      type: Date,
+      default: Date.now
+    }
   }]
 }, {
   timestamps: true
@@ -129,6 +196,11 @@ groupSchema.index({ category: 1 });
 groupSchema.index({ createdBy: 1 });
 groupSchema.index({ members: 1 });
 groupSchema.index({ admins: 1 });
+groupSchema.index({ owner: 1 });
+groupSchema.index({ 'location.coordinates': '2dsphere' });
+
+// Fill in coordinates from the ZIP code or city/state
+groupSchema.plugin(geocodeLocationPlugin);
 
 const Group = mongoose.model('Group', groupSchema);
 
@@ -7,10 +7,20 @@ db.mongoose = mongoose;
 
 db.user = require("./user.model");
 db.role = require("./role.model");
+db.accountToken = require("./account-token.model");
+db.session = require("./session.model");
 db.message = require("./message.model");
+db.groupMessage = require("./group-message.model");
 db.group = require("./group.model");
+db.membershipRequest = require("./membership-request.model");
+db.groupInvite = require("./group-invite.model");
+db.shoppingListItem = require("./shopping-list-item.model");
+db.proposal = require("./proposal.model");
 db.listing = require("./listing.model");
+db.reservation = require("./reservation.model");
 db.order = require("./order.model");
+db.recurringOrder = require("./recurring-order.model");
+db.payment = require("./payment.model");
 db.conversation = require("./conversation.model");
 db.review = require("./review.model");
 
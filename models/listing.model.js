@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { geocodeLocationPlugin } = require('../utils/geocoder');
 
 /**
  * Marketplace listing schema
@@ -73,6 +74,9 @@ const ListingSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set by the listing expiry scheduler
+  archivedAt: Date,
+  renewedAt: Date,
   expiryDate: {
     type: Date,
     default: function() {
@@ -156,9 +160,15 @@ ListingSchema.index({
   'nutritionalInfo.ingredients': 'text'
 });
 
+// Lets the expiry scheduler find listings to archive
+ListingSchema.index({ isArchived: 1, expiryDate: 1 });
+
 // Create geospatial index for location-based queries
 ListingSchema.index({ 'location.coordinates': '2dsphere' });
 
+// Fill in coordinates from the ZIP code or city/state when the seller doesn't send them
+ListingSchema.plugin(geocodeLocationPlugin, { streetField: 'address' });
+
 const Listing = mongoose.model('Listing', ListingSchema);
 
 module.exports = Listing;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Membership Request Schema
+ * A request to join a group that needs an admin's approval, or that is
+ * waiting for a free spot because the group is full
+ */
+const MembershipRequestSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'waitlisted', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // Note from the user asking to join
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Optional explanation from the admin who reviewed the request
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+// Create indexes for better query performance
+MembershipRequestSchema.index({ group: 1, status: 1, createdAt: 1 });
+MembershipRequestSchema.index({ group: 1, user: 1 });
+
+const MembershipRequest = mongoose.model('MembershipRequest', MembershipRequestSchema);
+
+module.exports = MembershipRequest;
@@ -24,6 +24,11 @@ const OrderSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    // Most cases the organizer will buy; claims cannot exceed maxCases * totalUnits
+    maxCases: {
+      type: Number,
+      min: 0
+    },
     totalUnits: Number,
     totalPrice: Number
   }],
@@ -41,6 +46,11 @@ const OrderSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Net of payments and refunds in the payment ledger (see utils/paymentLedger)
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
     hasPaid: {
       type: Boolean,
       default: false
@@ -51,10 +61,41 @@ const OrderSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  // Every status change, oldest first (see utils/orderStateMachine)
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: String
+  }],
+  // Set once the order is confirmed; participants can no longer join or change claims
+  participantsLocked: {
+    type: Boolean,
+    default: false
+  },
   deliveryDate: {
     type: Date,
     required: true
   },
+  // Orders opened by the recurring order scheduler
+  recurringOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringOrder'
+  },
+  // Participants can join until this time
+  signupCutoff: {
+    type: Date
+  },
   deliveryLocation: {
     street: String,
     city: String,
@@ -65,6 +106,15 @@ const OrderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // How partly filled cases are settled when allocation is finalized
+  allocationPolicy: {
+    type: String,
+    enum: ['round_up', 'cancel_unfilled'],
+    default: 'round_up'
+  },
+  allocationFinalizedAt: {
+    type: Date
+  },
   paymentStatus: {
     type: String,
     enum: ['pending', 'partial', 'complete'],
@@ -95,9 +145,14 @@ OrderSchema.pre('save', function(next) {
     return total + (product.totalPrice || 0);
   }, 0);
   
+  // A participant has paid once the ledger covers their share
+  this.participants.forEach(participant => {
+    participant.hasPaid = participant.totalCost > 0 && participant.amountPaid >= participant.totalCost;
+  });
+  
   // Determine payment status
   const totalPaid = this.participants.reduce((total, participant) => {
-    return total + (participant.hasPaid ? participant.totalCost : 0);
+    return total + (participant.amountPaid || 0);
   }, 0);
   
   if (totalPaid === 0) {
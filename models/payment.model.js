@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payment Schema
+ * One entry in a group's payment ledger. Member payments and refunds move
+ * money between a participant and whoever collected it for the order;
+ * vendor payments record what the organizer paid the supplier.
+ */
+const PaymentSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['payment', 'refund', 'vendor_payment'],
+    required: true
+  },
+  // Participant who paid (payment) or was paid back (refund)
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.type !== 'vendor_payment';
+    }
+  },
+  // Always positive; the type decides which way the money moved
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'check', 'venmo', 'paypal', 'zelle', 'card', 'other'],
+    required: true
+  },
+  // Check number, Venmo transaction ID, etc.
+  reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Member who received the money (payments) or who paid it out (refunds, vendor payments)
+  paidTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  vendor: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better query performance
+PaymentSchema.index({ order: 1, paidAt: 1 });
+PaymentSchema.index({ group: 1, member: 1 });
+
+const Payment = mongoose.model('Payment', PaymentSchema);
+
+module.exports = Payment;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * Product Proposal Schema
+ * A product a member suggests the group buy. Members vote once each and
+ * the proposal moves to the shopping list when it reaches the group's
+ * vote threshold before its deadline.
+ */
+const ProposalSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  vendor: {
+    type: String,
+    trim: true
+  },
+  casePrice: {
+    type: Number,
+    required: [true, 'Case price is required'],
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  totalUnits: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  votes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    votedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Kept equal to votes.length so proposals can be sorted by votes
+  voteCount: {
+    type: Number,
+    default: 0
+  },
+  deadline: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'promoted', 'expired'],
+    default: 'open'
+  },
+  shoppingListItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShoppingListItem'
+  },
+  promotedAt: Date
+}, {
+  timestamps: true
+});
+
+// Create indexes for better query performance
+ProposalSchema.index({ group: 1, status: 1, voteCount: -1 });
+ProposalSchema.index({ status: 1, deadline: 1 });
+
+const Proposal = mongoose.model('Proposal', ProposalSchema);
+
+module.exports = Proposal;
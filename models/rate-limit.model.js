@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rate Limit Schema
+ * A counter used by the Mongo rate-limit store so limits are shared by every
+ * app instance. A counter starts again once it expires.
+ */
+const RateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Remove counters as soon as they expire
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', RateLimitSchema);
+
+module.exports = RateLimit;
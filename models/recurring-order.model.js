@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+/**
+ * Recurring Order Schema
+ * A template the scheduler uses to open a group order on one of the
+ * group's delivery days every week or every other week
+ */
+const RecurringOrderSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  // Snapshot of the shopping list items the order is built from
+  products: {
+    type: [{
+      shoppingListItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShoppingListItem'
+      },
+      productName: {
+        type: String,
+        required: true
+      },
+      vendor: String,
+      casePrice: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      // Cases the organizer is willing to buy each time
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      totalUnits: {
+        type: Number,
+        default: 1,
+        min: 1
+      }
+    }],
+    validate: {
+      validator: function(v) {
+        return v && v.length > 0;
+      },
+      message: 'At least one product is required'
+    }
+  },
+  cadence: {
+    type: String,
+    enum: ['weekly', 'biweekly'],
+    default: 'weekly'
+  },
+  deliveryDay: {
+    type: String,
+    required: [true, 'Delivery day is required'],
+    enum: {
+      values: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+      message: '{VALUE} is not a valid day'
+    }
+  },
+  // Sign-ups close this many days before delivery, at this time of day (server time)
+  cutoff: {
+    daysBefore: {
+      type: Number,
+      default: 2,
+      min: 0,
+      max: 13
+    },
+    time: {
+      type: String,
+      default: '18:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Cutoff time must be HH:mm']
+    }
+  },
+  allocationPolicy: {
+    type: String,
+    enum: ['round_up', 'cancel_unfilled'],
+    default: 'round_up'
+  },
+  deliveryLocation: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String
+  },
+  // Members who join every order with the same quantities
+  standingParticipants: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    items: [{
+      productId: String, // Reference to the product in the products array
+      quantity: {
+        type: Number,
+        min: 1
+      }
+    }]
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryDate: Date,
+  lastOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+RecurringOrderSchema.index({ group: 1 });
+RecurringOrderSchema.index({ isActive: 1 });
+
+const RecurringOrder = mongoose.model('RecurringOrder', RecurringOrderSchema);
+
+module.exports = RecurringOrder;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reservation Schema
+ * A buyer's claim on part of a marketplace listing. The quantity is taken
+ * off the listing when the reservation is made and given back if the
+ * reservation is cancelled or expires before the seller confirms pickup.
+ */
+const ReservationSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  // When the buyer will collect; the reservation expires at the end of the window
+  pickupWindow: {
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  completedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiredAt: Date
+}, {
+  timestamps: true
+});
+
+// Create indexes for better query performance
+ReservationSchema.index({ listing: 1, status: 1 });
+ReservationSchema.index({ buyer: 1, createdAt: -1 });
+ReservationSchema.index({ seller: 1, createdAt: -1 });
+ReservationSchema.index({ status: 1, 'pickupWindow.end': 1 });
+
+const Reservation = mongoose.model('Reservation', ReservationSchema);
+
+module.exports = Reservation;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * One signed-in device. Holds a hash of the device's current refresh token,
+ * which changes every time it is used, and is checked on every request so a
+ * revoked session stops working straight away.
+ */
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The token this one replaced, so a request that raced the rotation isn't mistaken for a stolen token
+  previousRefreshTokenHash: String,
+  rotatedAt: Date,
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastIpAddress: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'password-change', 'token-reuse']
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better query performance
+SessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+SessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+// Remove sessions a week after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Shopping List Item Schema
+ * A product a group wants to buy by the case; same shape as Order.products
+ */
+const ShoppingListItemSchema = new mongoose.Schema({
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  vendor: {
+    type: String,
+    trim: true
+  },
+  casePrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  totalUnits: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  // Items move to 'ordered' once converted into an order so they aren't bought twice
+  status: {
+    type: String,
+    enum: ['open', 'ordered'],
+    default: 'open'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true
+});
+
+const ShoppingListItem = mongoose.model('ShoppingListItem', ShoppingListItemSchema);
+
+module.exports = ShoppingListItem;
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { isValidCoordinates } = require("../utils/geo");
+const { geocodeLocationPlugin } = require("../utils/geocoder");
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -32,6 +34,32 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  passwordChangedAt: Date,
+  // TOTP two-factor authentication; secrets are stored encrypted and recovery codes hashed
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Secret from setup that becomes active once a code from it is confirmed
+    pendingSecret: String,
+    enabledAt: Date,
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: Number,
+    recoveryCodes: [{
+      codeHash: {
+        type: String,
+        required: true
+      },
+      usedAt: Date
+    }]
+  },
   profileImage: {
     type: String,
     default: "/assets/images/avatar-placeholder.jpg"
@@ -62,6 +90,23 @@ const userSchema = new mongoose.Schema({
       type: String,
       trim: true,
       default: ""
+    },
+    // GeoJSON point, geocoded from the address
+    coordinates: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined,
+        validate: {
+          validator: function(v) {
+            return !v || isValidCoordinates(v);
+          },
+          message: 'Coordinates must be [longitude, latitude]'
+        }
+      }
     }
   },
   phoneNumber: {
@@ -164,15 +209,43 @@ userSchema.methods.isModeratorOfGroup = function(groupId) {
   );
 };
 
-// Method to join a group
+// Method to join a group (activates a pending membership if there is one)
 userSchema.methods.joinGroup = async function(groupId, role = 'member') {
-  if (!this.isMemberOfGroup(groupId)) {
+  if (this.isMemberOfGroup(groupId)) {
+    return;
+  }
+  
+  const pending = this.groups.find(membership => 
+    membership.group.toString() === groupId.toString()
+  );
+  
+  if (pending) {
+    pending.role = role;
+    pending.joinedAt = new Date();
+    pending.status = 'active';
+  } else {
     this.groups.push({
       group: groupId,
       role: role,
       joinedAt: new Date(),
       status: 'active'
     });
+  }
+  await this.save();
+};
+
+// Method to record a pending request to join a group
+userSchema.methods.requestToJoinGroup = async function(groupId) {
+  const existing = this.groups.find(membership => 
+    membership.group.toString() === groupId.toString()
+  );
+  
+  if (!existing) {
+    this.groups.push({
+      group: groupId,
+      role: 'member',
+      status: 'pending'
+    });
     await this.save();
   }
 };
@@ -209,6 +282,10 @@ userSchema.index({ 'location.state': 1 });
 userSchema.index({ 'location.zipCode': 1 });
 userSchema.index({ 'groups.group': 1 });
 userSchema.index({ 'groups.role': 1 });
+userSchema.index({ 'location.coordinates': '2dsphere' });
+
+// Fill in coordinates from the ZIP code or city/state
+userSchema.plugin(geocodeLocationPlugin);
 
 const User = mongoose.model("User", userSchema);
 
@@ -29,6 +29,11 @@ document.addEventListener('DOMContentLoaded', function() {
     let groupEvents = [];
     let groupMembers = [];
     
+    // Real-time discussion state
+    let socket = null;
+    let typingTimeout = null;
+    const typingUsers = new Map();
+    
     // Initialize the page
     initPage();
     
@@ -49,8 +54,9 @@ document.addEventListener('DOMContentLoaded', function() {
             // Load shopping list
             loadShoppingList();
             
-            // Load discussion board
-            loadDiscussionBoard();
+            // Load discussion board and subscribe to live updates
+            await loadDiscussionBoard();
+            connectDiscussionSocket();
             
             // Load events
             loadEvents();
@@ -756,7 +762,8 @@ document.addEventListener('DOMContentLoaded', function() {
                 return;
             }
             
-            discussionMessages = await response.json();
+            const data = await response.json();
+            discussionMessages = data.messages || [];
             displayDiscussionMessages();
         } catch (error) {
             console.error('Error loading discussion messages:', error);
@@ -796,13 +803,23 @@ document.addEventListener('DOMContentLoaded', function() {
             const createdDate = new Date(message.createdAt);
             const formattedDate = createdDate.toLocaleString();
             
-            messageEl.innerHTML = `
-                <div class="message-header">
-                    <strong>${message.author.name || 'Anonymous'}</strong>
-                    <small>${formattedDate}</small>
-                </div>
-                <div class="message-content">${message.content}</div>
-            `;
+            // Build with textContent so message text is never parsed as HTML
+            const headerEl = document.createElement('div');
+            headerEl.className = 'message-header';
+            
+            const authorEl = document.createElement('strong');
+            authorEl.textContent = message.author.username || message.author.name || 'Anonymous';
+            
+            const dateEl = document.createElement('small');
+            dateEl.textContent = `${formattedDate}${message.editedAt ? ' (edited)' : ''}`;
+            
+            headerEl.append(authorEl, ' ', dateEl);
+            
+            const contentEl = document.createElement('div');
+            contentEl.className = 'message-content';
+            contentEl.textContent = message.content;
+            
+            messageEl.append(headerEl, contentEl);
             
             discussionBoard.appendChild(messageEl);
         });
@@ -861,9 +878,9 @@ document.addEventListener('DOMContentLoaded', function() {
                 return;
             }
             
-            const addedMessage = await response.json();
-            discussionMessages.unshift(addedMessage);
-            displayDiscussionMessages();
+            const data = await response.json();
+            upsertDiscussionMessage(data.message);
+            sendTypingState(false);
             messageInput.value = '';
             showToast('Success', 'Message posted', 'success');
         } catch (error) {
@@ -887,7 +904,143 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
     
-    // Sample data functions removed
+    /**
+     * Insert a message into the board, replacing any copy with the same ID
+     */
+    function upsertDiscussionMessage(message) {
+        const index = discussionMessages.findIndex(m => m._id === message._id);
+        if (index === -1) {
+            discussionMessages.unshift(message);
+        } else {
+            discussionMessages[index] = message;
+        }
+        displayDiscussionMessages();
+    }
+    
+    /**
+     * Connect to the group's discussion channel for live messages,
+     * typing indicators and presence. Requires the socket.io client script.
+     */
+    function connectDiscussionSocket() {
+        if (!currentUser || typeof io === 'undefined') {
+            return;
+        }
+        
+        // The JWT cookie is sent with the handshake and authenticates the socket
+        let refreshedForSocket = false;
+        socket = io();
+        
+        socket.on('connect', () => {
+            refreshedForSocket = false;
+            socket.emit('group:join', { groupId }, (response) => {
+                if (!response || !response.success) {
+                    console.log('Not subscribed to discussion updates:', response && response.message);
+                    return;
+                }
+                displayOnlineMembers(response.online);
+            });
+        });
+        
+        // Access tokens are short-lived: refresh once and reconnect when the handshake says so
+        socket.on('connect_error', async (error) => {
+            if (error.data && error.data.code === 'token_expired' && !refreshedForSocket) {
+                refreshedForSocket = true;
+                try {
+                    const response = await fetch('/api/auth/refresh', {
+                        method: 'POST',
+                        credentials: 'same-origin'
+                    });
+                    if (response.ok) {
+                        const data = await response.json();
+                        localStorage.setItem('token', data.token);
+                        socket.connect();
+                        return;
+                    }
+                } catch (refreshError) {
+                    console.error('Error refreshing session:', refreshError);
+                }
+            }
+            console.error('Discussion socket error:', error.message);
+        });
+        
+        socket.on('disconnect', (reason) => {
+            // The server only closes sockets itself when their session was revoked
+            if (reason === 'io server disconnect') {
+                showToast('Signed out', 'Your session has ended. Please log in again.', 'error');
+            }
+        });
+        
+        socket.on('message:new', ({ message }) => upsertDiscussionMessage(message));
+        socket.on('message:updated', ({ message }) => upsertDiscussionMessage(message));
+        socket.on('message:deleted', ({ messageId }) => {
+            discussionMessages = discussionMessages.filter(m => m._id !== messageId);
+            displayDiscussionMessages();
+        });
+        
+        socket.on('presence', ({ online }) => displayOnlineMembers(online));
+        
+        socket.on('typing', ({ userId, username, isTyping }) => {
+            if (isTyping) {
+                typingUsers.set(userId, username);
+            } else {
+                typingUsers.delete(userId);
+            }
+            displayTypingIndicator();
+        });
+        
+        // Tell others we're typing, and stop after a short pause
+        document.getElementById('message-input').addEventListener('input', () => {
+            sendTypingState(true);
+            clearTimeout(typingTimeout);
+            typingTimeout = setTimeout(() => sendTypingState(false), 3000);
+        });
+    }
+    
+    /**
+     * Broadcast whether the current user is typing
+     */
+    function sendTypingState(isTyping) {
+        if (!socket || !socket.connected) {
+            return;
+        }
+        if (!isTyping) {
+            clearTimeout(typingTimeout);
+        }
+        socket.emit('typing', { groupId, isTyping });
+    }
+    
+    /**
+     * Display who is currently typing
+     */
+    function displayTypingIndicator() {
+        const indicator = document.getElementById('typing-indicator');
+        const names = Array.from(typingUsers.values());
+        
+        if (names.length === 0) {
+            indicator.textContent = '';
+        } else if (names.length === 1) {
+            indicator.textContent = `${names[0]} is typing...`;
+        } else {
+            indicator.textContent = `${names.join(', ')} are typing...`;
+        }
+    }
+    
+    /**
+     * Display members who currently have the group open
+     */
+    function displayOnlineMembers(online = []) {
+        const container = document.getElementById('online-members');
+        container.innerHTML = '';
+        
+        if (online.length === 0) {
+            return;
+        }
+        
+        const label = document.createElement('span');
+        label.innerHTML = '<span class="online-dot"></span>';
+        label.appendChild(document.createTextNode(`Online: ${online.map(m => m.username).join(', ')}`));
+        container.appendChild(label);
+    }
     
     /**
      * Toggle the create event form visibility
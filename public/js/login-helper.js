@@ -11,6 +11,9 @@
         if (loginForm) {
             console.log('Login helper script attached to login form');
             
+            // Set when the password was right but the account needs a two-factor code
+            let twoFactorToken = null;
+            
             // Override the default form submission
             loginForm.addEventListener('submit', async function(e) {
                 e.preventDefault();
@@ -26,21 +29,64 @@
                     submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Logging in...';
                     submitBtn.disabled = true;
                     
-                    console.log('Sending login request...');
-                    const response = await fetch('/api/auth/login', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        credentials: 'same-origin',
-                        body: JSON.stringify({ username, password })
-                    });
+                    // Invite links point here with ?invite=<token>
+                    const inviteToken = new URLSearchParams(window.location.search).get('invite') || undefined;
+                    let response;
+                    
+                    if (twoFactorToken) {
+                        // Second step: a 6-digit code from the app, or a recovery code
+                        const code = document.getElementById('twoFactorCode').value.trim();
+                        const isAppCode = /^\d{6}$/.test(code.replace(/\s/g, ''));
+                        console.log('Sending two-factor code...');
+                        response = await fetch('/api/auth/login/2fa', {
+                            method: 'POST',
+                            headers: {
+                                'Content-Type': 'application/json'
+                            },
+                            credentials: 'same-origin',
+                            body: JSON.stringify({
+                                twoFactorToken,
+                                code: isAppCode ? code : undefined,
+                                recoveryCode: isAppCode ? undefined : code,
+                                inviteToken
+                            })
+                        });
+                    } else {
+                        console.log('Sending login request...');
+                        response = await fetch('/api/auth/login', {
+                            method: 'POST',
+                            headers: {
+                                'Content-Type': 'application/json'
+                            },
+                            credentials: 'same-origin',
+                            body: JSON.stringify({
+                                username,
+                                password,
+                                inviteToken
+                            })
+                        });
+                    }
                     
                     console.log('Login response status:', response.status);
                     const data = await response.json();
                     console.log('Login response data:', data);
                     
-                    if (response.ok) {
+                    if (response.ok && data.twoFactorRequired) {
+                        // Ask for the code before finishing the login
+                        twoFactorToken = data.twoFactorToken;
+                        const twoFactorGroup = document.getElementById('twoFactorGroup');
+                        const codeInput = document.getElementById('twoFactorCode');
+                        twoFactorGroup.classList.remove('d-none');
+                        codeInput.required = true;
+                        codeInput.focus();
+                        
+                        errorMessage.textContent = data.message;
+                        errorMessage.className = 'alert alert-info mb-4';
+                        errorMessage.classList.remove('d-none');
+                        
+                        submitBtn.innerHTML = originalBtnText;
+                        submitBtn.disabled = false;
+                    } else if (response.ok) {
                         // Store token in localStorage
                         if (data.token) {
                             localStorage.setItem('token', data.token);
@@ -58,7 +104,16 @@
                         
                         // Get redirect URL from query parameters
                         const urlParams = new URLSearchParams(window.location.search);
-                        const redirectUrl = urlParams.get('redirect');
+                        let redirectUrl = urlParams.get('redirect');
+                        
+                        // Go to the group if an invitation was accepted with this login
+                        if (data.invite) {
+                            if (data.invite.success) {
+                                redirectUrl = `/group-details?id=${data.invite.groupId}`;
+                            } else {
+                                errorMessage.textContent = `Login successful. ${data.invite.message}. Redirecting...`;
+                            }
+                        }
                         
                         // Redirect to dashboard or the redirect URL
                         console.log('Login successful, redirecting to:', redirectUrl || '/dashboard');
@@ -66,6 +121,14 @@
                             window.location.href = redirectUrl || '/dashboard';
                         }, 1000);
                     } else {
+                        // An expired second step starts over from the password
+                        if (twoFactorToken && response.status === 401 && /expired/i.test(data.message || '')) {
+                            twoFactorToken = null;
+                            document.getElementById('twoFactorGroup').classList.add('d-none');
+                            document.getElementById('twoFactorCode').required = false;
+                            document.getElementById('twoFactorCode').value = '';
+                        }
+                        
                         // Show error message
                         errorMessage.textContent = data.message || 'Login failed. Please check your credentials.';
                         errorMessage.className = 'alert alert-danger mb-4';
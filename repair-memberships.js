@@ -0,0 +1,37 @@
+/**
+ * Finds and fixes drift between Group.members / admins / moderators and User.groups.
+ *
+ * Usage:
+ *   node repair-memberships.js            # report and fix
+ *   node repair-memberships.js --dry-run  # report only
+ */
+const mongoose = require('mongoose');
+const { repairMembershipDrift } = require('./utils/groupMembership');
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Successfully connected to MongoDB!');
+
+  const problems = await repairMembershipDrift({ dryRun });
+
+  if (problems.length === 0) {
+    console.log('Group and user memberships are consistent.');
+  } else {
+    problems.forEach(problem => {
+      console.log(`${problem.type.padEnd(24)} group ${problem.group} user ${problem.user} -> ${problem.fix}`);
+    });
+    console.log(`${problems.length} problem(s) ${dryRun ? 'found (dry run, nothing changed)' : 'fixed'}.`);
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Membership repair failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuthForApi } = require('../middleware/authJwt');
+const { requireRole } = require('../middleware/siteRole');
+const adminController = require('../controllers/admin.controller');
+
+// Every route in this file is for site admins only
+router.use(requireAuthForApi, requireRole('admin'));
+
+// Site roles and how many users hold each
+router.get('/roles', adminController.getRoles);
+
+// Users with their site roles (?role=, ?search=, paginated)
+router.get('/users', adminController.getUsers);
+
+// Grant a site role to a user
+router.post('/users/:userId/roles', adminController.grantRole);
+
+// Revoke a site role from a user
+router.delete('/users/:userId/roles/:role', adminController.revokeRole);
+
+module.exports = router;
@@ -5,43 +5,35 @@
 const express = require('express');
 const router = express.Router();
 const marketplaceController = require('../../controllers/marketplace.controller');
+const reservationController = require('../../controllers/listing-reservation.controller');
 const { requireAuthForApi } = require('../../middleware/authJwt');
-const multer = require('multer');
-const path = require('path');
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function(req, file, cb) {
-    cb(null, 'public/uploads/marketplace');
-  },
-  filename: function(req, file, cb) {
-    cb(null, `${Date.now()}-${file.originalname}`);
-  }
-});
+const { uploadFiles } = require('../../middleware/upload');
+const listingImages = require('../../utils/listingImages');
 
-// Create upload middleware
-const upload = multer({ 
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: function(req, file, cb) {
-    const filetypes = /jpeg|jpg|png|webp/;
-    const mimetype = filetypes.test(file.mimetype);
-    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    }
-    
-    cb(new Error('Only image files are allowed!'));
-  }
+// Up to MAX_IMAGES photos in the "images" field; listingImages checks their content
+const uploadImages = uploadFiles('images', {
+  maxFiles: listingImages.MAX_IMAGES,
+  maxFileSize: listingImages.MAX_FILE_SIZE
 });
 
 // Create a new listing (protected)
-router.post('/', requireAuthForApi, upload.array('images', 5), marketplaceController.createListing);
+router.post('/', requireAuthForApi, uploadImages, marketplaceController.createListing);
 
 // Get all listings with optional filtering (public)
 router.get('/', marketplaceController.getListings);
 
+// Get the signed-in seller's listings by status (protected)
+router.get('/mine', requireAuthForApi, marketplaceController.getMyListings);
+
+// Get the signed-in user's reservations as a buyer or seller (protected)
+router.get('/reservations/mine', requireAuthForApi, reservationController.getMyReservations);
+
+// Seller confirms the buyer picked up their reservation (protected)
+router.post('/reservations/:reservationId/confirm', requireAuthForApi, reservationController.confirmReservation);
+
+// Buyer or seller cancels a reservation (protected)
+router.post('/reservations/:reservationId/cancel', requireAuthForApi, reservationController.cancelReservation);
+
 // Search listings by keyword
 router.get('/search', marketplaceController.searchListings);
 
@@ -65,8 +57,23 @@ router.get('/food-search', marketplaceController.searchFoodItems);
 // Get a single listing by ID
 router.get('/:id', marketplaceController.getListingById);
 
-// Update a listing (protected)
-router.put('/:id', requireAuthForApi, marketplaceController.updateListing);
+// Update a listing, optionally adding or replacing photos (protected)
+router.put('/:id', requireAuthForApi, uploadImages, marketplaceController.updateListing);
+
+// Get a listing's price and detail changes
+router.get('/:id/history', marketplaceController.getListingHistory);
+
+// Roll a listing back to an earlier version (protected)
+router.post('/:id/rollback', requireAuthForApi, marketplaceController.rollbackListing);
+
+// Reserve part of a listing for pickup (protected)
+router.post('/:id/reservations', requireAuthForApi, reservationController.createReservation);
+
+// Get the reservations on a listing (protected)
+router.get('/:id/reservations', requireAuthForApi, reservationController.getListingReservations);
+
+// Renew a listing before it expires, or bring back an archived one (protected)
+router.post('/:id/renew', requireAuthForApi, marketplaceController.renewListing);
 
 // Delete a listing (protected)
 router.delete('/:id', requireAuthForApi, marketplaceController.deleteListing);
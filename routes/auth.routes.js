@@ -2,6 +2,31 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
 const { requireAuthForApi } = require('../middleware/authJwt');
+const { uploadFiles } = require('../middleware/upload');
+const { rateLimit } = require('../middleware/rateLimit');
+const profileImages = require('../utils/profileImages');
+const accountTokens = require('../utils/accountTokens');
+const groupInvites = require('../utils/groupInvites');
+const sessions = require('../utils/sessions');
+const { limiters } = require('../utils/rateLimiter');
+
+/**
+ * Send a logged-in user who opened an invite link straight to the group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const acceptInviteAndRedirect = async (req, res) => {
+    try {
+        const result = await groupInvites.acceptInvite(req.query.invite, req.user);
+        if (result.success) {
+            return res.redirect(`/group-details?id=${result.groupId}`);
+        }
+        console.log('Invite not accepted:', result.message);
+    } catch (error) {
+        console.error('Error accepting invite:', error);
+    }
+    res.redirect('/dashboard');
+};
 
 /**
  * Authentication Routes
@@ -9,7 +34,10 @@ const { requireAuthForApi } = require('../middleware/authJwt');
 
 // Page routes for authentication
 router.get('/login', (req, res) => {
-    // If user is already logged in, redirect to the dashboard
+    // If user is already logged in, accept any invite and redirect to the dashboard
+    if (req.user && req.query.invite) {
+        return acceptInviteAndRedirect(req, res);
+    }
     if (req.user) {
         return res.redirect('/dashboard');
     }
@@ -19,7 +47,10 @@ router.get('/login', (req, res) => {
 });
 
 router.get('/signup', (req, res) => {
-    // If user is already logged in, redirect to the dashboard
+    // If user is already logged in, accept any invite and redirect to the dashboard
+    if (req.user && req.query.invite) {
+        return acceptInviteAndRedirect(req, res);
+    }
     if (req.user) {
         return res.redirect('/dashboard');
     }
@@ -28,22 +59,116 @@ router.get('/signup', (req, res) => {
     });
 });
 
-router.get('/logout', (req, res) => {
-    res.clearCookie('token');
+// Confirm an email address from the link in the verification email
+router.get('/verify-email', async (req, res) => {
+    try {
+        const result = await accountTokens.verifyEmail(req.query.token);
+        const param = result.success ? 'message' : 'error';
+        if (req.user) {
+            return res.redirect(`/dashboard?${param}=${encodeURIComponent(result.message)}`);
+        }
+        res.redirect(`/login?${param}=${encodeURIComponent(result.message)}`);
+    } catch (error) {
+        console.error('Error verifying email:', error);
+        res.redirect('/login?error=' + encodeURIComponent('Your email address could not be confirmed. Please try again.'));
+    }
+});
+
+router.get('/forgot-password', (req, res) => {
+    res.render('pages/forgot-password', {
+        title: 'FreshShare - Forgot Password'
+    });
+});
+
+router.get('/reset-password', (req, res) => {
+    if (!req.query.token) {
+        return res.redirect('/forgot-password');
+    }
+    res.render('pages/reset-password', {
+        title: 'FreshShare - Reset Password',
+        token: req.query.token
+    });
+});
+
+// End this device's session, then clear the cookies
+router.get('/logout', async (req, res) => {
+    try {
+        if (req.authSession) {
+            await sessions.revokeSession(req.authSession._id, req.authSession.user, 'logout');
+        } else {
+            await sessions.revokeByRefreshToken(req.cookies[sessions.REFRESH_COOKIE], 'logout');
+        }
+    } catch (error) {
+        console.error('Error revoking session on logout:', error);
+    }
+    sessions.clearAuthCookies(res);
     res.redirect('/');
 });
 
 // API routes
-// Register a new user
-router.post('/api/auth/signup', authController.signup);
+// Register a new user (limited per IP address)
+router.post('/api/auth/signup', rateLimit(limiters.signup), authController.signup);
 
-// Login a user
+// Login a user with username or email (failed attempts are limited per account and IP address)
 router.post('/api/auth/login', authController.login);
 
+// Second login step for accounts with two-factor authentication
+router.post('/api/auth/login/2fa', authController.loginTwoFactor);
+
+// Get a new access token with a refresh token
+router.post('/api/auth/refresh', authController.refreshToken);
+
+// Log out this device
+router.post('/api/auth/logout', authController.logout);
+
+// List the devices the user is logged in on (protected route)
+router.get('/api/auth/sessions', requireAuthForApi, authController.getSessions);
+
+// Log out of all devices (protected route)
+router.delete('/api/auth/sessions', requireAuthForApi, authController.revokeAllSessions);
+
+// Log out of one device (protected route)
+router.delete('/api/auth/sessions/:sessionId', requireAuthForApi, authController.revokeSession);
+
 // Get user profile (protected route)
 router.get('/api/auth/profile', requireAuthForApi, authController.getUserProfile);
 
 // Update user profile (protected route)
 router.put('/api/auth/profile', requireAuthForApi, authController.updateUserProfile);
 
+// Confirm an email address with the token from the verification email
+router.post('/api/auth/verify-email', authController.verifyEmail);
+
+// Send a new verification email (protected route)
+router.post('/api/auth/verify-email/resend', requireAuthForApi, authController.resendVerificationEmail);
+
+// Email a password reset link
+router.post(
+    '/api/auth/forgot-password',
+    rateLimit(limiters.forgotPasswordIp),
+    rateLimit(limiters.forgotPasswordEmail, req => String(req.body.email || '').trim().toLowerCase()),
+    authController.forgotPassword
+);
+
+// Choose a new password with the token from the reset email
+router.post('/api/auth/reset-password', rateLimit(limiters.resetPasswordIp), authController.resetPassword);
+
+// Change password, given the current one (protected route)
+router.put('/api/auth/password', requireAuthForApi, authController.changePassword);
+
+// Two-factor authentication status, setup and recovery codes (protected routes)
+router.get('/api/auth/2fa', requireAuthForApi, authController.getTwoFactorStatus);
+router.post('/api/auth/2fa/setup', requireAuthForApi, authController.setupTwoFactor);
+router.post('/api/auth/2fa/enable', requireAuthForApi, authController.enableTwoFactor);
+router.post('/api/auth/2fa/disable', requireAuthForApi, authController.disableTwoFactor);
+router.post('/api/auth/2fa/recovery-codes', requireAuthForApi, authController.regenerateRecoveryCodes);
+
+// Upload a new profile picture (protected route)
+router.put(
+    '/api/auth/profile/image',
+    requireAuthForApi,
+    uploadFiles('profileImage', { maxFileSize: profileImages.MAX_FILE_SIZE }),
+    authController.updateProfileImage
+);
+
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuthForApi } = require('../middleware/authJwt');
+const conversationController = require('../controllers/conversation.controller');
+const { uploadFiles } = require('../middleware/upload');
+const messageAttachments = require('../utils/messageAttachments');
+
+// Apply authentication middleware to all routes in this file
+router.use(requireAuthForApi);
+
+// List my conversations, most recent first
+router.get('/', conversationController.getConversations);
+
+// Start (or reopen) a conversation with a listing's seller or a group member
+router.post('/', conversationController.startConversation);
+
+// Unread message counts for the dashboard
+router.get('/unread', conversationController.getUnreadCounts);
+
+// Page through a conversation's messages
+router.get('/:id/messages', conversationController.getMessages);
+
+// Send a message, optionally with files in the "files" field
+router.post(
+  '/:id/messages',
+  uploadFiles('files', { maxFiles: messageAttachments.MAX_ATTACHMENTS, maxFileSize: messageAttachments.MAX_FILE_SIZE }),
+  conversationController.sendMessage
+);
+
+// Mark messages as read
+router.put('/:id/read', conversationController.markAsRead);
+
+module.exports = router;
@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuthForApi } = require('../middleware/authJwt');
+const { requireGroupPermission } = require('../middleware/groupPermission');
+const { rateLimit } = require('../middleware/rateLimit');
+const { limiters } = require('../utils/rateLimiter');
 const groupController = require('../controllers/group.controller');
+const groupMemberController = require('../controllers/group-member.controller');
+const proposalController = require('../controllers/proposal.controller');
 
 // ===== GROUP MANAGEMENT =====
 
@@ -31,20 +36,57 @@ router.post('/:id/leave', requireAuthForApi, groupController.leaveGroup);
 // Get group members (protected)
 router.get('/:id/members', requireAuthForApi, groupController.getGroupMembers);
 
-// Invite a user to the group (protected)
-router.post('/:id/invite', requireAuthForApi, groupController.inviteToGroup);
+// Promote or demote a member (protected, owner and admins)
+router.put('/:id/members/:userId/role', requireAuthForApi, requireGroupPermission('members.changeRole'), groupMemberController.updateMemberRole);
+
+// Remove a member (protected, owner, admins and moderators)
+router.delete('/:id/members/:userId', requireAuthForApi, requireGroupPermission('members.remove'), groupMemberController.removeMember);
+
+// Transfer ownership to another member (protected, owner)
+router.put('/:id/owner', requireAuthForApi, requireGroupPermission('group.transferOwnership'), groupMemberController.transferOwnership);
+
+// Ban and unban users (protected, owner and admins)
+router.get('/:id/bans', requireAuthForApi, requireGroupPermission('members.ban'), groupMemberController.getBans);
+router.post('/:id/bans', requireAuthForApi, requireGroupPermission('members.ban'), groupMemberController.banMember);
+router.delete('/:id/bans/:userId', requireAuthForApi, requireGroupPermission('members.ban'), groupMemberController.unbanMember);
+
+// Pending join requests and waitlist (protected, owner, admins and moderators)
+router.get('/:id/requests', requireAuthForApi, groupController.getMembershipRequests);
+
+// Approve or reject a join request (protected, owner, admins and moderators)
+router.post('/:id/requests/:requestId/review', requireAuthForApi, groupController.reviewMembershipRequest);
+
+// Invite someone to the group by email (protected)
+router.post('/:id/invite', requireAuthForApi, rateLimit(limiters.invite, req => req.userId.toString()), groupController.inviteToGroup);
+
+// List, resend and revoke invitations (protected, owner, admins and moderators)
+router.get('/:id/invites', requireAuthForApi, groupController.getInvites);
+router.post('/:id/invites/:inviteId/resend', requireAuthForApi, rateLimit(limiters.invite, req => req.userId.toString()), groupController.resendInvite);
+router.delete('/:id/invites/:inviteId', requireAuthForApi, groupController.revokeInvite);
+
+// Accept an invitation as the logged-in user (protected)
+router.post('/invites/accept', rateLimit(limiters.inviteAccept), requireAuthForApi, groupController.acceptInvite);
 
 // ===== SHOPPING LIST MANAGEMENT (all protected) =====
 
 router.get('/:id/shopping-list', requireAuthForApi, groupController.getShoppingList);
 router.post('/:id/shopping-list', requireAuthForApi, groupController.addShoppingListItem);
+router.post('/:id/shopping-list/convert', requireAuthForApi, groupController.convertShoppingListToOrder);
 router.put('/:id/shopping-list/:itemId', requireAuthForApi, groupController.updateShoppingListItem);
 router.delete('/:id/shopping-list/:itemId', requireAuthForApi, groupController.deleteShoppingListItem);
 
+// ===== PRODUCT PROPOSALS (all protected) =====
+
+router.get('/:id/proposals', requireAuthForApi, proposalController.getProposals);
+router.post('/:id/proposals', requireAuthForApi, proposalController.createProposal);
+router.post('/:id/proposals/:proposalId/vote', requireAuthForApi, proposalController.voteForProposal);
+router.delete('/:id/proposals/:proposalId/vote', requireAuthForApi, proposalController.retractVote);
+
 // ===== DISCUSSION BOARD (all protected) =====
 
 router.get('/:id/messages', requireAuthForApi, groupController.getMessages);
 router.post('/:id/messages', requireAuthForApi, groupController.addMessage);
+router.put('/:id/messages/:messageId', requireAuthForApi, groupController.updateMessage);
 router.delete('/:id/messages/:messageId', requireAuthForApi, groupController.deleteMessage);
 
 // ===== EVENT MANAGEMENT (all protected) =====
@@ -56,120 +98,14 @@ router.delete('/:id/events/:eventId', requireAuthForApi, groupController.deleteE
 
 // ===== LEGACY ROUTES (all protected) =====
 
-// Propose a new product
-router.post('/:id/propose-product', requireAuthForApi, async (req, res) => {
-    try {
-        const groupId = req.params.id;
-        const product = req.body;
-        
-        // Find the group
-        const group = await require('../models/group.model').findById(groupId);
-        
-        if (!group) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Group not found' 
-            });
-        }
-        
-        // Check if user is a member
-        const isMember = group.members.includes(req.userId);
-        
-        if (!isMember) {
-            return res.status(403).json({ 
-                success: false, 
-                message: 'You must be a member to propose products' 
-            });
-        }
-        
-        // Add product to proposed products
-        if (!group.proposedProducts) {
-            group.proposedProducts = [];
-        }
-        
-        group.proposedProducts.push({
-            ...product,
-            proposedBy: req.userId,
-            votes: 0,
-            dateProposed: new Date()
-        });
-        
-        await group.save();
-        
-        res.status(200).json({ 
-            success: true, 
-            message: 'Product proposed successfully',
-            product
-        });
-    } catch (error) {
-        console.error('Error proposing product:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Failed to propose product'
-        });
-    }
-});
+// Propose a new product (forwards to the proposals endpoint)
+router.post('/:id/propose-product', requireAuthForApi, proposalController.createProposal);
 
-// Vote on a proposed product
-router.post('/:groupId/vote/:productId', requireAuthForApi, async (req, res) => {
-    try {
-        const { groupId, productId } = req.params;
-        
-        // Find the group
-        const group = await require('../models/group.model').findById(groupId);
-        
-        if (!group) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Group not found' 
-            });
-        }
-        
-        // Check if user is a member
-        const isMember = group.members.includes(req.userId);
-        
-        if (!isMember) {
-            return res.status(403).json({ 
-                success: false, 
-                message: 'You must be a member to vote on products' 
-            });
-        }
-        
-        // Find the product
-        if (!group.proposedProducts) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'No proposed products found' 
-            });
-        }
-        
-        const productIndex = group.proposedProducts.findIndex(
-            product => product._id.toString() === productId
-        );
-        
-        if (productIndex === -1) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Product not found' 
-            });
-        }
-        
-        // Increment vote count
-        group.proposedProducts[productIndex].votes += 1;
-        await group.save();
-        
-        res.status(200).json({ 
-            success: true, 
-            message: 'Vote recorded successfully',
-            votes: group.proposedProducts[productIndex].votes
-        });
-    } catch (error) {
-        console.error('Error voting on product:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Failed to record vote'
-        });
-    }
+// Vote on a proposed product (forwards to the proposals endpoint)
+router.post('/:groupId/vote/:productId', requireAuthForApi, (req, res) => {
+    req.params.id = req.params.groupId;
+    req.params.proposalId = req.params.productId;
+    return proposalController.voteForProposal(req, res);
 });
 
 // Legacy discussion board route (for backward compatibility)
@@ -0,0 +1,42 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const storage = require('../utils/storage');
+
+// Types the browser may show inline; everything else is downloaded
+const INLINE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+
+// Serve a stored file through a signed URL made by the local storage driver
+router.get('/*', async (req, res) => {
+  const key = req.params[0];
+
+  if (!storage.verifySignature(key, req.query)) {
+    return res.status(403).json({ success: false, message: 'This link is invalid or has expired' });
+  }
+
+  try {
+    const stream = await storage.read(key);
+    if (!stream) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    const extension = path.extname(key).toLowerCase();
+    res.type(extension || 'application/octet-stream');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, max-age=300');
+    if (!INLINE_EXTENSIONS.includes(extension)) {
+      res.attachment(path.basename(key));
+    }
+
+    stream.on('error', (err) => {
+      console.error('Error streaming stored file:', err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error serving stored file:', error);
+    res.status(500).json({ success: false, message: 'Error reading file' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { requireAuthForApi } = require('../middleware/authJwt');
 const orderController = require('../controllers/order.controller');
+const paymentController = require('../controllers/payment.controller');
 
 // Apply authentication middleware to all routes in this file
 router.use(requireAuthForApi);
@@ -12,16 +13,41 @@ router.post('/', orderController.createOrder);
 // Get all orders for a group
 router.get('/group/:groupId', orderController.getGroupOrders);
 
+// Who owes what across a group's orders
+router.get('/group/:groupId/balances', paymentController.getGroupBalances);
+
+// Money collected from members vs. paid to vendors, per order
+router.get('/group/:groupId/reconciliation', paymentController.getGroupReconciliation);
+
 // Get a specific order by ID
 router.get('/:orderId', orderController.getOrderById);
 
 // Update an order
 router.put('/:orderId', orderController.updateOrder);
 
+// Move an order through its lifecycle
+router.put('/:orderId/status', orderController.updateOrderStatus);
+
+// Status history and allowed next statuses
+router.get('/:orderId/history', orderController.getStatusHistory);
+
 // Join an order as a participant
 router.post('/:orderId/join', orderController.joinOrder);
 
-// Update payment status
+// Claimed and remaining units per product
+router.get('/:orderId/allocation', orderController.getAllocation);
+
+// Choose how partly filled cases are settled
+router.put('/:orderId/allocation/policy', orderController.setAllocationPolicy);
+
+// Close claims and settle partly filled cases
+router.post('/:orderId/allocation/finalize', orderController.finalizeAllocation);
+
+// Payment ledger for an order
+router.get('/:orderId/payments', paymentController.getOrderPayments);
+router.post('/:orderId/payments', paymentController.recordPayment);
+
+// Update payment status (legacy paid/unpaid toggle, recorded in the ledger)
 router.put('/:orderId/payment', orderController.updatePaymentStatus);
 
 // Cancel an order
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuthForApi } = require('../middleware/authJwt');
+const recurringOrderController = require('../controllers/recurring-order.controller');
+
+// Apply authentication middleware to all routes in this file
+router.use(requireAuthForApi);
+
+// Create a recurring order from shopping list items
+router.post('/', recurringOrderController.createRecurringOrder);
+
+// Get all recurring orders for a group
+router.get('/group/:groupId', recurringOrderController.getGroupRecurringOrders);
+
+// Update schedule or settings
+router.put('/:templateId', recurringOrderController.updateRecurringOrder);
+
+// Delete a recurring order
+router.delete('/:templateId', recurringOrderController.deleteRecurringOrder);
+
+// Set my standing quantities
+router.put('/:templateId/standing', recurringOrderController.setStandingQuantities);
+
+// Open the next order now
+router.post('/:templateId/open', recurringOrderController.openNextOrder);
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const http = require('http');
 const path = require('path');
 const expressLayouts = require('express-ejs-layouts');
 const cors = require('cors');
@@ -6,13 +7,20 @@ const mongoose = require('mongoose');
 const cookieParser = require('cookie-parser');
 const fs = require('fs');
 const { addUserToRequestAndLocals, requireAuthForPage } = require('./middleware/authJwt');
+const { initSocket } = require('./sockets');
+const { startScheduler } = require('./utils/recurringOrderScheduler');
+const listingExpiry = require('./utils/listingExpiryScheduler');
 
 // Load environment variables from .env file
 require('dotenv').config();
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 3001;
 
+// Real-time group discussion channels share the HTTP server with Express
+initSocket(server);
+
 // Connect to MongoDB
 const connectDB = async () => {
   try {
@@ -21,9 +29,15 @@ const connectDB = async () => {
     
     // Initialize database and start server
     await initializeDatabase();
-    app.listen(PORT, () => {
+    server.listen(PORT, () => {
       console.log(`Server is running on http://localhost:${PORT}`);
     });
+    
+    // Open recurring group orders and close sign-ups at their cutoff
+    startScheduler();
+
+    // Archive marketplace listings and expire reservations once they lapse
+    listingExpiry.startScheduler();
   } catch (err) {
     console.error('MongoDB connection error:', err.message);
     console.log('Retrying connection in 5 seconds...');
@@ -67,24 +81,26 @@ process.on('SIGINT', async () => {
 // Initialize database with roles if needed
 async function initializeDatabase() {
   try {
-    const db = require('./models');
-    const Role = db.role;
-    
-    const count = await Role.estimatedDocumentCount();
-    
-    if (count === 0) {
-      await Promise.all([
-        new Role({ name: "user" }).save(),
-        new Role({ name: "moderator" }).save(),
-        new Role({ name: "admin" }).save()
-      ]);
-      console.log('Added roles to database');
+    const siteRoles = require('./utils/siteRoles');
+
+    await siteRoles.ensureRoles();
+
+    // Accounts created before signup assigned a role get the default one
+    const updated = await siteRoles.assignDefaultRoleToAll();
+    if (updated > 0) {
+      console.log(`Gave the ${siteRoles.DEFAULT_ROLE} role to ${updated} user(s)`);
     }
   } catch (err) {
     console.error('Error initializing database:', err);
   }
 }
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address for rate limits
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  app.set('trust proxy', TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -137,6 +153,12 @@ app.use('/', authRoutes); // Mount at root for pages
 app.use('/api/marketplace', marketplaceApiRoutes);
 app.use('/api/groups', require('./routes/groups.routes'));
 app.use('/api/orders', require('./routes/orders.routes'));
+app.use('/api/conversations', require('./routes/conversations.routes'));
+app.use('/api/recurring-orders', require('./routes/recurring-orders.routes'));
+app.use('/api/admin', require('./routes/admin.routes'));
+
+// Signed links to stored files (local storage driver)
+app.use('/media', require('./routes/media.routes'));
 
 // Page Routes
 const pageRoutes = require('./routes/pages.routes');
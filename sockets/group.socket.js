@@ -0,0 +1,167 @@
+/**
+ * Group Discussion Socket Handlers
+ * Handles joining group channels, typing indicators and member presence.
+ * New, edited and deleted messages are written through the REST API and
+ * broadcast to the channel from group.controller.
+ */
+const Group = require('../models/group.model');
+
+// groupId -> Map(userId -> { username, sockets: Set<socketId> })
+const presence = new Map();
+
+/**
+ * Name of the Socket.IO room for a group
+ * @param {string} groupId - Group ID
+ * @returns {string} - Room name
+ */
+const groupRoom = (groupId) => `group:${groupId}`;
+
+/**
+ * List the members currently online in a group
+ * @param {string} groupId - Group ID
+ * @returns {Array<Object>} - [{ userId, username }]
+ */
+const getOnlineMembers = (groupId) => {
+  const online = presence.get(groupId);
+  if (!online) {
+    return [];
+  }
+  return Array.from(online.entries()).map(([userId, entry]) => ({
+    userId,
+    username: entry.username
+  }));
+};
+
+/**
+ * Record a socket as present in a group
+ * @returns {boolean} - True if this is the user's first socket in the group
+ */
+const addPresence = (groupId, socket) => {
+  if (!presence.has(groupId)) {
+    presence.set(groupId, new Map());
+  }
+  const online = presence.get(groupId);
+  const entry = online.get(socket.userId);
+
+  if (entry) {
+    entry.sockets.add(socket.id);
+    return false;
+  }
+
+  online.set(socket.userId, {
+    username: socket.user.username,
+    sockets: new Set([socket.id])
+  });
+  return true;
+};
+
+/**
+ * Remove a socket from a group's presence
+ * @returns {boolean} - True if the user has no sockets left in the group
+ */
+const removePresence = (groupId, socket) => {
+  const online = presence.get(groupId);
+  const entry = online && online.get(socket.userId);
+  if (!entry) {
+    return false;
+  }
+
+  entry.sockets.delete(socket.id);
+  if (entry.sockets.size > 0) {
+    return false;
+  }
+
+  online.delete(socket.userId);
+  if (online.size === 0) {
+    presence.delete(groupId);
+  }
+  return true;
+};
+
+/**
+ * Register group channel handlers for a connected socket
+ * @param {Object} io - Socket.IO server
+ * @param {Object} socket - Authenticated socket (socket.user, socket.userId)
+ */
+const registerGroupHandlers = (io, socket) => {
+  // Groups this socket has joined, so they can be cleaned up on disconnect
+  const joinedGroups = new Set();
+
+  const leave = (groupId) => {
+    if (!joinedGroups.has(groupId)) {
+      return;
+    }
+    joinedGroups.delete(groupId);
+    socket.leave(groupRoom(groupId));
+
+    socket.to(groupRoom(groupId)).emit('typing', {
+      groupId,
+      userId: socket.userId,
+      username: socket.user.username,
+      isTyping: false
+    });
+
+    if (removePresence(groupId, socket)) {
+      io.to(groupRoom(groupId)).emit('presence', {
+        groupId,
+        online: getOnlineMembers(groupId)
+      });
+    }
+  };
+
+  socket.on('group:join', async ({ groupId } = {}, ack = () => {}) => {
+    try {
+      const group = groupId && await Group.findById(groupId).select('members');
+      if (!group) {
+        return ack({ success: false, message: 'Group not found' });
+      }
+
+      const isMember = group.members.some(member => member.toString() === socket.userId);
+      if (!isMember) {
+        return ack({ success: false, message: 'Only group members can join the discussion' });
+      }
+
+      groupId = group._id.toString();
+      if (!joinedGroups.has(groupId)) {
+        joinedGroups.add(groupId);
+        socket.join(groupRoom(groupId));
+        addPresence(groupId, socket);
+        io.to(groupRoom(groupId)).emit('presence', {
+          groupId,
+          online: getOnlineMembers(groupId)
+        });
+      }
+
+      ack({ success: true, online: getOnlineMembers(groupId) });
+    } catch (err) {
+      console.error('Error in group:join:', err);
+      ack({ success: false, message: 'Error joining group channel' });
+    }
+  });
+
+  socket.on('group:leave', ({ groupId } = {}) => {
+    leave(String(groupId));
+  });
+
+  socket.on('typing', ({ groupId, isTyping } = {}) => {
+    groupId = String(groupId);
+    if (!joinedGroups.has(groupId)) {
+      return;
+    }
+    socket.to(groupRoom(groupId)).emit('typing', {
+      groupId,
+      userId: socket.userId,
+      username: socket.user.username,
+      isTyping: Boolean(isTyping)
+    });
+  });
+
+  socket.on('disconnect', () => {
+    Array.from(joinedGroups).forEach(leave);
+  });
+};
+
+registerGroupHandlers.groupRoom = groupRoom;
+registerGroupHandlers.getOnlineMembers = getOnlineMembers;
+
+module.exports = registerGroupHandlers;
@@ -0,0 +1,128 @@
+/**
+ * Socket.IO Server
+ * Attaches the real-time layer to the HTTP server and authenticates
+ * every connection with the same JWT used by the REST API.
+ * Each socket joins a room for its session and one for its user, so
+ * revoking sessions disconnects their sockets straight away.
+ */
+const { Server } = require('socket.io');
+const cookieParser = require('cookie-parser');
+const { decodeToken, isTokenExpired } = require('../middleware/authJwt');
+const db = require('../models');
+const sessions = require('../utils/sessions');
+const registerGroupHandlers = require('./group.socket');
+const User = db.user;
+
+let io = null;
+
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Build a handshake error. `data.code` tells the client what to do:
+ * 'token_expired' means call /api/auth/refresh and connect again.
+ * @param {string} message - Error message
+ * @param {string} code - Machine-readable reason
+ * @returns {Error}
+ */
+const handshakeError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+/**
+ * Socket middleware that resolves the user from the handshake cookie
+ * @param {Object} socket - Socket.IO socket
+ * @param {Function} next - Callback to accept or reject the connection
+ */
+const authenticateSocket = (socket, next) => {
+  // Reuse cookie-parser so decodeToken sees the same req.cookies shape as Express
+  cookieParser()(socket.request, {}, async () => {
+    const decoded = decodeToken(socket.request);
+
+    if (!decoded || !decoded.id) {
+      if (isTokenExpired(socket.request)) {
+        return next(handshakeError('Your access token has expired. Refresh it and reconnect.', 'token_expired'));
+      }
+      return next(handshakeError('Authentication failed. No token provided.', 'unauthenticated'));
+    }
+
+    try {
+      const session = await sessions.findActiveSession(decoded);
+      if (!session) {
+        return next(handshakeError('Unauthorized. Your session has expired or was revoked.', 'session_revoked'));
+      }
+
+      const user = await User.findById(decoded.id).select('username profileImage');
+      if (!user) {
+        return next(handshakeError('Unauthorized. User not found.', 'unauthenticated'));
+      }
+
+      socket.user = user;
+      socket.userId = user._id.toString();
+      socket.sessionId = session._id.toString();
+      socket.join([sessionRoom(socket.sessionId), userRoom(socket.userId)]);
+      next();
+    } catch (error) {
+      console.error('Socket authentication error:', error);
+      next(new Error('Server error during socket authentication.'));
+    }
+  });
+};
+
+/**
+ * Disconnect the sockets of revoked sessions
+ * @param {Object} revoked - { sessionId } or { userId, except } as emitted by utils/sessions
+ */
+const disconnectRevokedSessions = ({ sessionId, userId, except }) => {
+  if (!io) {
+    return;
+  }
+  if (sessionId) {
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+    return;
+  }
+
+  const sockets = io.in(userRoom(userId));
+  (except ? sockets.except(sessionRoom(except)) : sockets).disconnectSockets(true);
+};
+
+sessions.events.on('revoked', disconnectRevokedSessions);
+
+/**
+ * Create the Socket.IO server for an HTTP server
+ * @param {Object} httpServer - Node HTTP server that Express is mounted on
+ * @returns {Object} - Socket.IO server instance
+ */
+const initSocket = (httpServer) => {
+  io = new Server(httpServer);
+
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    console.log(`Socket connected for user ${socket.userId}`);
+    registerGroupHandlers(io, socket);
+  });
+
+  return io;
+};
+
+/**
+ * Broadcast an event to everyone viewing a group
+ * Does nothing when the socket server has not been started (e.g. in scripts)
+ * @param {string} groupId - Group ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+const emitToGroup = (groupId, event, payload) => {
+  if (!io) {
+    return;
+  }
+  io.to(registerGroupHandlers.groupRoom(groupId)).emit(event, payload);
+};
+
+module.exports = {
+  initSocket,
+  emitToGroup
+};
@@ -0,0 +1,50 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockResponse } = require('./helpers');
+const db = require('../models');
+const adminController = require('../controllers/admin.controller');
+
+const listUsers = async (query) => {
+  const calls = {};
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    skip: (skip) => {
+      calls.skip = skip;
+      return chain;
+    },
+    limit: async (limit) => {
+      calls.limit = limit;
+      return [];
+    }
+  };
+  mock.method(db.user, 'find', () => chain);
+  mock.method(db.user, 'countDocuments', async () => 30);
+
+  const res = mockResponse();
+  await adminController.getUsers({ query }, res);
+  return { res, ...calls };
+};
+
+describe('getUsers', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('pages with the defaults', async () => {
+    const { res, skip, limit } = await listUsers({ page: '2' });
+    assert.strictEqual(skip, 20);
+    assert.strictEqual(limit, 20);
+    assert.deepStrictEqual(res.body.pagination, { total: 30, page: 2, limit: 20, pages: 2 });
+  });
+
+  it('clamps page and limit', async () => {
+    const low = await listUsers({ page: '0', limit: '0' });
+    assert.strictEqual(low.skip, 0);
+    assert.strictEqual(low.limit, 20);
+    assert.strictEqual(low.res.body.pagination.pages, 2);
+
+    const high = await listUsers({ page: '-1', limit: '1000' });
+    assert.strictEqual(high.skip, 0);
+    assert.strictEqual(high.limit, 100);
+  });
+});
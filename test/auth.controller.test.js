@@ -0,0 +1,177 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { mockResponse } = require('./helpers');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const rateLimiter = require('../utils/rateLimiter');
+const twoFactor = require('../utils/twoFactor');
+const authController = require('../controllers/auth.controller');
+
+const userId = new mongoose.Types.ObjectId();
+const currentSessionId = new mongoose.Types.ObjectId();
+
+const revoke = async (sessionId) => {
+  const res = mockResponse();
+  await authController.revokeSession({
+    params: { sessionId },
+    userId: userId.toString(),
+    sessionId: currentSessionId
+  }, res);
+  return res;
+};
+
+describe('revokeSession', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('returns 404 for a malformed session ID', async () => {
+    const update = mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const res = await revoke('not-an-id');
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(update.mock.callCount(), 0);
+  });
+
+  it('returns 404 for someone else\'s or an already revoked session', async () => {
+    mock.method(Session, 'updateOne', async () => ({ modifiedCount: 0 }));
+    const res = await revoke(new mongoose.Types.ObjectId().toString());
+
+    assert.strictEqual(res.statusCode, 404);
+  });
+
+  it('revokes the session and logs out when it is the current one', async () => {
+    const update = mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const res = await revoke(currentSessionId.toString());
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.current, true);
+    assert.deepStrictEqual(update.mock.calls[0].arguments[0], {
+      _id: currentSessionId.toString(),
+      user: userId.toString(),
+      revokedAt: null
+    });
+  });
+});
+
+describe('login', () => {
+  const password = 'Correct-horse-1';
+  let user;
+
+  beforeEach(() => {
+    rateLimiter.setStore('memory');
+    user = new User({
+      username: 'ann',
+      email: 'ann@example.com',
+      password: bcrypt.hashSync(password, 4)
+    });
+    mock.method(User, 'findOne', async (filter) => {
+      const matches = filter.$or.some(condition => condition.username === user.username || condition.email === user.email);
+      return matches ? user : null;
+    });
+    mock.method(User, 'findById', async (id) => (String(id) === user._id.toString() ? user : null));
+    mock.method(Session, 'create', async (fields) => new Session(fields));
+  });
+  afterEach(() => {
+    rateLimiter.setStore(null);
+    mock.restoreAll();
+  });
+
+  const login = async (body, ip = '203.0.113.7') => {
+    const res = mockResponse();
+    await authController.login({ body, ip, get: () => 'node-test' }, res);
+    return res;
+  };
+
+  it('logs in by username or email and starts a session', async () => {
+    for (const username of ['ann', 'ANN@example.com ']) {
+      const res = await login({ username, password });
+      assert.strictEqual(res.statusCode, 200);
+      assert.ok(res.body.token);
+      assert.ok(res.cookies.refreshToken);
+    }
+  });
+
+  it('answers unknown accounts and wrong passwords the same way', async () => {
+    const unknown = await login({ username: 'nobody', password });
+    const wrong = await login({ username: 'ann', password: 'wrong' });
+
+    assert.strictEqual(unknown.statusCode, 401);
+    assert.deepStrictEqual(unknown.body, wrong.body);
+  });
+
+  it('locks the account out after repeated failures, even for the right password', async () => {
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual((await login({ username: 'ann', password: 'wrong' })).statusCode, 401);
+    }
+    const res = await login({ username: 'Ann', password }, '198.51.100.9');
+
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.headers['Retry-After'], '60');
+  });
+
+  it('asks for a second step when 2FA is on and counts wrong codes', async () => {
+    const secret = twoFactor.generateSecret();
+    user.twoFactor = { enabled: true, secret: twoFactor.encryptSecret(secret), recoveryCodes: [] };
+    const first = await login({ username: 'ann', password });
+
+    assert.strictEqual(first.body.twoFactorRequired, true);
+    assert.strictEqual(first.body.token, undefined);
+
+    const step = async (code) => {
+      const res = mockResponse();
+      await authController.loginTwoFactor({
+        body: { twoFactorToken: first.body.twoFactorToken, code },
+        ip: '203.0.113.7',
+        get: () => 'node-test'
+      }, res);
+      return res;
+    };
+
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const code = twoFactor.generateCode(secret, Math.floor(Date.now() / 1000 / 30));
+    const done = await step(code);
+    assert.strictEqual(done.statusCode, 200);
+    assert.strictEqual(done.body.twoFactorMethod, 'totp');
+
+    const wrong = code === '000000' ? '111111' : '000000';
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual((await step(wrong)).statusCode, 401);
+    }
+    assert.strictEqual((await step(code)).statusCode, 429);
+  });
+});
+
+describe('regenerateRecoveryCodes', () => {
+  beforeEach(() => rateLimiter.setStore('memory'));
+  afterEach(() => {
+    rateLimiter.setStore(null);
+    mock.restoreAll();
+  });
+
+  const regenerate = async (code) => {
+    const res = mockResponse();
+    await authController.regenerateRecoveryCodes({
+      body: { code },
+      user: { _id: userId },
+      userId
+    }, res);
+    return res;
+  };
+
+  it('only counts wrong codes, in a bucket apart from the login step', async () => {
+    mock.method(twoFactor, 'verify', async (user, { code }) => (
+      code === '123456' ? { success: true, method: 'totp' } : { success: false, message: 'That code is not valid.' }
+    ));
+    mock.method(twoFactor, 'regenerateRecoveryCodes', async () => ['abcde-fghij']);
+
+    for (let i = 0; i < 6; i++) {
+      assert.strictEqual((await regenerate('123456')).statusCode, 200);
+    }
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual((await regenerate('000000')).statusCode, 400);
+    }
+    assert.strictEqual((await regenerate('123456')).statusCode, 429);
+    assert.strictEqual((await rateLimiter.limiters.twoFactor.check(userId.toString())).allowed, true);
+  });
+});
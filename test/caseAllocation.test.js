@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const caseAllocation = require('../utils/caseAllocation');
+
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+
+// Apples come 12 to a $24 case ($2 a unit); the organizer buys up to 2 cases
+const buildOrder = (claims, { allocationPolicy = 'round_up', maxCases = 2 } = {}) => {
+  const order = new Order({
+    group: new mongoose.Types.ObjectId(),
+    deliveryDate: new Date('2026-11-01'),
+    allocationPolicy,
+    products: [{ productName: 'Apples', casePrice: 24, quantity: 2, maxCases, totalUnits: 12 }]
+  });
+  const productId = order.products[0]._id;
+  claims.forEach(([user, quantity]) => {
+    order.participants.push({ user, items: [{ productId, quantity }] });
+  });
+  return order;
+};
+
+describe('validateClaims', () => {
+  it('accepts claims within maxCases', () => {
+    const order = buildOrder([[alice, 10]]);
+    const result = caseAllocation.validateClaims(order, [{ productId: order.products[0]._id, quantity: 14 }], bob);
+    assert.deepStrictEqual(result, { isValid: true, errors: [] });
+  });
+
+  it('rejects claims beyond maxCases and bad quantities', () => {
+    const order = buildOrder([[alice, 10]]);
+    const productId = order.products[0]._id;
+
+    assert.match(caseAllocation.validateClaims(order, [{ productId, quantity: 15 }], bob).errors[0], /Only 14 unit/);
+    assert.match(caseAllocation.validateClaims(order, [{ productId, quantity: 1.5 }], bob).errors[0], /whole number/);
+    assert.match(
+      caseAllocation.validateClaims(order, [{ productId: new mongoose.Types.ObjectId(), quantity: 1 }], bob).errors[0],
+      /not part of this order/
+    );
+  });
+
+  it('replaces the claimant\'s own earlier claims', () => {
+    const order = buildOrder([[alice, 20]]);
+    const result = caseAllocation.validateClaims(order, [{ productId: order.products[0]._id, quantity: 24 }], alice);
+    assert.ok(result.isValid);
+  });
+});
+
+describe('rebalanceOrder', () => {
+  it('keeps started cases open and charges per unit', () => {
+    const order = buildOrder([[alice, 10], [bob, 4]]);
+    caseAllocation.rebalanceOrder(order);
+
+    assert.strictEqual(order.products[0].quantity, 2);
+    assert.strictEqual(order.participants[0].totalCost, 20);
+    assert.strictEqual(order.participants[1].totalCost, 8);
+  });
+
+  it('splits the unclaimed units of a partial case when finalized with round_up', () => {
+    const order = buildOrder([[alice, 10], [bob, 4]]);
+    caseAllocation.rebalanceOrder(order, { finalize: true });
+
+    // 10 units left over ($20), split 10:4
+    assert.strictEqual(order.participants[0].totalCost, 34.29);
+    assert.strictEqual(order.participants[1].totalCost, 13.71);
+  });
+
+  it('trims the latest claims to full cases when finalized with cancel_unfilled', () => {
+    const order = buildOrder([[alice, 10], [bob, 4]], { allocationPolicy: 'cancel_unfilled' });
+    const trimmed = caseAllocation.rebalanceOrder(order, { finalize: true });
+
+    assert.strictEqual(order.products[0].quantity, 1);
+    assert.deepStrictEqual(trimmed.map(t => [t.user, t.quantity]), [[bob, 2]]);
+    assert.strictEqual(order.participants[0].items[0].quantity, 10);
+    assert.strictEqual(order.participants[1].items[0].quantity, 2);
+    assert.strictEqual(order.participants[0].totalCost, 20);
+    assert.strictEqual(order.participants[1].totalCost, 4);
+  });
+
+  it('records the case count as maxCases before tracking claims in quantity', () => {
+    const order = buildOrder([[alice, 3]], { maxCases: null });
+    caseAllocation.rebalanceOrder(order);
+
+    assert.strictEqual(order.products[0].quantity, 1);
+    assert.strictEqual(order.products[0].maxCases, 2);
+    // Claims are still checked against the original two cases
+    const result = caseAllocation.validateClaims(order, [{ productId: order.products[0]._id, quantity: 21 }], bob);
+    assert.ok(result.isValid);
+  });
+});
+
+describe('getAllocationReport', () => {
+  it('reports cases, claims and what is left', () => {
+    const order = buildOrder([[alice, 10], [bob, 4]]);
+    caseAllocation.rebalanceOrder(order);
+    const [report] = caseAllocation.getAllocationReport(order);
+
+    assert.strictEqual(report.unitPrice, 2);
+    assert.strictEqual(report.cases, 2);
+    assert.strictEqual(report.fullCases, 1);
+    assert.strictEqual(report.unitsClaimed, 14);
+    assert.strictEqual(report.unitsToFillCase, 10);
+    assert.strictEqual(report.unitsAvailable, 10);
+  });
+});
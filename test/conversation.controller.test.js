@@ -0,0 +1,48 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { mockResponse } = require('./helpers');
+const db = require('../models');
+const conversationController = require('../controllers/conversation.controller');
+
+const userId = new mongoose.Types.ObjectId();
+
+const listConversations = async (query) => {
+  const aggregate = mock.method(db.conversation, 'aggregate', async () => []);
+  mock.method(db.conversation, 'populate', async () => []);
+  mock.method(db.conversation, 'countDocuments', async () => 45);
+
+  const res = mockResponse();
+  await conversationController.getConversations({ query, userId: userId.toString() }, res);
+  const stages = aggregate.mock.calls[0].arguments[0];
+  return {
+    res,
+    skip: stages.find(stage => stage.$skip !== undefined).$skip,
+    limit: stages.find(stage => stage.$limit !== undefined).$limit
+  };
+};
+
+describe('getConversations', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('pages with the defaults', async () => {
+    const { res, skip, limit } = await listConversations({ page: '2' });
+    assert.strictEqual(skip, 20);
+    assert.strictEqual(limit, 20);
+    assert.deepStrictEqual(res.body.pagination, { total: 45, page: 2, limit: 20, pages: 3 });
+  });
+
+  it('clamps page and limit', async () => {
+    const low = await listConversations({ page: '0', limit: '0' });
+    assert.strictEqual(low.skip, 0);
+    assert.strictEqual(low.limit, 20);
+
+    const high = await listConversations({ page: '-3', limit: '5000' });
+    assert.strictEqual(high.skip, 0);
+    assert.strictEqual(high.limit, 100);
+    assert.strictEqual(high.res.body.pagination.pages, 1);
+
+    const junk = await listConversations({ page: 'x', limit: '2.5' });
+    assert.strictEqual(junk.limit, 2);
+  });
+});
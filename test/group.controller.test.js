@@ -0,0 +1,159 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { mockResponse } = require('./helpers');
+const Group = require('../models/group.model');
+const User = require('../models/user.model');
+const MembershipRequest = require('../models/membership-request.model');
+const Message = require('../models/group-message.model');
+const membership = require('../utils/groupMembership');
+const groupController = require('../controllers/group.controller');
+
+const ownerId = new mongoose.Types.ObjectId();
+const applicantId = new mongoose.Types.ObjectId();
+
+const buildGroup = () => new Group({
+  name: 'Co-op',
+  description: 'Bulk buying',
+  category: 'neighborhood',
+  createdBy: ownerId,
+  owner: ownerId,
+  members: [ownerId]
+});
+
+describe('reviewMembershipRequest', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('only withdraws the pending membership when rejecting', async () => {
+    const group = buildGroup();
+    const request = new MembershipRequest({ group: group._id, user: applicantId, status: 'pending' });
+    mock.method(Group, 'findById', async () => group);
+    mock.method(MembershipRequest, 'findOne', async () => request);
+    mock.method(User, 'findById', async () => new User({ _id: applicantId }));
+    mock.method(request, 'save', async () => request);
+    const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const removeMember = mock.method(membership, 'removeMember', async () => {});
+
+    const res = mockResponse();
+    await groupController.reviewMembershipRequest({
+      params: { id: group._id.toString(), requestId: request._id.toString() },
+      body: { action: 'reject', reason: 'Full up' },
+      user: { _id: ownerId },
+      userId: ownerId.toString()
+    }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(request.status, 'rejected');
+    assert.strictEqual(removeMember.mock.callCount(), 0);
+    assert.deepStrictEqual(update.mock.calls[0].arguments, [
+      { _id: applicantId },
+      { $pull: { groups: { group: group._id.toString(), status: 'pending' } } }
+    ]);
+  });
+});
+
+describe('updateGroup', () => {
+  afterEach(() => mock.restoreAll());
+
+  const update = async (group, body) => {
+    const res = mockResponse();
+    await groupController.updateGroup({
+      params: { id: group._id.toString() },
+      body,
+      user: { _id: ownerId, twoFactor: { enabled: false } },
+      userId: ownerId.toString()
+    }, res);
+    return res;
+  };
+
+  it('refuses update operators, dotted paths and fields outside the allow-list', async () => {
+    const group = buildGroup();
+    mock.method(Group, 'findById', async () => group);
+    const save = mock.method(Group, 'findByIdAndUpdate', async () => group);
+
+    for (const body of [
+      { $set: { owner: applicantId.toString() } },
+      { $push: { admins: applicantId.toString() } },
+      { name: 'Renamed', $set: { bannedUsers: [] } },
+      { 'rules.maxMembers': 100 },
+      { rules: { $set: { maxMembers: 100 } } },
+      { admins: [applicantId.toString()] }
+    ]) {
+      const res = await update(group, body);
+      assert.strictEqual(res.statusCode, 400);
+      assert.ok(res.body.invalidFields.length > 0);
+    }
+    assert.strictEqual(save.mock.callCount(), 0);
+  });
+
+  it('passes only the editable fields on', async () => {
+    const group = buildGroup();
+    mock.method(Group, 'findById', async () => group);
+    const save = mock.method(Group, 'findByIdAndUpdate', async () => group);
+
+    const res = await update(group, { name: 'Renamed', isPrivate: true });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(save.mock.calls[0].arguments[1], { name: 'Renamed', isPrivate: true });
+  });
+});
+
+describe('updateGroup admin 2FA rule', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('only lets admins with 2FA turn the requirement on, however it is sent', async () => {
+    const group = buildGroup();
+    mock.method(Group, 'findById', async () => group);
+    const save = mock.method(Group, 'findByIdAndUpdate', async () => group);
+
+    const update = async (body, twoFactorEnabled) => {
+      const res = mockResponse();
+      await groupController.updateGroup({
+        params: { id: group._id.toString() },
+        body,
+        user: { _id: ownerId, twoFactor: { enabled: twoFactorEnabled } },
+        userId: ownerId.toString()
+      }, res);
+      return res;
+    };
+
+    assert.strictEqual((await update({ rules: { requireAdminTwoFactor: true } }, false)).statusCode, 400);
+    assert.strictEqual((await update({ rules: { requireAdminTwoFactor: 'true' } }, false)).statusCode, 400);
+    assert.strictEqual((await update({ $set: { 'rules.requireAdminTwoFactor': true } }, false)).statusCode, 400);
+    assert.strictEqual((await update({ 'rules.requireAdminTwoFactor': true }, false)).statusCode, 400);
+    assert.strictEqual(save.mock.callCount(), 0);
+
+    assert.strictEqual((await update({ rules: { requireAdminTwoFactor: true } }, true)).statusCode, 200);
+    assert.strictEqual(save.mock.callCount(), 1);
+  });
+});
+
+describe('getMessages', () => {
+  afterEach(() => mock.restoreAll());
+
+  const getMessages = async (group, userId) => {
+    const res = mockResponse();
+    await groupController.getMessages({
+      params: { id: group._id.toString() },
+      user: { _id: userId },
+      userId: userId.toString()
+    }, res);
+    return res;
+  };
+
+  it('only shows the discussion to members', async () => {
+    const group = buildGroup();
+    mock.method(Group, 'findById', () => ({ select: async () => group }));
+    const find = mock.method(Message, 'find', () => ({
+      populate: () => ({ sort: async () => [] })
+    }));
+
+    const outsider = await getMessages(group, applicantId);
+    assert.strictEqual(outsider.statusCode, 403);
+    assert.strictEqual(find.mock.callCount(), 0);
+
+    const member = await getMessages(group, ownerId);
+    assert.strictEqual(member.statusCode, 200);
+    assert.deepStrictEqual(member.body.messages, []);
+  });
+});
@@ -0,0 +1,27 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mailer = require('../utils/mailer');
+const groupInvites = require('../utils/groupInvites');
+
+describe('sendInviteEmail', () => {
+  afterEach(() => mailer.setTransport(null));
+
+  it('escapes the group and inviter names in the html body', async () => {
+    const sent = [];
+    mailer.setTransport({ name: 'memory', send: async (message) => sent.push(message) });
+
+    await groupInvites.sendInviteEmail(
+      { email: 'new@example.com', expiresAt: new Date('2026-11-01') },
+      'token',
+      { group: { name: '<img src=x onerror=alert(1)>' }, inviter: { username: 'Tom & "Jerry"' }, hasAccount: false }
+    );
+
+    assert.strictEqual(sent.length, 1);
+    assert.ok(!sent[0].html.includes('<img'));
+    assert.ok(sent[0].html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(sent[0].html.includes('Tom &amp; &quot;Jerry&quot;'));
+    assert.ok(sent[0].html.includes('/signup?invite=token'));
+    // The plain text body stays as written
+    assert.ok(sent[0].text.startsWith('Tom & "Jerry" has invited you'));
+  });
+});
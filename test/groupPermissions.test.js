@@ -0,0 +1,102 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Group = require('../models/group.model');
+const { can, getGroupRole, needsTwoFactor, outranks } = require('../utils/groupPermissions');
+const { requireGroupPermission } = require('../middleware/groupPermission');
+const { mockResponse } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId();
+const adminId = new mongoose.Types.ObjectId();
+const moderatorId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId();
+const outsiderId = new mongoose.Types.ObjectId();
+
+const buildGroup = (rules = {}) => new Group({
+  name: 'Co-op',
+  description: 'Bulk buying',
+  category: 'neighborhood',
+  createdBy: ownerId,
+  owner: ownerId,
+  members: [ownerId, adminId, moderatorId, memberId],
+  admins: [adminId],
+  moderators: [moderatorId],
+  rules
+});
+
+const user = (_id, twoFactorEnabled = false) => ({ _id, twoFactor: { enabled: twoFactorEnabled } });
+
+describe('group roles', () => {
+  it('ranks owner, admin, moderator and member', () => {
+    const group = buildGroup();
+    assert.strictEqual(getGroupRole(group, ownerId), 'owner');
+    assert.strictEqual(getGroupRole(group, adminId), 'admin');
+    assert.strictEqual(getGroupRole(group, moderatorId), 'moderator');
+    assert.strictEqual(getGroupRole(group, memberId), 'member');
+    assert.strictEqual(getGroupRole(group, outsiderId), null);
+    assert.ok(outranks('moderator', 'member'));
+    assert.ok(!outranks('moderator', 'admin'));
+  });
+
+  it('checks permissions by role', () => {
+    const group = buildGroup();
+    assert.ok(can(group, user(adminId), 'group.update'));
+    assert.ok(!can(group, user(moderatorId), 'group.update'));
+    assert.ok(can(group, user(moderatorId), 'members.approve'));
+    assert.ok(!can(group, user(outsiderId), 'messages.post'));
+    assert.throws(() => can(group, user(adminId), 'group.nope'), /Unknown group permission/);
+  });
+});
+
+describe('requireAdminTwoFactor', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('is stored under rules', () => {
+    assert.strictEqual(buildGroup({ requireAdminTwoFactor: true }).rules.requireAdminTwoFactor, true);
+    assert.strictEqual(buildGroup().rules.requireAdminTwoFactor, false);
+  });
+
+  it('gives admins without 2FA member permissions only', () => {
+    const group = buildGroup({ requireAdminTwoFactor: true });
+    assert.ok(needsTwoFactor(group, user(adminId)));
+    assert.ok(!can(group, user(adminId), 'group.update'));
+    assert.ok(!can(group, user(ownerId), 'group.delete'));
+    assert.ok(can(group, user(adminId), 'messages.post'));
+    // A bare ID can't show 2FA, so it counts as not having it
+    assert.ok(!can(group, adminId, 'group.update'));
+  });
+
+  it('lets admins with 2FA through and leaves other roles alone', () => {
+    const group = buildGroup({ requireAdminTwoFactor: true });
+    assert.ok(can(group, user(adminId, true), 'group.update'));
+    assert.ok(!needsTwoFactor(group, user(moderatorId)));
+    assert.ok(can(group, user(moderatorId), 'members.approve'));
+  });
+
+  it('blocks an admin without 2FA in the middleware', async () => {
+    const group = buildGroup({ requireAdminTwoFactor: true });
+    mock.method(Group, 'findById', async () => group);
+
+    const req = { params: { id: group._id.toString() }, user: user(adminId), userId: adminId.toString() };
+    const res = mockResponse();
+    const next = mock.fn();
+    await requireGroupPermission('group.update')(req, res, next);
+
+    assert.strictEqual(next.mock.callCount(), 0);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.twoFactorRequired, true);
+  });
+
+  it('lets the admin through once 2FA is on', async () => {
+    const group = buildGroup({ requireAdminTwoFactor: true });
+    mock.method(Group, 'findById', async () => group);
+
+    const req = { params: { id: group._id.toString() }, user: user(adminId, true), userId: adminId.toString() };
+    const res = mockResponse();
+    const next = mock.fn();
+    await requireGroupPermission('group.update')(req, res, next);
+
+    assert.strictEqual(next.mock.callCount(), 1);
+    assert.strictEqual(req.groupRole, 'admin');
+  });
+});
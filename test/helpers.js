@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Tests never connect to MongoDB; fail at once on a query nothing mocked
+mongoose.set('bufferCommands', false);
+
+/**
+ * Minimal Express response that records the status and JSON body
+ * @returns {Object}
+ */
+const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    cookies: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    cookie(name, value) {
+      res.cookies[name] = value;
+      return res;
+    },
+    clearCookie(name) {
+      delete res.cookies[name];
+      return res;
+    }
+  };
+  return res;
+};
+
+module.exports = {
+  mockResponse
+};
@@ -0,0 +1,27 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { mockResponse } = require('./helpers');
+const Reservation = require('../models/reservation.model');
+const reservationController = require('../controllers/listing-reservation.controller');
+
+const userId = new mongoose.Types.ObjectId();
+
+describe('listing reservation controller', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('returns 404 for a malformed reservation ID', async () => {
+    const findById = mock.method(Reservation, 'findById', async () => null);
+
+    for (const handler of ['confirmReservation', 'cancelReservation']) {
+      const res = mockResponse();
+      await reservationController[handler]({
+        params: { reservationId: 'not-an-id' },
+        userId
+      }, res);
+
+      assert.strictEqual(res.statusCode, 404);
+    }
+    assert.strictEqual(findById.mock.callCount(), 0);
+  });
+});
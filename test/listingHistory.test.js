@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const listingHistory = require('../utils/listingHistory');
+
+const listing = {
+  title: 'Eggs',
+  description: 'Free range',
+  price: 6,
+  priceUnit: 'dozen',
+  quantity: 4,
+  images: ['a.jpg']
+};
+
+describe('listingHistory', () => {
+  it('finds the tracked fields an update changes', () => {
+    assert.deepStrictEqual(listingHistory.changedFields(listing, { price: '6', quantity: 3, title: undefined }), ['quantity']);
+  });
+
+  it('shows quantity changes in the history', () => {
+    const entry = listingHistory.snapshot({ ...listing, price: 5, quantity: 10 }, { reason: 'Restocked' });
+    const [version] = listingHistory.getVersionDiffs({ ...listing, versionHistory: [entry] });
+
+    assert.deepStrictEqual(version.changes, [
+      { field: 'price', from: 5, to: 6 },
+      { field: 'quantity', from: 10, to: 4 }
+    ]);
+  });
+
+  it('does not roll back the quantity in stock', () => {
+    const entry = listingHistory.snapshot({ ...listing, price: 5, quantity: 10 });
+    const values = listingHistory.versionValues(entry);
+
+    assert.strictEqual(values.price, 5);
+    assert.ok(!('quantity' in values));
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+require('./helpers');
+const Listing = require('../models/listing.model');
+const Reservation = require('../models/reservation.model');
+const reservations = require('../utils/listingReservations');
+
+const sellerId = new mongoose.Types.ObjectId();
+const buyerId = new mongoose.Types.ObjectId();
+
+/**
+ * Stand in for one listing. Applies the quantity guards and the pipeline
+ * updates that listingReservations.js sends to findOneAndUpdate.
+ */
+const useListing = (quantity) => {
+  const listing = { _id: new mongoose.Types.ObjectId(), seller: sellerId, quantity, isAvailable: true };
+
+  const update = mock.method(Listing, 'findOneAndUpdate', async (filter, [{ $set }]) => {
+    if (filter.quantity && listing.quantity < filter.quantity.$gte) {
+      return null;
+    }
+    if (filter.isAvailable && listing.isAvailable === false) {
+      return null;
+    }
+    if ($set.quantity.$subtract) {
+      listing.quantity -= $set.quantity.$subtract[1];
+      listing.isAvailable = listing.quantity > 0;
+    } else {
+      listing.isAvailable = listing.quantity === 0 ? true : listing.isAvailable;
+      listing.quantity += $set.quantity.$add[1];
+    }
+    return { ...listing };
+  });
+  mock.method(Listing, 'findById', () => ({ select: async () => ({ ...listing }) }));
+
+  return { listing, update };
+};
+
+describe('listingReservations', () => {
+  let created;
+
+  beforeEach(() => {
+    created = [];
+    mock.method(Reservation, 'create', async (fields) => {
+      const reservation = new Reservation(fields);
+      created.push(reservation);
+      return reservation;
+    });
+    mock.method(Reservation, 'findOneAndUpdate', async (filter, { $set }) => {
+      const reservation = created.find(r => r._id.toString() === filter._id.toString() && r.status === filter.status);
+      if (reservation) {
+        reservation.set($set);
+      }
+      return reservation || null;
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('never sells more than is left', async () => {
+    const { listing, update } = useListing(3);
+
+    const first = await reservations.reserve(listing._id, buyerId, { quantity: 2 });
+    assert.strictEqual(first.success, true);
+    assert.deepStrictEqual(update.mock.calls[0].arguments[0].quantity, { $gte: 2 });
+
+    const second = await reservations.reserve(listing._id, new mongoose.Types.ObjectId(), { quantity: 2 });
+    assert.strictEqual(second.status, 409);
+    assert.strictEqual(second.message, 'Only 1 left to reserve');
+    assert.strictEqual(listing.quantity, 1);
+    assert.strictEqual(created.length, 1);
+
+    assert.strictEqual((await reservations.reserve(listing._id, buyerId, { quantity: 1 })).success, true);
+    assert.strictEqual(listing.quantity, 0);
+    assert.strictEqual(listing.isAvailable, false);
+  });
+
+  it('puts the quantity back when a reservation is cancelled', async () => {
+    const { listing } = useListing(2);
+    const { reservation } = await reservations.reserve(listing._id, buyerId, { quantity: 2 });
+    assert.strictEqual(listing.isAvailable, false);
+
+    const cancelled = await reservations.cancelReservation(reservation._id, buyerId);
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.strictEqual(listing.quantity, 2);
+    assert.strictEqual(listing.isAvailable, true);
+
+    // Only the first close gives the quantity back
+    assert.strictEqual(await reservations.cancelReservation(reservation._id, buyerId), null);
+    assert.strictEqual(listing.quantity, 2);
+  });
+
+  it('puts the quantity back when a reservation expires, but not when it is picked up', async () => {
+    const { listing } = useListing(5);
+    const { reservation: overdue } = await reservations.reserve(listing._id, buyerId, { quantity: 2 });
+    const { reservation: collected } = await reservations.reserve(listing._id, buyerId, { quantity: 1 });
+    assert.strictEqual(listing.quantity, 2);
+
+    assert.ok(await reservations.confirmHandoff(collected._id));
+    mock.method(Reservation, 'find', () => ({ select: async () => [{ _id: overdue._id }, { _id: collected._id }] }));
+
+    assert.strictEqual(await reservations.expireReservations(new Date()), 1);
+    assert.strictEqual(overdue.status, 'expired');
+    assert.strictEqual(listing.quantity, 4);
+  });
+});
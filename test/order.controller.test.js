@@ -0,0 +1,173 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { mockResponse } = require('./helpers');
+const Order = require('../models/order.model');
+const Group = require('../models/group.model');
+const Payment = require('../models/payment.model');
+const paymentLedger = require('../utils/paymentLedger');
+const orderController = require('../controllers/order.controller');
+
+const adminId = new mongoose.Types.ObjectId();
+const participantId = new mongoose.Types.ObjectId();
+const outsiderId = new mongoose.Types.ObjectId();
+
+const buildGroup = () => new Group({
+  name: 'Co-op',
+  description: 'Bulk buying',
+  category: 'neighborhood',
+  createdBy: adminId,
+  owner: adminId,
+  members: [adminId, participantId],
+  admins: [adminId]
+});
+
+const buildOrder = (group) => new Order({
+  group: group._id,
+  deliveryDate: new Date('2026-11-01'),
+  products: [{ productName: 'Apples', casePrice: 24, quantity: 12, maxCases: 2 }],
+  participants: [{ user: participantId, items: [], totalCost: 0 }]
+});
+
+const request = (userId, params, body = {}) => ({
+  params,
+  body,
+  query: {},
+  user: { _id: userId, twoFactor: { enabled: false } },
+  userId: userId.toString()
+});
+
+describe('updateOrder', () => {
+  afterEach(() => mock.restoreAll());
+
+  for (const body of [
+    { products: [] },
+    { participants: [] },
+    { totalOrderCost: 0 },
+    { paymentStatus: 'complete' },
+    { 'participants.0.amountPaid': 100 },
+    { $set: { notes: 'x' } }
+  ]) {
+    it(`rejects ${Object.keys(body)[0]}`, async () => {
+      const update = mock.method(Order, 'findByIdAndUpdate', async () => null);
+      const res = mockResponse();
+      await orderController.updateOrder(request(participantId, { orderId: 'o1' }, body), res);
+
+      assert.strictEqual(res.statusCode, 400);
+      assert.deepStrictEqual(res.body.invalidFields, Object.keys(body));
+      assert.strictEqual(update.mock.callCount(), 0);
+    });
+  }
+
+  it('updates the editable fields for a participant', async () => {
+    const group = buildGroup();
+    const order = buildOrder(group);
+    mock.method(Order, 'findById', async () => order);
+    mock.method(Group, 'findById', async () => group);
+    const update = mock.method(Order, 'findByIdAndUpdate', async () => order);
+
+    const res = mockResponse();
+    await orderController.updateOrder(request(participantId, { orderId: order._id }, { notes: 'Side door' }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(update.mock.calls[0].arguments[1], { $set: { notes: 'Side door' } });
+  });
+
+  it('refuses users who are neither participants nor admins', async () => {
+    const group = buildGroup();
+    const order = buildOrder(group);
+    mock.method(Order, 'findById', async () => order);
+    mock.method(Group, 'findById', async () => group);
+
+    const res = mockResponse();
+    await orderController.updateOrder(request(outsiderId, { orderId: order._id }, { notes: 'x' }), res);
+
+    assert.strictEqual(res.statusCode, 403);
+  });
+});
+
+describe('updatePaymentStatus', () => {
+  afterEach(() => mock.restoreAll());
+
+  const setup = (userId) => {
+    const group = buildGroup();
+    const order = buildOrder(group);
+    order.participants.push({ user: adminId, items: [], totalCost: 24 });
+    order.participants.forEach(participant => {
+      participant.totalCost = 24;
+      participant.amountPaid = 24;
+    });
+    mock.method(Order, 'findById', async () => order);
+    mock.method(Group, 'findById', async () => group);
+    mock.method(order, 'save', async () => order);
+    mock.method(paymentLedger, 'applyLedgerToOrder', async () => order);
+    const saved = [];
+    mock.method(Payment.prototype, 'save', async function () {
+      saved.push(this);
+      return this;
+    });
+    return { order, saved, req: request(userId, { orderId: order._id }, { hasPaid: false }) };
+  };
+
+  it('does not let a member record a refund to themselves', async () => {
+    const { req, saved } = setup(participantId);
+    const res = mockResponse();
+    await orderController.updatePaymentStatus(req, res);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(saved.length, 0);
+  });
+
+  it('records the refund for a group admin', async () => {
+    const { req, saved } = setup(adminId);
+    const res = mockResponse();
+    await orderController.updatePaymentStatus(req, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(saved.length, 1);
+    assert.strictEqual(saved[0].type, 'refund');
+    assert.strictEqual(saved[0].amount, 24);
+  });
+});
+
+describe('getAllocation', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('is limited to participants and group members', async () => {
+    const group = buildGroup();
+    const order = buildOrder(group);
+    mock.method(Order, 'findById', async () => order);
+    mock.method(Group, 'findById', async () => group);
+
+    const outsider = mockResponse();
+    await orderController.getAllocation(request(outsiderId, { orderId: order._id }), outsider);
+    assert.strictEqual(outsider.statusCode, 403);
+
+    const member = mockResponse();
+    await orderController.getAllocation(request(adminId, { orderId: order._id }), member);
+    assert.strictEqual(member.statusCode, 200);
+    assert.strictEqual(member.body.allocation.length, 1);
+  });
+});
+
+describe('joinOrder', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('answers 409 when a concurrent join changed the order first', async () => {
+    const group = buildGroup();
+    const order = buildOrder(group);
+    mock.method(Order, 'findById', async () => order);
+    mock.method(Group, 'findById', async () => group);
+    mock.method(order, 'save', async () => {
+      throw new mongoose.Error.VersionError(order, order.__v, ['participants']);
+    });
+
+    const res = mockResponse();
+    await orderController.joinOrder(request(adminId, { orderId: order._id }, {
+      items: [{ productId: order.products[0]._id.toString(), quantity: 2 }]
+    }), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.success, false);
+  });
+});
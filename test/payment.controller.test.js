@@ -0,0 +1,80 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { mockResponse } = require('./helpers');
+const Order = require('../models/order.model');
+const Group = require('../models/group.model');
+const Payment = require('../models/payment.model');
+const paymentLedger = require('../utils/paymentLedger');
+const paymentController = require('../controllers/payment.controller');
+
+const adminId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId();
+
+describe('recordPayment', () => {
+  let order;
+  let saved;
+
+  beforeEach(() => {
+    const group = new Group({
+      name: 'Co-op',
+      description: 'Bulk buying',
+      category: 'neighborhood',
+      createdBy: adminId,
+      owner: adminId,
+      members: [adminId, memberId],
+      admins: [adminId]
+    });
+    order = new Order({
+      group: group._id,
+      deliveryDate: new Date('2026-11-01'),
+      participants: [{ user: memberId, items: [], totalCost: 20, amountPaid: 10 }]
+    });
+    saved = [];
+    mock.method(Order, 'findById', async () => order);
+    mock.method(Group, 'findById', async () => group);
+    mock.method(order, 'save', async () => order);
+    mock.method(paymentLedger, 'applyLedgerToOrder', async () => order);
+    mock.method(Payment.prototype, 'save', async function () {
+      saved.push(this);
+      return this;
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  const record = async (userId, body) => {
+    const res = mockResponse();
+    await paymentController.recordPayment({
+      params: { orderId: order._id.toString() },
+      body: { method: 'cash', ...body },
+      user: { _id: userId, twoFactor: { enabled: false } },
+      userId: userId.toString()
+    }, res);
+    return res;
+  };
+
+  it('lets members record their own payments', async () => {
+    const res = await record(memberId, { amount: 10 });
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(saved[0].type, 'payment');
+    assert.strictEqual(saved[0].member.toString(), memberId.toString());
+  });
+
+  it('leaves refunds and payments for others to admins', async () => {
+    assert.strictEqual((await record(memberId, { type: 'refund', amount: 5 })).statusCode, 403);
+    assert.strictEqual((await record(memberId, { amount: 5, member: adminId.toString() })).statusCode, 403);
+    assert.strictEqual(saved.length, 0);
+
+    const res = await record(adminId, { type: 'refund', amount: 5, member: memberId.toString() });
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(saved[0].type, 'refund');
+  });
+
+  it('refuses to refund more than the member paid', async () => {
+    const res = await record(adminId, { type: 'refund', amount: 15, member: memberId.toString() });
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(saved.length, 0);
+  });
+});
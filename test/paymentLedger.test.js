@@ -0,0 +1,91 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+require('./helpers');
+const Order = require('../models/order.model');
+const Payment = require('../models/payment.model');
+const paymentLedger = require('../utils/paymentLedger');
+
+const groupId = new mongoose.Types.ObjectId();
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+
+const buildOrder = (costs, status = 'pending') => new Order({
+  group: groupId,
+  status,
+  deliveryDate: new Date('2026-11-01'),
+  totalOrderCost: costs.reduce((total, [, cost]) => total + cost, 0),
+  participants: costs.map(([user, totalCost]) => ({ user, items: [], totalCost }))
+});
+
+const entry = (order, type, member, amount) => new Payment({
+  group: groupId,
+  order: order._id,
+  type,
+  member,
+  amount,
+  method: 'cash'
+});
+
+// Query results that also answer .select() and .sort()
+const query = (result) => {
+  const chain = Promise.resolve(result);
+  chain.select = () => chain;
+  chain.sort = () => chain;
+  return chain;
+};
+
+describe('paymentLedger', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('sets each participant\'s paid amount from payments less refunds', async () => {
+    const order = buildOrder([[alice, 30], [bob, 20]]);
+    mock.method(Payment, 'find', () => query([
+      entry(order, 'payment', alice, 30),
+      entry(order, 'payment', bob, 15.1),
+      entry(order, 'refund', bob, 5.05)
+    ]));
+
+    await paymentLedger.applyLedgerToOrder(order);
+
+    assert.deepStrictEqual(order.participants.map(p => p.amountPaid), [30, 10.05]);
+  });
+
+  it('sums balances per member over the group\'s orders', async () => {
+    const first = buildOrder([[alice, 30], [bob, 20]]);
+    const second = buildOrder([[alice, 12.5]]);
+    mock.method(Order, 'find', () => query([first, second]));
+    mock.method(Payment, 'find', () => query([
+      entry(first, 'payment', alice, 30),
+      entry(first, 'payment', bob, 25),
+      entry(first, 'refund', bob, 5)
+    ]));
+
+    const balances = await paymentLedger.getGroupBalances(groupId);
+
+    assert.deepStrictEqual(balances, [
+      { member: alice.toString(), owed: 42.5, paid: 30, refunded: 0, balance: 12.5, orders: 2 },
+      { member: bob.toString(), owed: 20, paid: 25, refunded: 5, balance: 0, orders: 1 }
+    ]);
+  });
+
+  it('reconciles collections against vendor payments per order', async () => {
+    const order = buildOrder([[alice, 30], [bob, 20]], 'delivered');
+    const vendorPayment = entry(order, 'vendor_payment', undefined, 45);
+    mock.method(Order, 'find', () => query([order]));
+    mock.method(Payment, 'find', () => query([
+      entry(order, 'payment', alice, 30),
+      entry(order, 'payment', bob, 20),
+      entry(order, 'refund', bob, 2),
+      vendorPayment
+    ]));
+
+    const [report] = await paymentLedger.getGroupReconciliation(groupId);
+
+    assert.strictEqual(report.owedByMembers, 50);
+    assert.strictEqual(report.collected, 48);
+    assert.strictEqual(report.outstanding, 2);
+    assert.strictEqual(report.paidToVendor, 45);
+    assert.strictEqual(report.cashOnHand, 3);
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { mockResponse } = require('./helpers');
+const Group = require('../models/group.model');
+const Proposal = require('../models/proposal.model');
+const proposalController = require('../controllers/proposal.controller');
+
+const ownerId = new mongoose.Types.ObjectId();
+const outsiderId = new mongoose.Types.ObjectId();
+
+describe('getProposals', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('is limited to group members', async () => {
+    const group = new Group({
+      name: 'Co-op',
+      description: 'Bulk buying',
+      category: 'neighborhood',
+      createdBy: ownerId,
+      owner: ownerId,
+      members: [ownerId]
+    });
+    mock.method(Group, 'findById', async () => group);
+    const find = mock.method(Proposal, 'find', () => {
+      throw new Error('Proposals should not be loaded');
+    });
+
+    const res = mockResponse();
+    await proposalController.getProposals({
+      params: { id: group._id.toString() },
+      query: {},
+      user: { _id: outsiderId },
+      userId: outsiderId.toString()
+    }, res);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(find.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockResponse } = require('./helpers');
+const rateLimiter = require('../utils/rateLimiter');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const MINUTE = 60 * 1000;
+
+describe('rateLimiter', () => {
+  let now;
+  beforeEach(() => {
+    now = Date.parse('2026-10-19T12:00:00Z');
+    mock.method(Date, 'now', () => now);
+    rateLimiter.setStore('memory');
+  });
+  afterEach(() => {
+    rateLimiter.setStore(null);
+    mock.restoreAll();
+  });
+
+  const limiter = () => rateLimiter.createLimiter('test', {
+    maxAttempts: 3,
+    windowMs: 15 * MINUTE,
+    lockoutMs: MINUTE,
+    maxLockoutMs: 4 * MINUTE
+  });
+
+  const lockOut = async (login, id) => {
+    let result;
+    for (let i = 0; i < 3; i++) {
+      result = await login.record(id);
+    }
+    return result;
+  };
+
+  it('counts down the attempts left and then locks the key out', async () => {
+    const login = limiter();
+    assert.deepStrictEqual(await login.record('alice'), { locked: false, retryAfterMs: 0, remaining: 2 });
+    assert.deepStrictEqual(await login.record('alice'), { locked: false, retryAfterMs: 0, remaining: 1 });
+    assert.deepStrictEqual(await login.record('alice'), { locked: true, retryAfterMs: MINUTE, remaining: 0 });
+
+    assert.deepStrictEqual(await login.check('alice'), { allowed: false, retryAfterMs: MINUTE });
+    assert.deepStrictEqual(await login.check('bob'), { allowed: true, retryAfterMs: 0 });
+
+    now += MINUTE;
+    assert.ok((await login.check('alice')).allowed);
+  });
+
+  it('doubles each lockout in a row up to the maximum', async () => {
+    const login = limiter();
+    const durations = [];
+    for (let i = 0; i < 4; i++) {
+      durations.push((await lockOut(login, 'alice')).retryAfterMs);
+      now += durations[i];
+    }
+    assert.deepStrictEqual(durations, [MINUTE, 2 * MINUTE, 4 * MINUTE, 4 * MINUTE]);
+  });
+
+  it('forgets attempts outside the window', async () => {
+    const login = limiter();
+    await login.record('alice');
+    await login.record('alice');
+    now += 15 * MINUTE;
+    assert.strictEqual((await login.record('alice')).remaining, 2);
+  });
+
+  it('starts over after a reset', async () => {
+    const login = limiter();
+    await lockOut(login, 'alice');
+    now += MINUTE;
+    await login.reset('alice');
+
+    // Not counted as a second lockout in a row
+    assert.strictEqual((await lockOut(login, 'alice')).retryAfterMs, MINUTE);
+  });
+
+  it('keeps limiters with different names apart', async () => {
+    await lockOut(limiter(), 'alice');
+    const other = rateLimiter.createLimiter('other', { maxAttempts: 3, windowMs: MINUTE, lockoutMs: MINUTE });
+    assert.ok((await other.check('alice')).allowed);
+  });
+
+  it('formats the wait for messages', () => {
+    assert.strictEqual(rateLimiter.formatRetryAfter(20 * 1000), 'a minute');
+    assert.strictEqual(rateLimiter.formatRetryAfter(90 * 1000), '2 minutes');
+  });
+
+  it('answers with 429 and Retry-After from the middleware once locked out', async () => {
+    const middleware = rateLimit(limiter());
+    const next = mock.fn();
+    const req = { ip: '203.0.113.7' };
+
+    for (let i = 0; i < 3; i++) {
+      await middleware(req, mockResponse(), next);
+    }
+    const res = mockResponse();
+    await middleware(req, res, next);
+
+    assert.strictEqual(next.mock.callCount(), 3);
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.headers['Retry-After'], '60');
+  });
+
+  it('lets requests through when the store fails', async () => {
+    rateLimiter.setStore({
+      name: 'broken',
+      get: async () => { throw new Error('store down'); }
+    });
+    mock.method(console, 'error', () => {});
+    const next = mock.fn();
+    await rateLimit(limiter())({ ip: '203.0.113.7' }, mockResponse(), next);
+
+    assert.strictEqual(next.mock.callCount(), 1);
+  });
+});
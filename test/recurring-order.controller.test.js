@@ -0,0 +1,94 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { mockResponse } = require('./helpers');
+const Group = require('../models/group.model');
+const RecurringOrder = require('../models/recurring-order.model');
+const recurringOrderController = require('../controllers/recurring-order.controller');
+
+const ownerId = new mongoose.Types.ObjectId();
+const lastDeliveryDate = new Date('2026-10-16T00:00:00');
+
+const setup = () => {
+  const group = new Group({
+    name: 'Co-op',
+    description: 'Bulk buying',
+    category: 'neighborhood',
+    createdBy: ownerId,
+    owner: ownerId,
+    members: [ownerId],
+    deliveryDays: ['Friday', 'Saturday']
+  });
+  // Loaded from the database, so changes are tracked
+  const template = RecurringOrder.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    group: group._id,
+    name: 'Weekly produce',
+    cadence: 'weekly',
+    deliveryDay: 'Friday',
+    lastDeliveryDate
+  });
+  mock.method(RecurringOrder, 'findById', async () => template);
+  mock.method(Group, 'findById', async () => group);
+  mock.method(template, 'save', async () => template);
+  return template;
+};
+
+const update = async (template, body) => {
+  const res = mockResponse();
+  await recurringOrderController.updateRecurringOrder({
+    params: { templateId: template._id.toString() },
+    body,
+    user: { _id: ownerId },
+    userId: ownerId.toString()
+  }, res);
+  return res;
+};
+
+describe('updateRecurringOrder', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('starts the schedule again when the delivery day changes', async () => {
+    const template = setup();
+    const res = await update(template, { deliveryDay: 'Saturday' });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(template.deliveryDay, 'Saturday');
+    assert.strictEqual(template.lastDeliveryDate, undefined);
+  });
+
+  it('starts the schedule again when the cadence changes', async () => {
+    const template = setup();
+    await update(template, { cadence: 'biweekly' });
+
+    assert.strictEqual(template.lastDeliveryDate, undefined);
+  });
+
+  it('keeps the schedule for other changes', async () => {
+    const template = setup();
+    await update(template, { name: 'Produce box', deliveryDay: 'Friday' });
+
+    assert.deepStrictEqual(template.lastDeliveryDate, lastDeliveryDate);
+  });
+});
+
+describe('setStandingQuantities', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses items that are not a list', async () => {
+    const template = setup();
+
+    for (const items of [{ productId: 'x', quantity: 1 }, 'x', [null]]) {
+      const res = mockResponse();
+      await recurringOrderController.setStandingQuantities({
+        params: { templateId: template._id.toString() },
+        body: { items },
+        user: { _id: ownerId },
+        userId: ownerId.toString()
+      }, res);
+
+      assert.strictEqual(res.statusCode, 400);
+    }
+    assert.strictEqual(template.save.mock.callCount(), 0);
+  });
+});
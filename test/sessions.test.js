@@ -0,0 +1,164 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+require('./helpers');
+const config = require('../config/auth.config');
+const Session = require('../models/session.model');
+const sessions = require('../utils/sessions');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const req = { ip: '203.0.113.7', get: () => 'node-test' };
+
+/**
+ * Stand in for the sessions collection. Supports the filters sessions.js uses:
+ * equality, `null` for unset fields, `$gt` and `$or`.
+ */
+const useSessionStore = () => {
+  const docs = [];
+
+  const matches = (doc, filter) => Object.entries(filter).every(([field, expected]) => {
+    if (field === '$or') {
+      return expected.some(condition => matches(doc, condition));
+    }
+    const value = doc[field];
+    if (expected === null) {
+      return value === undefined || value === null;
+    }
+    if (expected && expected.$gt !== undefined) {
+      return value > expected.$gt;
+    }
+    return String(value) === String(expected);
+  });
+  const find = (filter) => docs.find(doc => matches(doc, filter)) || null;
+
+  mock.method(Session, 'create', async (fields) => {
+    const doc = new Session(fields);
+    docs.push(doc);
+    return doc;
+  });
+  mock.method(Session, 'findOne', async (filter) => find(filter));
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const doc = find(filter);
+    if (doc) {
+      doc.set(update.$set);
+    }
+    return doc;
+  });
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    const doc = find(filter);
+    if (doc) {
+      doc.set(update.$set);
+    }
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+
+  return docs;
+};
+
+describe('sessions', () => {
+  let docs;
+  beforeEach(() => {
+    docs = useSessionStore();
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('starts a session and stores only a hash of the refresh token', async () => {
+    const { session, accessToken, refreshToken } = await sessions.createSession(user, req, { deviceName: 'Laptop' });
+
+    assert.strictEqual(session.refreshTokenHash, sessions.hashToken(refreshToken));
+    assert.notStrictEqual(session.refreshTokenHash, refreshToken);
+    assert.strictEqual(session.deviceName, 'Laptop');
+
+    const decoded = jwt.verify(accessToken, config.secret);
+    assert.strictEqual(decoded.id, user._id.toString());
+    assert.strictEqual(decoded.sid, session._id.toString());
+    assert.strictEqual(await sessions.findActiveSession(decoded), session);
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const { session, refreshToken } = await sessions.createSession(user, req);
+    const first = await sessions.refreshSession(refreshToken, req);
+
+    assert.ok(first.success);
+    assert.notStrictEqual(first.refreshToken, refreshToken);
+    assert.strictEqual(session.refreshTokenHash, sessions.hashToken(first.refreshToken));
+
+    const second = await sessions.refreshSession(first.refreshToken, req);
+    assert.ok(second.success);
+    assert.notStrictEqual(second.refreshToken, first.refreshToken);
+  });
+
+  it('accepts the replaced token briefly for a request that raced the rotation', async () => {
+    const { refreshToken } = await sessions.createSession(user, req);
+    await sessions.refreshSession(refreshToken, req);
+    const raced = await sessions.refreshSession(refreshToken, req);
+
+    assert.ok(raced.success);
+    assert.strictEqual(raced.refreshToken, null);
+    assert.ok(raced.accessToken);
+  });
+
+  it('revokes the session when a replaced token comes back later', async () => {
+    const { session, refreshToken } = await sessions.createSession(user, req);
+    const rotated = await sessions.refreshSession(refreshToken, req);
+    session.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+    const reused = await sessions.refreshSession(refreshToken, req);
+    assert.strictEqual(reused.success, false);
+    assert.ok(session.revokedAt);
+    assert.strictEqual(session.revokedReason, 'token-reuse');
+
+    // The current token dies with the session
+    assert.strictEqual((await sessions.refreshSession(rotated.refreshToken, req)).success, false);
+    assert.strictEqual(await sessions.findActiveSession({ id: user._id.toString(), sid: session._id.toString() }), null);
+  });
+
+  it('refuses unknown, revoked and expired tokens', async () => {
+    assert.strictEqual((await sessions.refreshSession(undefined, req)).success, false);
+    assert.strictEqual((await sessions.refreshSession('nope', req)).success, false);
+
+    const revoked = await sessions.createSession(user, req);
+    assert.ok(await sessions.revokeSession(revoked.session._id, user._id, 'user'));
+    assert.strictEqual((await sessions.refreshSession(revoked.refreshToken, req)).success, false);
+
+    const expired = await sessions.createSession(user, req);
+    expired.session.expiresAt = new Date(Date.now() - 1000);
+    assert.strictEqual((await sessions.refreshSession(expired.refreshToken, req)).success, false);
+    assert.strictEqual(docs.length, 2);
+  });
+
+  it('only revokes the user\'s own sessions', async () => {
+    const { session } = await sessions.createSession(user, req);
+
+    assert.strictEqual(await sessions.revokeSession(session._id, new mongoose.Types.ObjectId(), 'user'), false);
+    assert.strictEqual(await sessions.revokeSession('not-an-id', user._id, 'user'), false);
+    assert.strictEqual(session.revokedAt, undefined);
+  });
+
+  it('announces revocations so open sockets can be closed', async () => {
+    const revoked = [];
+    const listener = (event) => revoked.push(event);
+    sessions.events.on('revoked', listener);
+    mock.method(Session, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    try {
+      const { session, refreshToken } = await sessions.createSession(user, req);
+      await sessions.revokeSession(session._id, new mongoose.Types.ObjectId(), 'user');
+      await sessions.revokeSession(session._id, user._id, 'user');
+      await sessions.revokeUserSessions(user._id, { except: session._id, reason: 'password-change' });
+
+      const other = await sessions.createSession(user, req);
+      await sessions.revokeByRefreshToken(other.refreshToken);
+      await sessions.revokeByRefreshToken(refreshToken);
+
+      assert.deepStrictEqual(revoked, [
+        { sessionId: session._id.toString() },
+        { userId: user._id.toString(), except: session._id.toString() },
+        { sessionId: other.session._id.toString() }
+      ]);
+    } finally {
+      sessions.events.off('revoked', listener);
+    }
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+require('./helpers');
+const Role = require('../models/role.model');
+const User = require('../models/user.model');
+const siteRoles = require('../utils/siteRoles');
+
+const roles = Object.fromEntries(siteRoles.SITE_ROLES.map(name => [name, new Role({ name })]));
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+const carol = new mongoose.Types.ObjectId();
+
+const includesId = (list, id) => list.some(entry => entry.equals(id));
+
+/**
+ * Stand in for the users collection, keeping each user's role IDs in memory
+ */
+const useUsers = (roleNamesById) => {
+  const users = new Map(Object.entries(roleNamesById).map(([id, names]) => [id, names.map(name => roles[name]._id)]));
+
+  const applyUpdate = (id, update) => {
+    const current = users.get(id.toString());
+    if (!current) {
+      return null;
+    }
+    if (update.$pull) {
+      users.set(id.toString(), current.filter(roleId => !roleId.equals(update.$pull.roles)));
+    }
+    if (update.$addToSet && !includesId(current, update.$addToSet.roles)) {
+      users.set(id.toString(), [...current, update.$addToSet.roles]);
+    }
+    return current;
+  };
+
+  mock.method(User, 'findByIdAndUpdate', async (id, update, options = {}) => {
+    const before = applyUpdate(id, update);
+    if (!before) {
+      return null;
+    }
+    return new User({ _id: id, roles: options.new ? users.get(id.toString()) : before });
+  });
+  mock.method(User, 'updateOne', async (filter, update) => {
+    applyUpdate(filter._id, update);
+    return { modifiedCount: 1 };
+  });
+  mock.method(User, 'exists', async (filter) => {
+    const found = [...users.entries()].find(([id, roleIds]) =>
+      (!filter._id || filter._id.toString() === id) && includesId(roleIds, filter.roles)
+    );
+    return found ? { _id: found[0] } : null;
+  });
+
+  return {
+    roleNames: (id) => users.get(id.toString()).map(roleId =>
+      Object.keys(roles).find(name => roles[name]._id.equals(roleId))
+    )
+  };
+};
+
+describe('siteRoles', () => {
+  beforeEach(() => {
+    mock.method(Role, 'findOne', async ({ name }) => roles[name] || null);
+    mock.method(Role, 'find', ({ _id }) => ({
+      select: async () => Object.values(roles).filter(role => includesId(_id.$in, role._id))
+    }));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('reads role names from IDs or populated roles', async () => {
+    assert.deepStrictEqual(await siteRoles.getRoleNames({ roles: [{ name: 'admin' }] }), ['admin']);
+    assert.deepStrictEqual(await siteRoles.getRoleNames({ roles: [roles.moderator._id] }), ['moderator']);
+    assert.ok(await siteRoles.isModeratorOrAdmin({ roles: [roles.moderator._id] }));
+    assert.ok(!(await siteRoles.hasRole({ roles: [roles.user._id] }, 'admin')));
+    assert.ok(!(await siteRoles.hasRole(null, 'admin')));
+  });
+
+  it('grants a role once', async () => {
+    const users = useUsers({ [alice]: ['user'] });
+    await siteRoles.grantRole(alice, 'moderator');
+    const result = await siteRoles.grantRole(alice, 'moderator');
+
+    assert.ok(result.success);
+    assert.deepStrictEqual(users.roleNames(alice), ['user', 'moderator']);
+  });
+
+  it('rejects unknown roles and users', async () => {
+    useUsers({});
+    assert.match((await siteRoles.grantRole(alice, 'root')).message, /Unknown role/);
+    assert.match((await siteRoles.revokeRole(alice, 'admin')).message, /User not found/);
+  });
+
+  it('revokes a role', async () => {
+    const users = useUsers({ [alice]: ['user', 'admin'], [bob]: ['user', 'admin'] });
+    const result = await siteRoles.revokeRole(alice, 'admin');
+
+    assert.ok(result.success);
+    assert.deepStrictEqual(result.roles, ['user']);
+    assert.deepStrictEqual(users.roleNames(alice), ['user']);
+  });
+
+  it('keeps the last admin', async () => {
+    const users = useUsers({ [alice]: ['user', 'admin'], [bob]: ['user'] });
+    const result = await siteRoles.revokeRole(alice, 'admin');
+
+    assert.strictEqual(result.success, false);
+    assert.deepStrictEqual(users.roleNames(alice), ['user', 'admin']);
+  });
+
+  it('keeps an admin when the last two revoke each other at once', async () => {
+    const users = useUsers({ [alice]: ['admin'], [bob]: ['admin'] });
+    await Promise.all([siteRoles.revokeRole(alice, 'admin'), siteRoles.revokeRole(bob, 'admin')]);
+
+    assert.ok([alice, bob].some(id => users.roleNames(id).includes('admin')));
+  });
+
+  it('does not make a non-admin an admin when there are none', async () => {
+    const users = useUsers({ [carol]: ['user'] });
+    const result = await siteRoles.revokeRole(carol, 'admin');
+
+    assert.ok(result.success);
+    assert.deepStrictEqual(users.roleNames(carol), ['user']);
+  });
+});
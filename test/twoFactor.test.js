@@ -0,0 +1,143 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+require('./helpers');
+const config = require('../config/auth.config');
+const User = require('../models/user.model');
+const twoFactor = require('../utils/twoFactor');
+
+// RFC 6238 test secret ("12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+describe('TOTP codes', () => {
+  it('encodes and decodes base32', () => {
+    assert.strictEqual(twoFactor.base32Encode(Buffer.from('12345678901234567890')), RFC_SECRET);
+    assert.strictEqual(twoFactor.base32Decode(RFC_SECRET.toLowerCase()).toString(), '12345678901234567890');
+    assert.strictEqual(twoFactor.base32Decode(twoFactor.generateSecret()).length, 20);
+  });
+
+  it('matches the RFC 6238 test vectors', () => {
+    assert.strictEqual(twoFactor.generateCode(RFC_SECRET, 1), '287082');
+    assert.strictEqual(twoFactor.generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.strictEqual(twoFactor.generateCode(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+  });
+
+  it('accepts codes one step either side of now', () => {
+    const now = new Date(1111111109 * 1000);
+    const step = Math.floor(1111111109 / 30);
+
+    assert.strictEqual(twoFactor.verifyCode(RFC_SECRET, '081804', { now }), step);
+    assert.strictEqual(twoFactor.verifyCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, step - 1), { now }), step - 1);
+    assert.strictEqual(twoFactor.verifyCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, step + 2), { now }), null);
+    assert.strictEqual(twoFactor.verifyCode(RFC_SECRET, '081 804', { now }), step);
+    assert.strictEqual(twoFactor.verifyCode(RFC_SECRET, '81804', { now }), null);
+  });
+
+  it('refuses codes from steps already used', () => {
+    const now = new Date(1111111109 * 1000);
+    const step = Math.floor(1111111109 / 30);
+
+    assert.strictEqual(twoFactor.verifyCode(RFC_SECRET, '081804', { now, lastUsedStep: step }), null);
+    assert.strictEqual(twoFactor.verifyCode(RFC_SECRET, '081804', { now, lastUsedStep: step - 1 }), step);
+  });
+
+  it('builds the provisioning URI for authenticator apps', () => {
+    const uri = new URL(twoFactor.provisioningUri(RFC_SECRET, 'ann@example.com'));
+    assert.strictEqual(uri.protocol, 'otpauth:');
+    assert.strictEqual(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.strictEqual(uri.searchParams.get('digits'), '6');
+  });
+
+  it('stores secrets encrypted', () => {
+    const stored = twoFactor.encryptSecret(RFC_SECRET);
+    assert.ok(!stored.includes(RFC_SECRET));
+    assert.strictEqual(twoFactor.decryptSecret(stored), RFC_SECRET);
+
+    const [iv, tag, encrypted] = stored.split(':');
+    const tampered = [iv, tag, (encrypted[0] === 'a' ? 'b' : 'a') + encrypted.slice(1)].join(':');
+    assert.throws(() => twoFactor.decryptSecret(tampered));
+  });
+});
+
+describe('two-factor accounts', () => {
+  afterEach(() => mock.restoreAll());
+
+  const enabledUser = (recoveryCodes = []) => ({
+    _id: new mongoose.Types.ObjectId(),
+    twoFactor: {
+      enabled: true,
+      secret: twoFactor.encryptSecret(RFC_SECRET),
+      lastUsedStep: currentStep() - 5,
+      recoveryCodes
+    }
+  });
+
+  it('turns on with a code from the pending secret and hands out recovery codes', async () => {
+    const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const user = { _id: new mongoose.Types.ObjectId(), twoFactor: { pendingSecret: twoFactor.encryptSecret(RFC_SECRET) } };
+
+    assert.match((await twoFactor.enable(user, '000000')).message, /not valid/);
+
+    const result = await twoFactor.enable(user, twoFactor.generateCode(RFC_SECRET, currentStep()));
+    assert.ok(result.success);
+    assert.strictEqual(result.recoveryCodes.length, 10);
+    assert.match(result.recoveryCodes[0], /^[a-z2-7]{5}-[a-z2-7]{5}$/);
+
+    const { $set } = update.mock.calls[0].arguments[1];
+    assert.strictEqual($set['twoFactor.enabled'], true);
+    assert.strictEqual($set['twoFactor.secret'], user.twoFactor.pendingSecret);
+    assert.deepStrictEqual(
+      $set['twoFactor.recoveryCodes'].map(entry => entry.codeHash),
+      result.recoveryCodes.map(twoFactor.hashRecoveryCode)
+    );
+  });
+
+  it('verifies a code once', async () => {
+    const user = enabledUser();
+    const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const step = currentStep();
+    const code = twoFactor.generateCode(RFC_SECRET, step);
+
+    assert.strictEqual((await twoFactor.verify(user, { code })).method, 'totp');
+    assert.strictEqual(update.mock.calls[0].arguments[1].$set['twoFactor.lastUsedStep'], step);
+
+    // A second request with the same code loses the conditional update
+    update.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+    assert.strictEqual((await twoFactor.verify(user, { code })).success, false);
+  });
+
+  it('accepts each recovery code once, ignoring case and dashes', async () => {
+    const user = enabledUser([
+      { codeHash: twoFactor.hashRecoveryCode('abcde-fghij') },
+      { codeHash: twoFactor.hashRecoveryCode('klmno-pqrst') }
+    ]);
+    const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const result = await twoFactor.verify(user, { recoveryCode: 'ABCDE FGHIJ' });
+    assert.deepStrictEqual(result, { success: true, method: 'recovery-code', recoveryCodesRemaining: 1 });
+    assert.deepStrictEqual(
+      update.mock.calls[0].arguments[0]['twoFactor.recoveryCodes'],
+      { $elemMatch: { codeHash: twoFactor.hashRecoveryCode('abcde-fghij'), usedAt: null } }
+    );
+
+    update.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+    assert.strictEqual((await twoFactor.verify(user, { recoveryCode: 'abcde-fghij' })).success, false);
+  });
+
+  it('refuses to verify when 2FA is off', async () => {
+    const result = await twoFactor.verify({ _id: new mongoose.Types.ObjectId(), twoFactor: { enabled: false } }, { code: '123456' });
+    assert.strictEqual(result.success, false);
+  });
+
+  it('issues login challenges that only work for the second login step', () => {
+    const user = { _id: new mongoose.Types.ObjectId() };
+    assert.strictEqual(twoFactor.verifyLoginChallenge(twoFactor.issueLoginChallenge(user)), user._id.toString());
+
+    const accessToken = jwt.sign({ id: user._id.toString(), sid: 'x' }, config.secret);
+    assert.strictEqual(twoFactor.verifyLoginChallenge(accessToken), null);
+    assert.strictEqual(twoFactor.verifyLoginChallenge('garbage'), null);
+  });
+});
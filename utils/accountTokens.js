@@ -0,0 +1,186 @@
+/**
+ * Account Tokens
+ * Issues the single-use links for email verification and password resets,
+ * emails them through the mailer, and redeems them. Tokens are random,
+ * stored only as a SHA-256 hash, expire, and can be used once.
+ */
+const crypto = require('crypto');
+const AccountToken = require('../models/account-token.model');
+const User = require('../models/user.model');
+const mailer = require('./mailer');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Lifetime of each kind of token, in minutes
+const TOKEN_LIFETIME_MINUTES = {
+  'email-verification': (Number(process.env.EMAIL_VERIFICATION_HOURS) || 48) * 60,
+  'password-reset': Number(process.env.PASSWORD_RESET_MINUTES) || 60
+};
+
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Hash a token for storage
+ * @param {string} token - Token from the emailed link
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a token for a user. Earlier unused tokens of the same type stop working.
+ * @param {Object} user - User document
+ * @param {string} type - 'email-verification' or 'password-reset'
+ * @returns {Promise<Object>} - { token, expiresAt }
+ */
+const issueToken = async (user, type) => {
+  const now = new Date();
+  await AccountToken.updateMany(
+    { user: user._id, type, usedAt: null },
+    { $set: { usedAt: now } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(now.getTime() + TOKEN_LIFETIME_MINUTES[type] * 60 * 1000);
+
+  await AccountToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Use up a token. Only the first caller succeeds.
+ * @param {string} token - Token from the emailed link
+ * @param {string} type - 'email-verification' or 'password-reset'
+ * @returns {Promise<Object>} - { success, message, userId, email }
+ */
+const redeemToken = async (token, type) => {
+  if (!token || typeof token !== 'string') {
+    return { success: false, message: 'This link is not valid' };
+  }
+
+  const now = new Date();
+  const accountToken = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+
+  if (!accountToken) {
+    return { success: false, message: 'This link is not valid or has expired' };
+  }
+
+  return { success: true, userId: accountToken.user, email: accountToken.email };
+};
+
+/**
+ * Redeem an email verification token and mark the address as confirmed
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} - { success, message }
+ */
+const verifyEmail = async (token) => {
+  const redeemed = await redeemToken(token, 'email-verification');
+  if (!redeemed.success) {
+    return redeemed;
+  }
+
+  // The link only confirms the address it was sent to
+  const user = await User.findOneAndUpdate(
+    { _id: redeemed.userId, email: redeemed.email },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!user) {
+    return { success: false, message: 'This link was sent to an email address that is no longer on your account' };
+  }
+
+  return { success: true, message: 'Your email address is confirmed!' };
+};
+
+/**
+ * Email a link that confirms the user's address
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const { token, expiresAt } = await issueToken(user, 'email-verification');
+  const link = `${APP_URL}/verify-email?token=${token}`;
+
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Confirm your FreshShare email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address with this link:\n${link}\n\n` +
+      `The link expires on ${expiresAt.toUTCString()}. If you didn't sign up for FreshShare, you can ignore this email.`,
+    html: `<p>Hi ${mailer.escapeHtml(user.username)},</p>` +
+      `<p><a href="${link}">Confirm your email address</a></p>` +
+      `<p>The link expires on ${expiresAt.toUTCString()}. If you didn't sign up for FreshShare, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Email a link for choosing a new password
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (user) => {
+  const { token, expiresAt } = await issueToken(user, 'password-reset');
+  const link = `${APP_URL}/reset-password?token=${token}`;
+
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Reset your FreshShare password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset your FreshShare password. Choose a new one with this link:\n${link}\n\n` +
+      `The link can be used once and expires on ${expiresAt.toUTCString()}. If this wasn't you, you can ignore this email; your password hasn't changed.`,
+    html: `<p>Hi ${mailer.escapeHtml(user.username)},</p>` +
+      `<p>Someone asked to reset your FreshShare password. <a href="${link}">Choose a new password</a></p>` +
+      `<p>The link can be used once and expires on ${expiresAt.toUTCString()}. If this wasn't you, you can ignore this email; your password hasn't changed.</p>`
+  });
+};
+
+/**
+ * Email the user that their password was changed
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendPasswordChangedEmail = async (user) => {
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Your FreshShare password was changed',
+    text: `Hi ${user.username},\n\nThe password for your FreshShare account was just changed. ` +
+      `If this wasn't you, reset your password at ${APP_URL}/forgot-password right away.`,
+    html: `<p>Hi ${mailer.escapeHtml(user.username)},</p>` +
+      `<p>The password for your FreshShare account was just changed. ` +
+      `If this wasn't you, <a href="${APP_URL}/forgot-password">reset your password</a> right away.</p>`
+  });
+};
+
+/**
+ * Check a new password
+ * @param {string} password - New password
+ * @returns {Object} - { isValid, errors }
+ */
+const validatePassword = (password) => {
+  const errors = [];
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+  return { isValid: errors.length === 0, errors };
+};
+
+module.exports = {
+  TOKEN_LIFETIME_MINUTES,
+  hashToken,
+  issueToken,
+  redeemToken,
+  verifyEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  validatePassword
+};
@@ -0,0 +1,246 @@
+/**
+ * Case Allocation Engine
+ * Splits bulk case purchases between the participants of a group order.
+ *
+ * Each product in an order is bought by the case (`casePrice` for
+ * `totalUnits` units). Participants claim individual units, and the engine
+ * keeps the claimed units within the cases the organizer is willing to buy
+ * (`maxCases`), keeps the case count (`quantity`) in step with the claims,
+ * and settles partly filled cases according to the order's allocation policy:
+ *
+ * - `round_up`:        keep the partly filled case and split the cost of its
+ *                      unclaimed units between the people who claimed that product
+ * - `cancel_unfilled`: drop the partly filled case and trim the most recent
+ *                      claims until only full cases remain
+ */
+
+const ALLOCATION_POLICIES = ['round_up', 'cancel_unfilled'];
+
+/**
+ * Round a currency amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Units in one case of a product (at least 1)
+ * @param {Object} product - Order product
+ * @returns {number}
+ */
+const unitsPerCase = (product) => Math.max(1, Number(product.totalUnits) || 1);
+
+/**
+ * Price of a single unit of a product
+ * @param {Object} product - Order product
+ * @returns {number}
+ */
+const unitPrice = (product) => product.casePrice / unitsPerCase(product);
+
+/**
+ * Most cases the organizer will buy of a product. Orders from before
+ * `maxCases` existed used the case count; rebalanceOrder records it as
+ * `maxCases` before it starts tracking claims in `quantity`.
+ * @param {Object} product - Order product
+ * @returns {number}
+ */
+const maxCasesFor = (product) => {
+  if (product.maxCases !== undefined && product.maxCases !== null) {
+    return product.maxCases;
+  }
+  return product.quantity || 0;
+};
+
+/**
+ * Total units claimed of each product across participants
+ * @param {Array} participants - Order participants
+ * @param {string} excludeUserId - Optional participant to leave out
+ * @returns {Map<string, number>} - productId -> units claimed
+ */
+const getClaimedUnits = (participants, excludeUserId = null) => {
+  const claimed = new Map();
+
+  participants.forEach(participant => {
+    if (excludeUserId && participant.user && participant.user.toString() === excludeUserId.toString()) {
+      return;
+    }
+    (participant.items || []).forEach(item => {
+      const productId = String(item.productId);
+      claimed.set(productId, (claimed.get(productId) || 0) + (Number(item.quantity) || 0));
+    });
+  });
+
+  return claimed;
+};
+
+/**
+ * Report claimed and remaining units for each product in an order
+ * @param {Object} order - Order document
+ * @returns {Array<Object>} - One entry per product
+ */
+const getAllocationReport = (order) => {
+  const claimed = getClaimedUnits(order.participants);
+
+  return order.products.map(product => {
+    const perCase = unitsPerCase(product);
+    const maxCases = maxCasesFor(product);
+    const unitsClaimed = claimed.get(product._id.toString()) || 0;
+    const cases = product.quantity || 0;
+    const openUnits = cases * perCase - unitsClaimed;
+
+    return {
+      productId: product._id,
+      productName: product.productName,
+      unitsPerCase: perCase,
+      unitPrice: roundCurrency(unitPrice(product)),
+      cases,
+      maxCases,
+      fullCases: Math.floor(unitsClaimed / perCase),
+      unitsClaimed,
+      // Units still needed to fill the last case that has been started
+      unitsToFillCase: Math.max(openUnits, 0),
+      // Units that can still be claimed before hitting maxCases
+      unitsAvailable: Math.max(maxCases * perCase - unitsClaimed, 0)
+    };
+  });
+};
+
+/**
+ * Validate a participant's claims against the units still available
+ * @param {Object} order - Order document
+ * @param {Array} items - [{ productId, quantity }] being claimed
+ * @param {string} userId - Participant making the claim (their existing claims are replaced)
+ * @returns {Object} - { isValid, errors }
+ */
+const validateClaims = (order, items, userId) => {
+  const errors = [];
+  const claimedByOthers = getClaimedUnits(order.participants, userId);
+  const requested = new Map();
+
+  (items || []).forEach(item => {
+    const quantity = Number(item.quantity);
+    const product = order.products.find(p => p._id.toString() === String(item.productId));
+
+    if (!product) {
+      errors.push(`Product ${item.productId} is not part of this order`);
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`Quantity for ${product.productName} must be a whole number of at least 1`);
+      return;
+    }
+    requested.set(product._id.toString(), (requested.get(product._id.toString()) || 0) + quantity);
+  });
+
+  requested.forEach((quantity, productId) => {
+    const product = order.products.find(p => p._id.toString() === productId);
+    const available = maxCasesFor(product) * unitsPerCase(product) - (claimedByOthers.get(productId) || 0);
+
+    if (quantity > available) {
+      errors.push(`Only ${Math.max(available, 0)} unit(s) of ${product.productName} are left, ${quantity} requested`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Recalculate case counts and participant costs from the current claims.
+ * While an order is open every started case is kept; once finalized the
+ * order's allocation policy decides what happens to a partly filled case.
+ * Mutates the order; the caller saves it.
+ * @param {Object} order - Order document
+ * @param {Object} options - { finalize: boolean }
+ * @returns {Array<Object>} - Claims trimmed by `cancel_unfilled` [{ user, productId, quantity }]
+ */
+const rebalanceOrder = (order, { finalize = false } = {}) => {
+  const policy = order.allocationPolicy || 'round_up';
+  const trimmed = [];
+
+  order.products.forEach(product => {
+    const productId = product._id.toString();
+    const perCase = unitsPerCase(product);
+    const claimed = getClaimedUnits(order.participants).get(productId) || 0;
+
+    if (product.maxCases === undefined || product.maxCases === null) {
+      product.maxCases = product.quantity || 0;
+    }
+
+    if (!finalize || policy === 'round_up') {
+      product.quantity = Math.ceil(claimed / perCase);
+      return;
+    }
+
+    // cancel_unfilled: keep only full cases and trim the latest claims to fit
+    const fullCases = Math.floor(claimed / perCase);
+    let excess = claimed - fullCases * perCase;
+    product.quantity = fullCases;
+
+    for (let p = order.participants.length - 1; p >= 0 && excess > 0; p--) {
+      const participant = order.participants[p];
+      for (let i = participant.items.length - 1; i >= 0 && excess > 0; i--) {
+        const item = participant.items[i];
+        if (String(item.productId) !== productId) continue;
+
+        const cut = Math.min(item.quantity, excess);
+        item.quantity -= cut;
+        excess -= cut;
+        trimmed.push({ user: participant.user, productId, quantity: cut });
+
+        if (item.quantity === 0) {
+          participant.items.splice(i, 1);
+        }
+      }
+    }
+  });
+
+  applyCosts(order, { splitLeftovers: finalize && policy === 'round_up' });
+
+  return trimmed;
+};
+
+/**
+ * Set each claim's cost and each participant's total
+ * @param {Object} order - Order document
+ * @param {Object} options - { splitLeftovers: share unclaimed units of a partial case }
+ */
+const applyCosts = (order, { splitLeftovers = false } = {}) => {
+  const claimed = getClaimedUnits(order.participants);
+
+  order.participants.forEach(participant => {
+    let totalCost = 0;
+
+    participant.items.forEach(item => {
+      const product = order.products.find(p => p._id.toString() === String(item.productId));
+      if (!product) {
+        item.cost = 0;
+        return;
+      }
+
+      let cost = unitPrice(product) * item.quantity;
+
+      if (splitLeftovers) {
+        const productClaimed = claimed.get(product._id.toString()) || 0;
+        const leftoverUnits = product.quantity * unitsPerCase(product) - productClaimed;
+        if (leftoverUnits > 0 && productClaimed > 0) {
+          cost += unitPrice(product) * leftoverUnits * (item.quantity / productClaimed);
+        }
+      }
+
+      item.cost = roundCurrency(cost);
+      totalCost += item.cost;
+    });
+
+    participant.totalCost = roundCurrency(totalCost);
+  });
+};
+
+module.exports = {
+  ALLOCATION_POLICIES,
+  getAllocationReport,
+  validateClaims,
+  rebalanceOrder
+};
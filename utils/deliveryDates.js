@@ -0,0 +1,38 @@
+/**
+ * Delivery Date Helpers
+ * Work out upcoming dates from a group's weekly delivery days
+ */
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Next date (midnight, server time) falling on one of the given weekdays
+ * @param {Array<string>} deliveryDays - e.g. ['Monday', 'Thursday']
+ * @param {Date} from - Start searching after this day
+ * @returns {Date|null} - null when there are no valid delivery days
+ */
+const getNextDeliveryDay = (deliveryDays, from = new Date()) => {
+  const dayIndexes = (deliveryDays || [])
+    .map(day => WEEKDAYS.indexOf(day))
+    .filter(index => index !== -1);
+
+  if (dayIndexes.length === 0) {
+    return null;
+  }
+
+  const date = new Date(from);
+  date.setHours(0, 0, 0, 0);
+
+  for (let i = 1; i <= 7; i++) {
+    date.setDate(date.getDate() + 1);
+    if (dayIndexes.includes(date.getDay())) {
+      return date;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  WEEKDAYS,
+  getNextDeliveryDay
+};
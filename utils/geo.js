@@ -0,0 +1,124 @@
+/**
+ * Geo Utilities
+ * Parses "near me" query parameters (`near=lat,lng&radius=&unit=`) and builds
+ * the `$geoNear` stage that filters documents by distance, sorts them nearest
+ * first and stores the distance on `location.distance`.
+ */
+
+const METERS_PER_UNIT = {
+  mi: 1609.344,
+  km: 1000
+};
+
+const DEFAULT_RADIUS = 25;
+const MAX_RADIUS = 500;
+
+/**
+ * Check for a [longitude, latitude] pair in range
+ * @param {Array<number>} coordinates - GeoJSON order
+ * @returns {boolean}
+ */
+const isValidCoordinates = (coordinates) => {
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) {
+    return false;
+  }
+  const [lng, lat] = coordinates.map(Number);
+  return Number.isFinite(lng) && Number.isFinite(lat) &&
+    lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+};
+
+/**
+ * Build a GeoJSON point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} - { type: 'Point', coordinates: [lng, lat] }
+ */
+const toPoint = (lat, lng) => ({
+  type: 'Point',
+  coordinates: [Number(lng), Number(lat)]
+});
+
+/**
+ * Read the near / radius / unit query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} - { isValid, errors, near } where near is null when no location was given
+ */
+const parseNearQuery = (query = {}) => {
+  const errors = [];
+
+  if (!query.near) {
+    return { isValid: true, errors, near: null };
+  }
+
+  const [lat, lng] = String(query.near).split(',').map(part => Number(part.trim()));
+  if (!isValidCoordinates([lng, lat])) {
+    errors.push('near must be "latitude,longitude", e.g. near=30.2672,-97.7431');
+  }
+
+  const unit = query.unit || 'mi';
+  if (!METERS_PER_UNIT[unit]) {
+    errors.push('unit must be mi or km');
+  }
+
+  const radius = query.radius === undefined || query.radius === '' ? DEFAULT_RADIUS : Number(query.radius);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS) {
+    errors.push(`radius must be a number greater than 0 and at most ${MAX_RADIUS}`);
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, near: null };
+  }
+
+  return {
+    isValid: true,
+    errors,
+    near: {
+      point: toPoint(lat, lng),
+      radius,
+      unit
+    }
+  };
+};
+
+/**
+ * Aggregation stages that keep documents within the radius, nearest first,
+ * with `location.distance` in the requested unit. Must start the pipeline.
+ * @param {Object} near - From parseNearQuery
+ * @param {Object} filter - Additional match conditions (no $text)
+ * @returns {Array<Object>} - Pipeline stages
+ */
+const geoNearStages = (near, filter = {}) => [
+  {
+    $geoNear: {
+      near: near.point,
+      key: 'location.coordinates',
+      distanceField: 'location.distance',
+      maxDistance: near.radius * METERS_PER_UNIT[near.unit],
+      distanceMultiplier: 1 / METERS_PER_UNIT[near.unit],
+      spherical: true,
+      query: filter
+    }
+  },
+  { $addFields: { 'location.distance': { $round: ['$location.distance', 2] } } }
+];
+
+/**
+ * Text search can't be combined with $geoNear, so near-me searches match
+ * the words against these fields instead
+ * @param {string} search - Search text
+ * @param {Array<string>} fields - Fields to match
+ * @returns {Object} - $or condition
+ */
+const searchCondition = (search, fields) => {
+  const pattern = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  return { $or: fields.map(field => ({ [field]: pattern })) };
+};
+
+module.exports = {
+  METERS_PER_UNIT,
+  isValidCoordinates,
+  toPoint,
+  parseNearQuery,
+  geoNearStages,
+  searchCondition
+};
@@ -0,0 +1,224 @@
+/**
+ * Geocoder
+ * Turns an address into coordinates. The default "offline" provider looks up
+ * ZIP codes and city/state pairs in the bundled US ZIP code dataset (the
+ * `zipcodes` package), so it works without network access. Set
+ * GEOCODER_PROVIDER=nominatim to try an OpenStreetMap Nominatim server first
+ * (GEOCODER_URL, default the public one); the offline lookup is still used
+ * when it finds nothing. Every provider has the same interface:
+ *   geocode({ street, city, state, zipCode }) -> { coordinates: [lng, lat], precision, source } | null
+ *
+ * `geocodeLocationPlugin` is a mongoose plugin that fills `location.coordinates`
+ * whenever a document's address is saved.
+ */
+const axios = require('axios');
+
+let zipcodes = null;
+
+/**
+ * Load the ZIP code dataset the first time it is needed
+ * @returns {Object}
+ */
+const getDataset = () => {
+  if (!zipcodes) {
+    zipcodes = require('zipcodes');
+  }
+  return zipcodes;
+};
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const providers = {
+  offline: () => ({
+    name: 'offline',
+    geocode: async ({ city, state, zipCode }) => {
+      const dataset = getDataset();
+
+      const zip = String(zipCode || '').trim().slice(0, 5);
+      if (/^\d{5}$/.test(zip)) {
+        const place = dataset.lookup(zip);
+        if (place) {
+          return { coordinates: [place.longitude, place.latitude], precision: 'zip', source: 'offline' };
+        }
+      }
+
+      if (city && state) {
+        const stateCode = dataset.states.normalize(String(state).trim()) || String(state).trim();
+        const places = dataset.lookupByName(String(city).trim(), stateCode);
+        if (places.length > 0) {
+          // Centre of the city's ZIP codes
+          const lng = places.reduce((sum, place) => sum + place.longitude, 0) / places.length;
+          const lat = places.reduce((sum, place) => sum + place.latitude, 0) / places.length;
+          return { coordinates: [round(lng), round(lat)], precision: 'city', source: 'offline' };
+        }
+      }
+
+      return null;
+    }
+  }),
+
+  nominatim: () => {
+    const baseUrl = (process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org').replace(/\/$/, '');
+
+    return {
+      name: 'nominatim',
+      geocode: async ({ street, city, state, zipCode }) => {
+        const response = await axios.get(`${baseUrl}/search`, {
+          params: {
+            format: 'json',
+            limit: 1,
+            countrycodes: 'us',
+            street: street || undefined,
+            city: city || undefined,
+            state: state || undefined,
+            postalcode: zipCode || undefined
+          },
+          headers: { 'User-Agent': process.env.GEOCODER_USER_AGENT || 'FreshShare geocoder' },
+          timeout: 5000
+        });
+
+        const [place] = response.data || [];
+        if (!place) {
+          return null;
+        }
+        return {
+          coordinates: [Number(place.lon), Number(place.lat)],
+          precision: street ? 'address' : 'city',
+          source: 'nominatim'
+        };
+      }
+    };
+  }
+};
+
+let activeProvider = null;
+
+/**
+ * The provider configured for this process
+ * @returns {Object} - { name, geocode(address) }
+ */
+const getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.GEOCODER_PROVIDER || 'offline';
+    if (!providers[name]) {
+      throw new Error(`Unknown geocoder provider "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+    }
+    activeProvider = providers[name]();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the provider, e.g. with a stub in tests
+ * @param {Object|string|null} provider - { name, geocode }, a built-in provider name, or null to reset
+ */
+const setProvider = (provider) => {
+  activeProvider = typeof provider === 'string' ? providers[provider]() : provider;
+};
+
+/**
+ * Find coordinates for an address. Never throws; returns null when nothing matches.
+ * @param {Object} address - { street, city, state, zipCode }
+ * @returns {Promise<Object|null>} - { coordinates: [lng, lat], precision, source }
+ */
+const geocode = async (address = {}) => {
+  const provider = getProvider();
+
+  try {
+    const result = await provider.geocode(address);
+    if (result || provider.name === 'offline') {
+      return result;
+    }
+  } catch (err) {
+    console.error(`Geocoding with ${provider.name} failed:`, err.message);
+  }
+
+  // Fall back to the bundled dataset
+  return provider.name === 'offline' ? null : providers.offline().geocode(address);
+};
+
+/**
+ * Mongoose plugin that geocodes `location` whenever its address changes,
+ * unless coordinates were given explicitly. Runs before validation on save
+ * and before findOneAndUpdate.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { streetField: name of the street field under location (default 'street') }
+ */
+const geocodeLocationPlugin = (schema, { streetField = 'street' } = {}) => {
+  const ADDRESS_FIELDS = [streetField, 'city', 'state', 'zipCode'];
+
+  const toAddress = (location = {}) => ({
+    street: location[streetField],
+    city: location.city,
+    state: location.state,
+    zipCode: location.zipCode
+  });
+
+  const hasCoordinates = (coordinates) =>
+    !!coordinates && Array.isArray(coordinates.coordinates) && coordinates.coordinates.length === 2;
+
+  schema.pre('validate', async function() {
+    const addressChanged = this.isNew || ADDRESS_FIELDS.some(field => this.isModified(`location.${field}`));
+    if (!this.location || !addressChanged) {
+      return;
+    }
+    if (this.isModified('location.coordinates.coordinates') && hasCoordinates(this.location.coordinates)) {
+      return;
+    }
+
+    const result = await geocode(toAddress(this.location));
+    if (result) {
+      this.location.coordinates = { type: 'Point', coordinates: result.coordinates };
+    }
+  });
+
+  schema.pre('findOneAndUpdate', async function() {
+    const update = this.getUpdate() || {};
+    // Aggregation pipeline updates (e.g. quantity changes) never touch the address
+    if (Array.isArray(update)) {
+      return;
+    }
+    const set = update.$set || update;
+
+    // The address can arrive as a whole location object or as dotted fields
+    const changed = {};
+    if (set.location && typeof set.location === 'object') {
+      if (hasCoordinates(set.location.coordinates)) {
+        return;
+      }
+      ADDRESS_FIELDS.forEach(field => {
+        if (set.location[field] !== undefined) changed[field] = set.location[field];
+      });
+    }
+    if (hasCoordinates(set['location.coordinates'])) {
+      return;
+    }
+    ADDRESS_FIELDS.forEach(field => {
+      if (set[`location.${field}`] !== undefined) changed[field] = set[`location.${field}`];
+    });
+
+    if (Object.keys(changed).length === 0) {
+      return;
+    }
+
+    const current = await this.model.findOne(this.getQuery()).select('location').lean();
+    const result = await geocode(toAddress({ ...(current && current.location), ...changed }));
+    if (!result) {
+      return;
+    }
+
+    const point = { type: 'Point', coordinates: result.coordinates };
+    if (set.location && typeof set.location === 'object') {
+      set.location.coordinates = point;
+    } else {
+      set['location.coordinates'] = point;
+    }
+  });
+};
+
+module.exports = {
+  geocode,
+  getProvider,
+  setProvider,
+  geocodeLocationPlugin
+};
@@ -0,0 +1,135 @@
+/**
+ * Group Invites
+ * Issues signed, expiring invite tokens, emails the invite link and joins
+ * the invitee to the group when they accept it at signup or login.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/auth.config');
+const GroupInvite = require('../models/group-invite.model');
+const Group = require('../models/group.model');
+const MembershipRequest = require('../models/membership-request.model');
+const membership = require('./groupMembership');
+const { isBanned } = require('./groupPermissions');
+const mailer = require('./mailer');
+
+const INVITE_EXPIRY_DAYS = Number(process.env.INVITE_EXPIRY_DAYS) || 7;
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Hash a token for storage
+ * @param {string} token - Signed invite token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a fresh token for an invite and record its hash and expiry on the invite
+ * @param {Object} invite - GroupInvite document (not yet saved)
+ * @returns {string} - The token to put in the link
+ */
+const issueToken = (invite) => {
+  const token = jwt.sign(
+    { invite: invite._id.toString(), nonce: crypto.randomBytes(8).toString('hex') },
+    config.secret,
+    { expiresIn: `${INVITE_EXPIRY_DAYS}d` }
+  );
+  invite.tokenHash = hashToken(token);
+  invite.expiresAt = new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+/**
+ * Email the invite link. People who already have an account are sent to login,
+ * everyone else to signup.
+ * @param {Object} invite - GroupInvite document
+ * @param {string} token - Token from issueToken
+ * @param {Object} options - { group, inviter, hasAccount }
+ */
+const sendInviteEmail = async (invite, token, { group, inviter, hasAccount }) => {
+  const link = `${APP_URL}/${hasAccount ? 'login' : 'signup'}?invite=${encodeURIComponent(token)}`;
+  const inviterName = inviter ? inviter.username : 'A member';
+
+  await mailer.sendMail({
+    to: invite.email,
+    subject: `You're invited to join ${group.name} on FreshShare`,
+    text: `${inviterName} has invited you to join "${group.name}" on FreshShare.\n\n` +
+      `${hasAccount ? 'Log in' : 'Sign up'} with this link to accept:\n${link}\n\n` +
+      `The link expires on ${invite.expiresAt.toDateString()}. If you weren't expecting this, you can ignore it.`,
+    html: `<p>${mailer.escapeHtml(inviterName)} has invited you to join <strong>${mailer.escapeHtml(group.name)}</strong> on FreshShare.</p>` +
+      `<p><a href="${link}">${hasAccount ? 'Log in' : 'Sign up'} to accept the invitation</a></p>` +
+      `<p>The link expires on ${invite.expiresAt.toDateString()}. If you weren't expecting this, you can ignore it.</p>`
+  });
+};
+
+/**
+ * Accept an invite on behalf of a logged-in or newly registered user
+ * @param {string} token - Token from the invite link
+ * @param {Object} user - User document accepting the invite
+ * @returns {Promise<Object>} - { success, message, groupId }
+ */
+const acceptInvite = async (token, user) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.secret);
+  } catch (err) {
+    return {
+      success: false,
+      message: err.name === 'TokenExpiredError' ? 'This invitation has expired' : 'This invitation link is not valid'
+    };
+  }
+
+  const invite = await GroupInvite.findById(payload.invite);
+  if (!invite || invite.tokenHash !== hashToken(token)) {
+    return { success: false, message: 'This invitation link is no longer valid' };
+  }
+
+  if (invite.status !== 'pending') {
+    return { success: false, message: `This invitation has already been ${invite.status}` };
+  }
+
+  if (invite.expiresAt <= new Date()) {
+    return { success: false, message: 'This invitation has expired' };
+  }
+
+  if (invite.email !== user.email.toLowerCase()) {
+    return { success: false, message: 'This invitation was sent to a different email address' };
+  }
+
+  const group = await Group.findById(invite.group);
+  if (!group) {
+    return { success: false, message: 'The group for this invitation no longer exists' };
+  }
+
+  if (isBanned(group, user._id)) {
+    return { success: false, message: `You have been banned from ${group.name}` };
+  }
+
+  // An invite skips the approval queue but not the member limit
+  if (!user.isMemberOfGroup(group._id) && !await membership.addMember(group, user._id)) {
+    return { success: false, message: `${group.name} is full, so the invitation can't be accepted right now` };
+  }
+
+  invite.status = 'accepted';
+  invite.acceptedBy = user._id;
+  invite.acceptedAt = new Date();
+  await invite.save();
+
+  await MembershipRequest.updateMany(
+    { group: group._id, user: user._id, status: { $in: ['pending', 'waitlisted'] } },
+    { $set: { status: 'approved', reviewedBy: invite.invitedBy, reviewedAt: new Date(), reason: 'Accepted an invitation' } }
+  );
+
+  return {
+    success: true,
+    message: `You have joined ${group.name}`,
+    groupId: group._id
+  };
+};
+
+module.exports = {
+  INVITE_EXPIRY_DAYS,
+  issueToken,
+  sendInviteEmail,
+  acceptInvite
+};
@@ -0,0 +1,410 @@
+/**
+ * Group Membership
+ * Membership is stored on both sides: `Group.members` / `admins` / `moderators`
+ * and `User.groups`. Every change that touches both goes through this service,
+ * which writes the two collections in one MongoDB transaction. Standalone
+ * servers (no replica set) can't run transactions; there the writes run
+ * without one and `findMembershipDrift` / `repairMembershipDrift` can be used
+ * to fix anything left half-done.
+ */
+const mongoose = require('mongoose');
+const Group = require('../models/group.model');
+const User = require('../models/user.model');
+const MembershipRequest = require('../models/membership-request.model');
+
+// null until the first transaction tells us whether the server supports them
+let transactionsSupported = null;
+
+/**
+ * Helper function to recognise "this server can't do transactions" errors
+ * @param {Error} err - Error thrown by the driver
+ * @returns {boolean}
+ */
+const isTransactionUnsupported = (err) => {
+  return err && (
+    err.code === 20 ||
+    /Transaction numbers are only allowed|replica set/i.test(err.message || '')
+  );
+};
+
+/**
+ * Run membership writes in a transaction when the server supports it
+ * @param {Function} work - async (session) => result; pass the session to every query
+ * @returns {Promise<*>} - Whatever work returns
+ */
+const runInTransaction = async (work) => {
+  if (transactionsSupported === false) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    transactionsSupported = true;
+    return result;
+  } catch (err) {
+    if (transactionsSupported === null && isTransactionUnsupported(err)) {
+      transactionsSupported = false;
+      console.warn('MongoDB transactions are not available; membership changes will run without them');
+      return work(null);
+    }
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * The Group update that puts a user in the arrays for a role
+ * @param {string} userId - User ID
+ * @param {string} role - 'admin', 'moderator' or 'member'
+ * @returns {Object} - MongoDB update
+ */
+const groupRoleUpdate = (userId, role) => {
+  if (role === 'admin') {
+    return { $addToSet: { members: userId, admins: userId }, $pull: { moderators: userId } };
+  }
+  if (role === 'moderator') {
+    return { $addToSet: { members: userId, moderators: userId }, $pull: { admins: userId } };
+  }
+  return { $addToSet: { members: userId }, $pull: { admins: userId, moderators: userId } };
+};
+
+/**
+ * Give a user an active User.groups entry with a role, reusing a pending one if there is one
+ * @param {string} userId - User ID
+ * @param {string} groupId - Group ID
+ * @param {string} role - 'admin', 'moderator' or 'member'
+ * @param {Object|null} session - Transaction session
+ */
+const setUserMembership = async (userId, groupId, role, session) => {
+  const updated = await User.updateOne(
+    { _id: userId, 'groups.group': groupId },
+    { $set: { 'groups.$.role': role, 'groups.$.status': 'active', 'groups.$.joinedAt': new Date() } },
+    { session }
+  );
+
+  if (updated.matchedCount === 0) {
+    await User.updateOne(
+      { _id: userId },
+      { $push: { groups: { group: groupId, role, status: 'active', joinedAt: new Date() } } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Create a group with its creator as owner and first admin
+ * @param {Object} groupData - Fields for the new group
+ * @param {string} ownerId - User ID of the creator
+ * @returns {Promise<Object>} - The saved group
+ */
+const createGroup = (groupData, ownerId) => runInTransaction(async (session) => {
+  const [group] = await Group.create([{
+    ...groupData,
+    createdBy: ownerId,
+    owner: ownerId,
+    members: [ownerId],
+    admins: [ownerId]
+  }], { session });
+
+  await setUserMembership(ownerId, group._id, 'admin', session);
+  return group;
+});
+
+/**
+ * Add a user to a group if there is room.
+ * The capacity check and the update happen in one query so two people
+ * can't both take the last spot.
+ * @param {Object} group - Group document
+ * @param {string} userId - User ID
+ * @param {string} role - 'admin', 'moderator' or 'member' (default 'member')
+ * @returns {Promise<boolean>} - False if the group is full
+ */
+const addMember = (group, userId, role = 'member') => runInTransaction(async (session) => {
+  const maxMembers = (group.rules && group.rules.maxMembers) || 50;
+  const updated = await Group.updateOne(
+    {
+      _id: group._id,
+      members: { $ne: userId },
+      $expr: { $lt: [{ $size: '$members' }, maxMembers] }
+    },
+    groupRoleUpdate(userId, role),
+    { session }
+  );
+
+  if (updated.matchedCount === 0) {
+    // Already a member counts as added; otherwise the group is full
+    return !!await Group.exists({ _id: group._id, members: userId }).session(session);
+  }
+
+  await setUserMembership(userId, group._id, role, session);
+  return true;
+});
+
+/**
+ * Take a user out of a group on both sides
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ */
+const removeMember = (groupId, userId) => runInTransaction(async (session) => {
+  await Group.updateOne(
+    { _id: groupId },
+    { $pull: { members: userId, admins: userId, moderators: userId } },
+    { session }
+  );
+  await User.updateOne(
+    { _id: userId },
+    { $pull: { groups: { group: groupId } } },
+    { session }
+  );
+});
+
+/**
+ * Change a member's role on both sides
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @param {string} role - 'admin', 'moderator' or 'member'
+ * @returns {Promise<Object>} - The updated group
+ */
+const setRole = (groupId, userId, role) => runInTransaction(async (session) => {
+  const group = await Group.findOneAndUpdate(
+    { _id: groupId, members: userId },
+    groupRoleUpdate(userId, role),
+    { new: true, session }
+  );
+
+  if (group) {
+    await setUserMembership(userId, groupId, role, session);
+  }
+  return group;
+});
+
+/**
+ * Hand a group to another member. The new owner becomes an admin and the
+ * previous owner stays one.
+ * @param {string} groupId - Group ID
+ * @param {string} fromUserId - Current owner
+ * @param {string} toUserId - New owner; must already be a member
+ * @returns {Promise<Object|null>} - The updated group, or null if the current owner has changed
+ */
+const transferOwnership = (groupId, fromUserId, toUserId) => runInTransaction(async (session) => {
+  // Only moves ownership if the current user still owns the group
+  const group = await Group.findOneAndUpdate(
+    {
+      _id: groupId,
+      members: toUserId,
+      $or: [{ owner: fromUserId }, { owner: { $exists: false }, createdBy: fromUserId }]
+    },
+    {
+      $set: { owner: toUserId },
+      $addToSet: { admins: { $each: [toUserId, fromUserId] } },
+      $pull: { moderators: toUserId }
+    },
+    { new: true, session }
+  );
+
+  if (!group) {
+    return null;
+  }
+
+  await setUserMembership(toUserId, groupId, 'admin', session);
+  await setUserMembership(fromUserId, groupId, 'admin', session);
+  return group;
+});
+
+/**
+ * Delete a group and every member's entry for it
+ * @param {string} groupId - Group ID
+ */
+const deleteGroup = (groupId) => runInTransaction(async (session) => {
+  await User.updateMany(
+    { 'groups.group': groupId },
+    { $pull: { groups: { group: groupId } } },
+    { session }
+  );
+  await Group.deleteOne({ _id: groupId }, { session });
+});
+
+/**
+ * Give the oldest waitlisted request a spot once one opens up.
+ * Groups that approve members automatically add them straight away; otherwise the
+ * request moves to the admin queue.
+ * @param {string} groupId - Group ID
+ */
+const processWaitlist = async (groupId) => {
+  const group = await Group.findById(groupId);
+  if (!group || group.members.length >= group.rules.maxMembers) {
+    return;
+  }
+
+  const next = await MembershipRequest.findOne({ group: groupId, status: 'waitlisted' })
+    .sort({ createdAt: 1 });
+  if (!next) {
+    return;
+  }
+
+  const autoApprove = group.rules.autoApproveMembers && !group.isPrivate;
+
+  if (autoApprove && await User.exists({ _id: next.user }) && await addMember(group, next.user)) {
+    next.status = 'approved';
+    next.reason = 'A spot opened up';
+    next.reviewedAt = new Date();
+  } else {
+    next.status = 'pending';
+  }
+  await next.save();
+};
+
+/**
+ * Compare both sides of every membership. The group document is treated as
+ * the source of truth, since permission checks read it.
+ * @returns {Promise<Array<Object>>} - Problems found: { type, group, user, fix }
+ */
+const findMembershipDrift = async () => {
+  const problems = [];
+  const groups = await Group.find().select('members admins moderators owner createdBy').lean();
+  const groupsById = new Map(groups.map(group => [group._id.toString(), group]));
+
+  const userIds = new Set();
+  groups.forEach(group => group.members.forEach(member => userIds.add(member.toString())));
+  const existingUsers = new Set(
+    (await User.find({ _id: { $in: [...userIds] } }).select('_id').lean()).map(user => user._id.toString())
+  );
+
+  // Group side: dangling users, admins/moderators who aren't members
+  groups.forEach(group => {
+    group.members.forEach(member => {
+      if (!existingUsers.has(member.toString())) {
+        problems.push({ type: 'missing_user', group: group._id, user: member, fix: 'remove from group' });
+      }
+    });
+    const memberIds = group.members.map(member => member.toString());
+    [...group.admins, ...(group.moderators || [])].forEach(userId => {
+      if (!memberIds.includes(userId.toString())) {
+        problems.push({ type: 'role_without_membership', group: group._id, user: userId, fix: 'remove role' });
+      }
+    });
+  });
+
+  // User side: entries that don't match the group
+  const users = await User.find({ 'groups.0': { $exists: true } }).select('groups').lean();
+  users.forEach(user => {
+    const seen = new Set();
+    user.groups.forEach(entry => {
+      const groupId = entry.group.toString();
+      const group = groupsById.get(groupId);
+
+      if (seen.has(groupId)) {
+        problems.push({ type: 'duplicate_entry', group: entry.group, user: user._id, fix: 'remove duplicate entry' });
+        return;
+      }
+      seen.add(groupId);
+
+      if (!group) {
+        problems.push({ type: 'missing_group', group: entry.group, user: user._id, fix: 'remove entry' });
+        return;
+      }
+
+      const isMember = group.members.some(member => member.toString() === user._id.toString());
+      if (entry.status === 'active' && !isMember) {
+        problems.push({ type: 'not_in_group', group: entry.group, user: user._id, fix: 'remove entry' });
+      } else if (isMember && entry.status !== 'active') {
+        problems.push({ type: 'inactive_entry', group: entry.group, user: user._id, fix: 'sync entry' });
+      } else if (isMember && entry.role !== expectedUserRole(group, user._id)) {
+        problems.push({ type: 'wrong_role', group: entry.group, user: user._id, fix: 'sync entry' });
+      }
+    });
+  });
+
+  // Members with no entry at all
+  const entries = new Set();
+  users.forEach(user => user.groups.forEach(entry => entries.add(`${entry.group}:${user._id}`)));
+  groups.forEach(group => {
+    group.members.forEach(member => {
+      if (existingUsers.has(member.toString()) && !entries.has(`${group._id}:${member}`)) {
+        problems.push({ type: 'missing_entry', group: group._id, user: member, fix: 'sync entry' });
+      }
+    });
+  });
+
+  return problems;
+};
+
+/**
+ * The User.groups role a member should have according to the group document
+ * @param {Object} group - Group document (lean)
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+const expectedUserRole = (group, userId) => {
+  const id = userId.toString();
+  const owner = group.owner || group.createdBy;
+  if ((owner && owner.toString() === id) || group.admins.some(admin => admin.toString() === id)) {
+    return 'admin';
+  }
+  if ((group.moderators || []).some(moderator => moderator.toString() === id)) {
+    return 'moderator';
+  }
+  return 'member';
+};
+
+/**
+ * Fix the problems findMembershipDrift reports
+ * @param {Object} options - { dryRun: report only }
+ * @returns {Promise<Array<Object>>} - The problems found (and fixed unless dryRun)
+ */
+const repairMembershipDrift = async ({ dryRun = false } = {}) => {
+  const problems = await findMembershipDrift();
+  if (dryRun) {
+    return problems;
+  }
+
+  for (const problem of problems) {
+    switch (problem.type) {
+    case 'missing_user':
+    case 'role_without_membership':
+      await Group.updateOne(
+        { _id: problem.group },
+        problem.type === 'missing_user'
+          ? { $pull: { members: problem.user, admins: problem.user, moderators: problem.user } }
+          : { $pull: { admins: problem.user, moderators: problem.user } }
+      );
+      break;
+    case 'missing_group':
+    case 'not_in_group':
+      await User.updateOne({ _id: problem.user }, { $pull: { groups: { group: problem.group } } });
+      break;
+    case 'duplicate_entry': {
+      // Keep the first entry for the group
+      const user = await User.findById(problem.user).select('groups');
+      const first = user.groups.find(entry => entry.group.toString() === problem.group.toString());
+      user.groups = user.groups.filter(entry => entry === first || entry.group.toString() !== problem.group.toString());
+      await user.save({ validateModifiedOnly: true });
+      break;
+    }
+    default: {
+      const group = await Group.findById(problem.group).select('admins moderators owner createdBy').lean();
+      await setUserMembership(problem.user, problem.group, expectedUserRole(group, problem.user), null);
+    }
+    }
+  }
+
+  return problems;
+};
+
+module.exports = {
+  runInTransaction,
+  createGroup,
+  addMember,
+  removeMember,
+  setRole,
+  transferOwnership,
+  deleteGroup,
+  processWaitlist,
+  findMembershipDrift,
+  repairMembershipDrift
+};
@@ -0,0 +1,167 @@
+/**
+ * Group Permissions
+ * Maps what people may do in a group to the roles allowed to do it.
+ * Roles come from the group document: the owner, then `admins`,
+ * `moderators` and `members`. Controllers call `can`; routes that only
+ * need a permission check use the requireGroupPermission middleware.
+ * Groups can require two-factor authentication for their owner and admins
+ * (`rules.requireAdminTwoFactor`); until they turn it on, `can` gives
+ * them member permissions only.
+ */
+
+// Highest rank first
+const GROUP_ROLES = ['owner', 'admin', 'moderator', 'member'];
+
+// Roles a group can require two-factor authentication for
+const TWO_FACTOR_ROLES = ['owner', 'admin'];
+
+const PERMISSIONS = {
+  'group.update': ['owner', 'admin'],
+  'group.delete': ['owner'],
+  'group.transferOwnership': ['owner'],
+  'members.approve': ['owner', 'admin', 'moderator'],
+  'members.invite': ['owner', 'admin', 'moderator'],
+  'members.remove': ['owner', 'admin', 'moderator'],
+  'members.ban': ['owner', 'admin'],
+  'members.changeRole': ['owner', 'admin'],
+  'messages.post': ['owner', 'admin', 'moderator', 'member'],
+  'messages.delete': ['owner', 'admin', 'moderator'],
+  'shoppingList.edit': ['owner', 'admin', 'moderator'],
+  'events.edit': ['owner', 'admin', 'moderator'],
+  'orders.create': ['owner', 'admin'],
+  'orders.edit': ['owner', 'admin'],
+  'payments.manage': ['owner', 'admin']
+};
+
+/**
+ * Helper function to check if an ID is in a list of IDs or populated documents
+ * @param {Array} list - ObjectIds or documents
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const includesId = (list, userId) => {
+  return (list || []).some(entry => (entry._id || entry).toString() === userId.toString());
+};
+
+/**
+ * The group's owner. Groups created before ownership could be transferred are owned by their creator.
+ * @param {Object} group - Group document
+ * @returns {string|null}
+ */
+const getOwnerId = (group) => {
+  const owner = group.owner || group.createdBy;
+  return owner ? (owner._id || owner).toString() : null;
+};
+
+/**
+ * A user's role in a group
+ * @param {Object} group - Group document
+ * @param {string} userId - User ID
+ * @returns {string|null} - One of GROUP_ROLES, or null for non-members
+ */
+const getGroupRole = (group, userId) => {
+  if (!group || !userId) {
+    return null;
+  }
+  if (!includesId(group.members, userId)) {
+    return null;
+  }
+  if (getOwnerId(group) === userId.toString()) {
+    return 'owner';
+  }
+  if (includesId(group.admins, userId)) {
+    return 'admin';
+  }
+  if (includesId(group.moderators, userId)) {
+    return 'moderator';
+  }
+  return 'member';
+};
+
+/**
+ * Check whether the group requires two-factor authentication of this user
+ * and they haven't turned it on
+ * @param {Object} group - Group document
+ * @param {Object|string} user - User document, or a user ID (treated as not having 2FA)
+ * @returns {boolean}
+ */
+const needsTwoFactor = (group, user) => {
+  if (!group || !user || !(group.rules && group.rules.requireAdminTwoFactor)) {
+    return false;
+  }
+  if (!TWO_FACTOR_ROLES.includes(getGroupRole(group, user._id || user))) {
+    return false;
+  }
+  return !(user.twoFactor && user.twoFactor.enabled);
+};
+
+/**
+ * Check whether a user may do something in a group
+ * @param {Object} group - Group document
+ * @param {Object|string} user - User document (e.g. req.user). A bare user ID is
+ *   treated as not having 2FA, so pass the document wherever the group may require it.
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+const can = (group, user, permission) => {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    throw new Error(`Unknown group permission "${permission}"`);
+  }
+  const role = needsTwoFactor(group, user) ? 'member' : getGroupRole(group, user && (user._id || user));
+  return allowed.includes(role);
+};
+
+/**
+ * Check whether one role ranks above another, e.g. before a moderator removes someone
+ * @param {string} role - Acting user's role
+ * @param {string} otherRole - Target user's role
+ * @returns {boolean}
+ */
+const outranks = (role, otherRole) => {
+  return GROUP_ROLES.indexOf(role) !== -1 && GROUP_ROLES.indexOf(role) < GROUP_ROLES.indexOf(otherRole);
+};
+
+/**
+ * Helper function to check if a user is an admin (or the owner) of a group
+ * @param {Object} group - Group document
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const isGroupAdmin = (group, userId) => {
+  return ['owner', 'admin'].includes(getGroupRole(group, userId));
+};
+
+/**
+ * Helper function to check if a user is a member of a group
+ * @param {Object} group - Group document
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const isGroupMember = (group, userId) => {
+  return includesId(group.members, userId);
+};
+
+/**
+ * Helper function to check if a user has been banned from a group
+ * @param {Object} group - Group document
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const isBanned = (group, userId) => {
+  return (group.bannedUsers || []).some(ban => (ban.user._id || ban.user).toString() === userId.toString());
+};
+
+module.exports = {
+  GROUP_ROLES,
+  TWO_FACTOR_ROLES,
+  PERMISSIONS,
+  getOwnerId,
+  getGroupRole,
+  needsTwoFactor,
+  can,
+  outranks,
+  isGroupAdmin,
+  isGroupMember,
+  isBanned
+};
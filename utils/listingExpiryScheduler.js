@@ -0,0 +1,153 @@
+/**
+ * Listing Expiry Scheduler
+ * Archives marketplace listings once their expiry date has passed, expires
+ * reservations nobody picked up, and renews listings for sellers.
+ * `runScheduler` is safe to call repeatedly; `startScheduler` runs it on an
+ * interval from server.js.
+ */
+const Listing = require('../models/listing.model');
+const { expireReservations } = require('./listingReservations');
+
+const MIN_LISTING_DAYS = 1;
+const MAX_LISTING_DAYS = 90;
+
+let schedulerTimer = null;
+
+/**
+ * When a listing that is live for a number of days expires
+ * @param {number} days - Days the listing stays up
+ * @param {Date} from - Start time
+ * @returns {Date}
+ */
+const getExpiryDate = (days, from = new Date()) => {
+  const date = new Date(from);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+/**
+ * Conditions for listings buyers can see: not archived, still available and not expired.
+ * Listings that expired since the last scheduler run are hidden too.
+ * @param {Date} now - Current time
+ * @returns {Object} - Listing filter
+ */
+const activeListingFilter = (now = new Date()) => ({
+  isArchived: { $ne: true },
+  isAvailable: { $ne: false },
+  // $not also matches listings without an expiry date
+  expiryDate: { $not: { $lte: now } }
+});
+
+// Seller-facing listing statuses
+const LISTING_STATUSES = ['active', 'expired', 'archived', 'all'];
+
+/**
+ * Conditions for a seller's listings in one status. "active" listings are up
+ * (sold-out ones included), "expired" ones have passed their expiry date
+ * whether or not they have been archived yet, and "archived" ones were taken down.
+ * @param {string} status - One of LISTING_STATUSES
+ * @param {Date} now - Current time
+ * @returns {Object|null} - Listing filter, or null for an unknown status
+ */
+const listingStatusFilter = (status, now = new Date()) => {
+  switch (status) {
+    case 'active':
+      return { isArchived: { $ne: true }, expiryDate: { $not: { $lte: now } } };
+    case 'expired':
+      return { expiryDate: { $lte: now } };
+    case 'archived':
+      return { isArchived: true };
+    case 'all':
+      return {};
+    default:
+      return null;
+  }
+};
+
+/**
+ * Archive listings whose expiry date has passed
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of listings archived
+ */
+const archiveExpiredListings = async (now = new Date()) => {
+  const result = await Listing.updateMany(
+    { isArchived: { $ne: true }, expiryDate: { $lte: now } },
+    { $set: { isArchived: true, archivedAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Put a listing back up for another period, un-archiving it if it had already expired
+ * @param {Object} listing - Listing document
+ * @param {number} days - Days the listing stays up (default the listing's autoArchiveAfter)
+ * @param {Date} now - Current time
+ * @returns {Object} - { isValid, errors }
+ */
+const renewListing = (listing, days, now = new Date()) => {
+  const lifetime = days === undefined || days === null || days === ''
+    ? listing.autoArchiveAfter || 30
+    : Number(days);
+
+  if (!Number.isInteger(lifetime) || lifetime < MIN_LISTING_DAYS || lifetime > MAX_LISTING_DAYS) {
+    return {
+      isValid: false,
+      errors: [`days must be a whole number from ${MIN_LISTING_DAYS} to ${MAX_LISTING_DAYS}`]
+    };
+  }
+
+  listing.autoArchiveAfter = lifetime;
+  listing.expiryDate = getExpiryDate(lifetime, now);
+  listing.isArchived = false;
+  listing.archivedAt = undefined;
+  listing.renewedAt = now;
+
+  return { isValid: true, errors: [] };
+};
+
+/**
+ * Run one pass of the scheduler
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { archived, expiredReservations }
+ */
+const runScheduler = async (now = new Date()) => {
+  // Expire reservations first so their quantity is back before listings are checked
+  const expiredReservations = await expireReservations(now);
+  const archived = await archiveExpiredListings(now);
+  if (archived > 0 || expiredReservations > 0) {
+    console.log(`Archived ${archived} expired listing(s), expired ${expiredReservations} reservation(s)`);
+  }
+  return { archived, expiredReservations };
+};
+
+/**
+ * Run the scheduler now and then on an interval
+ * @param {number} intervalMs - Time between runs (default 5 minutes)
+ */
+const startScheduler = (intervalMs = 5 * 60 * 1000) => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const run = () => runScheduler().catch(err => {
+    console.error('Listing expiry scheduler error:', err);
+  });
+
+  run();
+  schedulerTimer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+};
+
+module.exports = {
+  MIN_LISTING_DAYS,
+  MAX_LISTING_DAYS,
+  LISTING_STATUSES,
+  getExpiryDate,
+  activeListingFilter,
+  listingStatusFilter,
+  archiveExpiredListings,
+  renewListing,
+  runScheduler,
+  startScheduler
+};
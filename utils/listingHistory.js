@@ -0,0 +1,129 @@
+/**
+ * Listing History
+ * Each entry in `Listing.versionHistory` is a snapshot of the listing taken
+ * just before an update, along with who made the update and why. Comparing
+ * each snapshot with the one after it (or the live listing) gives the
+ * changes made by that update.
+ */
+
+// Fields copied into each snapshot
+const TRACKED_FIELDS = ['title', 'description', 'price', 'priceUnit', 'quantity', 'images'];
+
+// Shown in the history but never rolled back: stock has moved on through
+// reservations since, and availability follows from it
+const NOT_RESTORED_FIELDS = ['quantity'];
+
+// Oldest snapshots are dropped beyond this
+const MAX_VERSIONS = 50;
+
+/**
+ * Helper function to compare field values, treating "5" and 5 as equal
+ * @returns {boolean}
+ */
+const isSameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+  return String(a === undefined || a === null ? '' : a) === String(b === undefined || b === null ? '' : b);
+};
+
+/**
+ * Plain copy of a field value
+ * @returns {*}
+ */
+const copyValue = (value) => {
+  return Array.isArray(value) ? [...value] : value;
+};
+
+/**
+ * Tracked fields an update would change
+ * @param {Object} listing - Listing document
+ * @param {Object} updates - New field values; undefined values are ignored
+ * @returns {Array<string>}
+ */
+const changedFields = (listing, updates) => {
+  return TRACKED_FIELDS.filter(field =>
+    updates[field] !== undefined && !isSameValue(listing[field], updates[field])
+  );
+};
+
+/**
+ * Snapshot of a listing's tracked fields for versionHistory
+ * @param {Object} listing - Listing document
+ * @param {Object} options - { modifiedBy, reason }
+ * @returns {Object}
+ */
+const snapshot = (listing, { modifiedBy, reason } = {}) => {
+  const entry = {
+    modifiedBy,
+    modifiedAt: new Date(),
+    reason
+  };
+  TRACKED_FIELDS.forEach(field => {
+    entry[field] = copyValue(listing[field]);
+  });
+  return entry;
+};
+
+/**
+ * $push that records a snapshot and keeps the history to MAX_VERSIONS entries
+ * @param {Object} entry - From snapshot
+ * @returns {Object}
+ */
+const pushVersion = (entry) => ({
+  versionHistory: { $each: [entry], $slice: -MAX_VERSIONS }
+});
+
+/**
+ * The listing's history as a list of changes, newest first
+ * @param {Object} listing - Listing document with versionHistory (modifiedBy may be populated)
+ * @returns {Array<Object>} - [{ version, versionId, modifiedAt, modifiedBy, reason, changes: [{ field, from, to }] }]
+ */
+const getVersionDiffs = (listing) => {
+  const history = listing.versionHistory || [];
+
+  const versions = history.map((entry, index) => {
+    // The state after this update is the next snapshot, or the live listing for the latest one
+    const after = history[index + 1] || listing;
+    const changes = TRACKED_FIELDS
+      .filter(field => !isSameValue(entry[field], after[field]))
+      .map(field => ({ field, from: copyValue(entry[field]), to: copyValue(after[field]) }));
+
+    return {
+      version: index + 1,
+      versionId: entry._id,
+      modifiedAt: entry.modifiedAt,
+      modifiedBy: entry.modifiedBy,
+      reason: entry.reason,
+      changes
+    };
+  });
+
+  return versions.reverse();
+};
+
+/**
+ * Field values to restore when rolling back to a snapshot (everything but NOT_RESTORED_FIELDS)
+ * @param {Object} entry - versionHistory entry
+ * @returns {Object}
+ */
+const versionValues = (entry) => {
+  const values = {};
+  TRACKED_FIELDS.forEach(field => {
+    if (entry[field] !== undefined && !NOT_RESTORED_FIELDS.includes(field)) {
+      values[field] = copyValue(entry[field]);
+    }
+  });
+  return values;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  NOT_RESTORED_FIELDS,
+  MAX_VERSIONS,
+  changedFields,
+  snapshot,
+  pushVersion,
+  getVersionDiffs,
+  versionValues
+};
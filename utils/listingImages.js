@@ -0,0 +1,151 @@
+/**
+ * Listing Images
+ * Checks uploaded listing photos by their content (not their name or the
+ * browser's MIME type), drops EXIF/GPS metadata, and stores thumbnail,
+ * medium and full-size WebP variants under random names:
+ *   marketplace/<id>-thumb.webp, -medium.webp, -full.webp
+ * `Listing.images` stores the full-size public URL; `variantUrl` gives the others.
+ */
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const storage = require('./storage');
+
+const STORAGE_PREFIX = 'marketplace';
+
+const MAX_IMAGES = 5;
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_PIXELS = 50 * 1000 * 1000;
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Longest side in pixels; images are never enlarged
+const VARIANTS = {
+  thumb: 200,
+  medium: 600,
+  full: 1600
+};
+
+const GENERATED_NAME = /^([a-f0-9]{32})-(thumb|medium|full)\.webp$/;
+
+/**
+ * Check that an upload really is a supported image
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} - { isValid, errors, format }
+ */
+const validateImage = async (buffer) => {
+  try {
+    const metadata = await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+      return { isValid: false, errors: ['Only JPEG, PNG and WebP images are allowed'], format: metadata.format };
+    }
+    return { isValid: true, errors: [], format: metadata.format };
+  } catch (err) {
+    return { isValid: false, errors: ['File is not a readable image'], format: null };
+  }
+};
+
+/**
+ * Store the variants of one image. Orientation from EXIF is applied first; all metadata is dropped.
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<string>} - Public URL of the full-size variant
+ */
+const saveImage = async (buffer) => {
+  const id = crypto.randomBytes(16).toString('hex');
+  let fullUrl = null;
+
+  for (const [variant, size] of Object.entries(VARIANTS)) {
+    const resized = await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    const saved = await storage.save(`${STORAGE_PREFIX}/${id}-${variant}.webp`, resized, { contentType: 'image/webp' });
+    if (variant === 'full') {
+      fullUrl = saved.url;
+    }
+  }
+
+  return fullUrl;
+};
+
+/**
+ * URL of another size of a listing image. Images uploaded before variants
+ * existed only have one size, which is returned as is.
+ * @param {string} imageUrl - Value from Listing.images
+ * @param {string} variant - 'thumb', 'medium' or 'full'
+ * @returns {string}
+ */
+const variantUrl = (imageUrl, variant) => {
+  if (!GENERATED_NAME.test(path.basename(imageUrl || '')) || !VARIANTS[variant]) {
+    return imageUrl;
+  }
+  return imageUrl.replace(/-(thumb|medium|full)\.webp$/, `-${variant}.webp`);
+};
+
+/**
+ * Check whether a listing image is still stored
+ * @param {string} imageUrl - Value from Listing.images
+ * @returns {Promise<boolean>}
+ */
+const imageExists = (imageUrl) => storage.exists(imageUrl);
+
+/**
+ * Delete listing images and all their variants. Missing files are ignored.
+ * @param {Array<string>} imageUrls - Values from Listing.images
+ * @returns {Promise<void>}
+ */
+const deleteImages = async (imageUrls = []) => {
+  const urls = imageUrls.flatMap(imageUrl => {
+    if (!GENERATED_NAME.test(path.basename(imageUrl || ''))) {
+      return [imageUrl];
+    }
+    return Object.keys(VARIANTS).map(variant => variantUrl(imageUrl, variant));
+  });
+  await storage.remove(urls);
+};
+
+/**
+ * Validate every upload, then save them all. Nothing is saved if any upload is invalid.
+ * @param {Array<Object>} files - Multer files held in memory
+ * @returns {Promise<Object>} - { isValid, errors, images }
+ */
+const processUploads = async (files = []) => {
+  const errors = [];
+
+  for (const file of files) {
+    const validation = await validateImage(file.buffer);
+    if (!validation.isValid) {
+      errors.push(`${file.originalname}: ${validation.errors.join(', ')}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, images: [] };
+  }
+
+  const images = [];
+  try {
+    for (const file of files) {
+      images.push(await saveImage(file.buffer));
+    }
+  } catch (err) {
+    await deleteImages(images);
+    throw err;
+  }
+
+  return { isValid: true, errors, images };
+};
+
+module.exports = {
+  MAX_IMAGES,
+  MAX_FILE_SIZE,
+  VARIANTS,
+  validateImage,
+  saveImage,
+  variantUrl,
+  imageExists,
+  deleteImages,
+  processUploads
+};
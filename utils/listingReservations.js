@@ -0,0 +1,241 @@
+/**
+ * Listing Reservations
+ * Buyers reserve part of a listing for pickup. The quantity comes off the
+ * listing in a single conditional update, so two buyers can't both claim
+ * the last unit, and the listing is marked unavailable once it sells out.
+ * Cancelled and expired reservations put their quantity back.
+ */
+const Listing = require('../models/listing.model');
+const Reservation = require('../models/reservation.model');
+
+const DEFAULT_PICKUP_HOURS = 48;
+const MAX_PICKUP_DAYS = 7;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Check a requested quantity and pickup window, filling in the defaults
+ * @param {Object} data - { quantity, pickupStart, pickupEnd }
+ * @param {Date} now - Current time
+ * @returns {Object} - { isValid, errors, quantity, pickupWindow }
+ */
+const validateReservation = ({ quantity = 1, pickupStart, pickupEnd } = {}, now = new Date()) => {
+  const errors = [];
+
+  const amount = Number(quantity);
+  if (!Number.isInteger(amount) || amount < 1) {
+    errors.push('Quantity must be a whole number of at least 1');
+  }
+
+  const start = pickupStart ? new Date(pickupStart) : new Date(now);
+  const end = pickupEnd ? new Date(pickupEnd) : new Date(start.getTime() + DEFAULT_PICKUP_HOURS * HOUR_MS);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    errors.push('Pickup window dates are invalid');
+  } else {
+    if (end <= start) {
+      errors.push('Pickup window must end after it starts');
+    }
+    if (end <= now) {
+      errors.push('Pickup window must end in the future');
+    }
+    if (end.getTime() - now.getTime() > MAX_PICKUP_DAYS * 24 * HOUR_MS) {
+      errors.push(`Pickup window must end within ${MAX_PICKUP_DAYS} days`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    quantity: amount,
+    pickupWindow: { start, end }
+  };
+};
+
+/**
+ * Take quantity off a listing if enough is left. Marks the listing unavailable when none is left.
+ * @param {string} listingId - Listing ID
+ * @param {string} buyerId - Buyer's user ID; sellers can't reserve their own listings
+ * @param {number} quantity - Amount to take
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - Updated listing, or null if it can't be reserved
+ */
+const takeQuantity = (listingId, buyerId, quantity, now = new Date()) => {
+  const remaining = { $subtract: ['$quantity', quantity] };
+
+  return Listing.findOneAndUpdate(
+    {
+      _id: listingId,
+      seller: { $ne: buyerId },
+      quantity: { $gte: quantity },
+      // Only listings buyers can see
+      isArchived: { $ne: true },
+      isAvailable: { $ne: false },
+      expiryDate: { $not: { $lte: now } }
+    },
+    [{ $set: { quantity: remaining, isAvailable: { $gt: [remaining, 0] } } }],
+    { new: true }
+  );
+};
+
+/**
+ * Give quantity back to a listing, making it available again if it had sold out
+ * @param {string} listingId - Listing ID
+ * @param {number} quantity - Amount to return
+ * @returns {Promise<Object|null>} - Updated listing
+ */
+const returnQuantity = (listingId, quantity) => {
+  return Listing.findOneAndUpdate(
+    { _id: listingId },
+    [{
+      $set: {
+        isAvailable: { $cond: [{ $eq: ['$quantity', 0] }, true, '$isAvailable'] },
+        quantity: { $add: ['$quantity', quantity] }
+      }
+    }],
+    { new: true }
+  );
+};
+
+/**
+ * Reserve part of a listing
+ * @param {string} listingId - Listing ID
+ * @param {string} buyerId - Buyer's user ID
+ * @param {Object} data - { quantity, pickupStart, pickupEnd, note }
+ * @returns {Promise<Object>} - { success, status, message, errors, reservation, listing }
+ */
+const reserve = async (listingId, buyerId, data = {}) => {
+  const now = new Date();
+  const validation = validateReservation(data, now);
+  if (!validation.isValid) {
+    return { success: false, status: 400, message: 'Invalid reservation', errors: validation.errors };
+  }
+
+  const listing = await takeQuantity(listingId, buyerId, validation.quantity, now);
+
+  if (!listing) {
+    // Work out why, for the error message
+    const current = await Listing.findById(listingId).select('seller quantity isAvailable isArchived expiryDate');
+    if (!current) {
+      return { success: false, status: 404, message: 'Listing not found' };
+    }
+    if (current.seller.toString() === buyerId.toString()) {
+      return { success: false, status: 400, message: 'You cannot reserve your own listing' };
+    }
+    if (current.isArchived || current.isAvailable === false || (current.expiryDate && current.expiryDate <= now)) {
+      return { success: false, status: 409, message: 'This listing is no longer available' };
+    }
+    return { success: false, status: 409, message: `Only ${current.quantity} left to reserve` };
+  }
+
+  try {
+    const reservation = await Reservation.create({
+      listing: listing._id,
+      buyer: buyerId,
+      seller: listing.seller,
+      quantity: validation.quantity,
+      pickupWindow: validation.pickupWindow,
+      note: data.note
+    });
+    return { success: true, status: 201, reservation, listing };
+  } catch (err) {
+    // Don't keep the quantity if the reservation couldn't be saved
+    await returnQuantity(listing._id, validation.quantity);
+    throw err;
+  }
+};
+
+/**
+ * Move a pending reservation to another status, giving its quantity back
+ * unless it was completed. Only one caller can win the change.
+ * @param {string} reservationId - Reservation ID
+ * @param {string} status - 'completed', 'cancelled' or 'expired'
+ * @param {Object} fields - Extra fields to set
+ * @returns {Promise<Object|null>} - Updated reservation, or null if it wasn't pending
+ */
+const closeReservation = async (reservationId, status, fields = {}) => {
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: reservationId, status: 'pending' },
+    { $set: { status, ...fields } },
+    { new: true }
+  );
+
+  if (reservation && status !== 'completed') {
+    await returnQuantity(reservation.listing, reservation.quantity);
+  }
+
+  return reservation;
+};
+
+/**
+ * Seller confirms the buyer picked up their reservation
+ * @param {string} reservationId - Reservation ID
+ * @returns {Promise<Object|null>}
+ */
+const confirmHandoff = (reservationId) => {
+  return closeReservation(reservationId, 'completed', { completedAt: new Date() });
+};
+
+/**
+ * Buyer or seller calls off a reservation
+ * @param {string} reservationId - Reservation ID
+ * @param {string} userId - Who cancelled
+ * @returns {Promise<Object|null>}
+ */
+const cancelReservation = (reservationId, userId) => {
+  return closeReservation(reservationId, 'cancelled', { cancelledAt: new Date(), cancelledBy: userId });
+};
+
+/**
+ * Expire one reservation
+ * @param {string} reservationId - Reservation ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>}
+ */
+const expireReservation = (reservationId, now = new Date()) => {
+  return closeReservation(reservationId, 'expired', { expiredAt: now });
+};
+
+/**
+ * Expire pending reservations whose pickup window has ended
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of reservations expired
+ */
+const expireReservations = async (now = new Date()) => {
+  const due = await Reservation.find({ status: 'pending', 'pickupWindow.end': { $lte: now } }).select('_id');
+  let expired = 0;
+
+  for (const { _id } of due) {
+    try {
+      if (await expireReservation(_id, now)) {
+        expired++;
+      }
+    } catch (err) {
+      console.error(`Error expiring reservation ${_id}:`, err);
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Check whether a pending reservation's pickup window has ended
+ * @param {Object} reservation - Reservation document
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isOverdue = (reservation, now = new Date()) => {
+  return reservation.status === 'pending' && reservation.pickupWindow.end <= now;
+};
+
+module.exports = {
+  DEFAULT_PICKUP_HOURS,
+  MAX_PICKUP_DAYS,
+  validateReservation,
+  reserve,
+  confirmHandoff,
+  cancelReservation,
+  expireReservation,
+  expireReservations,
+  isOverdue
+};
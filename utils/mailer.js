@@ -0,0 +1,109 @@
+/**
+ * Mailer
+ * Sends email through a pluggable transport chosen with MAIL_TRANSPORT:
+ *  - smtp: delivers through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *  - file: writes each message as JSON to MAIL_OUTBOX_DIR (default data/mail-outbox)
+ *  - console: logs each message (default when no SMTP host is configured)
+ * Tests can swap in their own transport with `setTransport`.
+ */
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'FreshShare <no-reply@freshshare.local>';
+
+const transports = {
+  smtp: () => {
+    const smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      name: 'smtp',
+      send: message => smtp.sendMail(message)
+    };
+  },
+
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'data', 'mail-outbox');
+
+    return {
+      name: 'file',
+      send: async message => {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+        const filePath = path.join(outboxDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+        return { messageId: fileName, path: filePath };
+      }
+    };
+  },
+
+  console: () => ({
+    name: 'console',
+    send: async message => {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  })
+};
+
+let activeTransport = null;
+
+/**
+ * The transport configured for this process
+ * @returns {Object} - { name, send(message) }
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the transport, e.g. with an in-memory one in tests
+ * @param {Object|string|null} transport - { name, send }, a built-in transport name, or null to reset
+ */
+const setTransport = (transport) => {
+  activeTransport = typeof transport === 'string' ? transports[transport]() : transport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendMail = (message) => {
+  return getTransport().send({ from: DEFAULT_FROM, ...message });
+};
+
+/**
+ * Escape text for the html body of an email
+ * @param {string} text - Text that may come from users, e.g. a group name
+ * @returns {string}
+ */
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail,
+  escapeHtml
+};
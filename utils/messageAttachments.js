@@ -0,0 +1,115 @@
+/**
+ * Message Attachments
+ * Files sent with conversation messages are stored privately under
+ * attachments/<conversationId>/<random>-<name> and the message keeps the
+ * storage key. Participants get short-lived signed URLs when messages are
+ * read. Links to other sites can still be sent as plain URLs.
+ */
+const crypto = require('crypto');
+const path = require('path');
+const storage = require('./storage');
+
+const STORAGE_PREFIX = 'attachments';
+const MAX_ATTACHMENTS = 5;
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+/**
+ * Reduce an uploaded file name to letters, numbers, dots, dashes and underscores
+ * @param {string} name - Original file name
+ * @returns {string}
+ */
+const safeFileName = (name) => {
+  const base = path.basename(String(name || ''))
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .replace(/^[._]+/, '')
+    .slice(-80);
+  return base || 'file';
+};
+
+/**
+ * Check whether an attachment value is a stored file in this conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} value - Value from a message's attachments
+ * @returns {boolean}
+ */
+const isStoredAttachment = (conversationId, value) => {
+  return typeof value === 'string' &&
+    value.startsWith(`${STORAGE_PREFIX}/${conversationId}/`) &&
+    storage.isSafeKey(value);
+};
+
+/**
+ * Attachment values a client may send directly: plain links, never storage keys
+ * @param {Array} attachments - From the request body
+ * @returns {Array<string>}
+ */
+const linkAttachments = (attachments) => {
+  if (!Array.isArray(attachments)) {
+    return [];
+  }
+  return attachments.filter(value => typeof value === 'string' && /^https?:\/\//i.test(value.trim()))
+    .map(value => value.trim());
+};
+
+/**
+ * Store uploaded files for a message
+ * @param {string} conversationId - Conversation ID
+ * @param {Array<Object>} files - Multer files held in memory
+ * @returns {Promise<Array<string>>} - Storage keys
+ */
+const saveAttachments = async (conversationId, files = []) => {
+  const keys = [];
+
+  try {
+    for (const file of files) {
+      const key = `${STORAGE_PREFIX}/${conversationId}/${crypto.randomBytes(8).toString('hex')}-${safeFileName(file.originalname)}`;
+      await storage.save(key, file.buffer, { contentType: file.mimetype, visibility: 'private' });
+      keys.push(key);
+    }
+  } catch (err) {
+    await storage.remove(keys);
+    throw err;
+  }
+
+  return keys;
+};
+
+/**
+ * Swap stored attachment keys for signed URLs. Keys from other conversations are dropped.
+ * @param {string} conversationId - Conversation ID
+ * @param {Array<string>} attachments - Values from a message
+ * @returns {Promise<Array<string>>}
+ */
+const signAttachments = async (conversationId, attachments = []) => {
+  const signed = await Promise.all(attachments.map(value => {
+    if (isStoredAttachment(conversationId, value)) {
+      return storage.signedUrl(value, { download: true });
+    }
+    return String(value).startsWith(`${STORAGE_PREFIX}/`) ? null : value;
+  }));
+  return signed.filter(Boolean);
+};
+
+/**
+ * Copy messages with their attachments as signed URLs, for responses
+ * @param {string} conversationId - Conversation ID
+ * @param {Array<Object>} messages - Message subdocuments or plain objects
+ * @returns {Promise<Array<Object>>}
+ */
+const withSignedAttachments = (conversationId, messages) => {
+  return Promise.all(messages.map(async message => {
+    const plain = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+    plain.attachments = await signAttachments(conversationId, plain.attachments || []);
+    return plain;
+  }));
+};
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  MAX_FILE_SIZE,
+  safeFileName,
+  linkAttachments,
+  saveAttachments,
+  signAttachments,
+  withSignedAttachments
+};
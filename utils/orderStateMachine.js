@@ -0,0 +1,135 @@
+/**
+ * Order Lifecycle State Machine
+ * Defines which status changes an order may make, who may make them,
+ * and the hooks that run when an order enters a status.
+ *
+ * pending -> confirmed -> processing -> shipped -> delivered
+ *    \___________\_____________\__________> cancelled
+ */
+const caseAllocation = require('./caseAllocation');
+
+// status -> { nextStatus: [roles allowed to make the change] }
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['admin'],
+    cancelled: ['admin']
+  },
+  confirmed: {
+    processing: ['admin'],
+    cancelled: ['admin']
+  },
+  processing: {
+    shipped: ['admin'],
+    cancelled: ['admin']
+  },
+  shipped: {
+    // Any participant can confirm the goods arrived
+    delivered: ['admin', 'participant']
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+// status -> [hook(order, context)] run after the order enters that status
+const hooks = {};
+
+/**
+ * Register a hook to run whenever an order enters a status
+ * @param {string} status - Status being entered
+ * @param {Function} hook - (order, { from, to, userId, note }) => void | Promise
+ */
+const onEnter = (status, hook) => {
+  if (!hooks[status]) {
+    hooks[status] = [];
+  }
+  hooks[status].push(hook);
+};
+
+/**
+ * Statuses an order can move to next
+ * @param {string} from - Current status
+ * @param {string} role - Optional role ('admin' or 'participant') to filter by
+ * @returns {Array<string>}
+ */
+const getNextStatuses = (from, role = null) => {
+  const next = TRANSITIONS[from] || {};
+  return Object.keys(next).filter(to => !role || next[to].includes(role));
+};
+
+/**
+ * Check whether a status change is allowed for a role
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Array<string>} roles - Roles the user holds on the order
+ * @returns {Object} - { allowed, reason }
+ */
+const canTransition = (from, to, roles) => {
+  if (!TRANSITIONS[to]) {
+    return { allowed: false, reason: `${to} is not a valid order status` };
+  }
+
+  const allowedRoles = (TRANSITIONS[from] || {})[to];
+  if (!allowedRoles) {
+    return { allowed: false, reason: `An order cannot move from ${from} to ${to}` };
+  }
+
+  if (!roles.some(role => allowedRoles.includes(role))) {
+    return { allowed: false, reason: `Only ${allowedRoles.join(' or ')}s can move an order to ${to}` };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Move an order to a new status, record it in the status history and run hooks.
+ * Mutates the order; the caller saves it.
+ * @param {Object} order - Order document
+ * @param {string} to - New status
+ * @param {Object} context - { userId, roles, note }
+ * @returns {Promise<Object>} - { success, message }
+ */
+const transition = async (order, to, { userId, roles = [], note = '' } = {}) => {
+  const from = order.status;
+  const check = canTransition(from, to, roles);
+
+  if (!check.allowed) {
+    return { success: false, message: check.reason };
+  }
+
+  order.status = to;
+  order.statusHistory.push({
+    from,
+    to,
+    changedBy: userId,
+    changedAt: new Date(),
+    note
+  });
+
+  for (const hook of hooks[to] || []) {
+    await hook(order, { from, to, userId, note });
+  }
+
+  return { success: true, message: `Order moved from ${from} to ${to}` };
+};
+
+// Participants can no longer change their claims once the organizer commits to the vendor,
+// so any partly filled cases are settled now if the organizer hasn't already done so
+onEnter('confirmed', (order) => {
+  order.participantsLocked = true;
+  if (!order.allocationFinalizedAt) {
+    caseAllocation.rebalanceOrder(order, { finalize: true });
+    order.allocationFinalizedAt = new Date();
+  }
+});
+
+onEnter('cancelled', (order) => {
+  order.participantsLocked = true;
+});
+
+module.exports = {
+  TRANSITIONS,
+  onEnter,
+  getNextStatuses,
+  canTransition,
+  transition
+};
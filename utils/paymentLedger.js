@@ -0,0 +1,135 @@
+/**
+ * Payment Ledger
+ * Keeps order participants' paid amounts in step with the payment ledger
+ * and summarises balances per member and per order for a group.
+ */
+const Payment = require('../models/payment.model');
+const Order = require('../models/order.model');
+
+/**
+ * Round a currency amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Net amount a ledger entry contributes to a member's paid total
+ * @param {Object} entry - Payment document
+ * @returns {number}
+ */
+const netAmount = (entry) => {
+  if (entry.type === 'payment') return entry.amount;
+  if (entry.type === 'refund') return -entry.amount;
+  return 0;
+};
+
+/**
+ * Recalculate each participant's amountPaid on an order from its ledger.
+ * Mutates the order; the caller saves it.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} - The order
+ */
+const applyLedgerToOrder = async (order) => {
+  const entries = await Payment.find({ order: order._id, type: { $in: ['payment', 'refund'] } });
+  const paidByMember = new Map();
+
+  entries.forEach(entry => {
+    const memberId = entry.member.toString();
+    paidByMember.set(memberId, (paidByMember.get(memberId) || 0) + netAmount(entry));
+  });
+
+  order.participants.forEach(participant => {
+    participant.amountPaid = roundCurrency(paidByMember.get(participant.user.toString()) || 0);
+  });
+
+  return order;
+};
+
+/**
+ * Running balance for every member with orders or payments in a group.
+ * A positive balance is money the member still owes.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Array<Object>>} - [{ member, owed, paid, refunded, balance, orders }]
+ */
+const getGroupBalances = async (groupId) => {
+  const [orders, entries] = await Promise.all([
+    Order.find({ group: groupId, status: { $ne: 'cancelled' } }).select('participants'),
+    Payment.find({ group: groupId, type: { $in: ['payment', 'refund'] } })
+  ]);
+  const balances = new Map();
+
+  const balanceFor = (memberId) => {
+    if (!balances.has(memberId)) {
+      balances.set(memberId, { member: memberId, owed: 0, paid: 0, refunded: 0, balance: 0, orders: 0 });
+    }
+    return balances.get(memberId);
+  };
+
+  orders.forEach(order => {
+    order.participants.forEach(participant => {
+      const balance = balanceFor(participant.user.toString());
+      balance.owed += participant.totalCost || 0;
+      balance.orders += 1;
+    });
+  });
+
+  entries.forEach(entry => {
+    const balance = balanceFor(entry.member.toString());
+    if (entry.type === 'payment') {
+      balance.paid += entry.amount;
+    } else {
+      balance.refunded += entry.amount;
+    }
+  });
+
+  return Array.from(balances.values()).map(balance => ({
+    ...balance,
+    owed: roundCurrency(balance.owed),
+    paid: roundCurrency(balance.paid),
+    refunded: roundCurrency(balance.refunded),
+    balance: roundCurrency(balance.owed - balance.paid + balance.refunded)
+  }));
+};
+
+/**
+ * Compare what was collected from members with what was paid to vendors, per order
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Array<Object>>}
+ */
+const getGroupReconciliation = async (groupId) => {
+  const [orders, entries] = await Promise.all([
+    Order.find({ group: groupId }).select('status totalOrderCost participants deliveryDate').sort({ deliveryDate: -1 }),
+    Payment.find({ group: groupId })
+  ]);
+
+  return orders.map(order => {
+    const orderEntries = entries.filter(entry => entry.order.toString() === order._id.toString());
+    const sum = (type) => orderEntries
+      .filter(entry => entry.type === type)
+      .reduce((total, entry) => total + entry.amount, 0);
+
+    const owedByMembers = order.participants.reduce((total, p) => total + (p.totalCost || 0), 0);
+    const collected = sum('payment') - sum('refund');
+    const paidToVendor = sum('vendor_payment');
+
+    return {
+      order: order._id,
+      status: order.status,
+      deliveryDate: order.deliveryDate,
+      totalOrderCost: roundCurrency(order.totalOrderCost),
+      owedByMembers: roundCurrency(owedByMembers),
+      collected: roundCurrency(collected),
+      outstanding: roundCurrency(owedByMembers - collected),
+      paidToVendor: roundCurrency(paidToVendor),
+      // Positive when the organizer has collected more than they paid out
+      cashOnHand: roundCurrency(collected - paidToVendor)
+    };
+  });
+};
+
+module.exports = {
+  applyLedgerToOrder,
+  getGroupBalances,
+  getGroupReconciliation
+};
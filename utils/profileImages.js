@@ -0,0 +1,55 @@
+/**
+ * Profile Images
+ * Stores a user's profile picture as a square 256px WebP with metadata
+ * removed, under profiles/<userId>-<random>.webp, and removes replaced ones.
+ */
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+const { validateImage } = require('./listingImages');
+
+const STORAGE_PREFIX = 'profiles';
+const SIZE = 256;
+const MAX_FILE_SIZE = 2 * 1024 * 1024; // 2MB
+
+/**
+ * Check and store a new profile picture
+ * @param {string} userId - User ID
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<Object>} - { isValid, errors, url }
+ */
+const saveProfileImage = async (userId, buffer) => {
+  const validation = await validateImage(buffer);
+  if (!validation.isValid) {
+    return { isValid: false, errors: validation.errors, url: null };
+  }
+
+  const resized = await sharp(buffer)
+    .rotate()
+    .resize(SIZE, SIZE, { fit: 'cover' })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  const key = `${STORAGE_PREFIX}/${userId}-${crypto.randomBytes(8).toString('hex')}.webp`;
+  const saved = await storage.save(key, resized, { contentType: 'image/webp' });
+
+  return { isValid: true, errors: [], url: saved.url };
+};
+
+/**
+ * Delete a profile picture that was stored here; placeholders and outside URLs are left alone
+ * @param {string} imageUrl - Value of User.profileImage
+ * @returns {Promise<void>}
+ */
+const deleteProfileImage = async (imageUrl) => {
+  const key = storage.toKey(imageUrl);
+  if (key && key.startsWith(`${STORAGE_PREFIX}/`)) {
+    await storage.remove([key]);
+  }
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  saveProfileImage,
+  deleteProfileImage
+};
@@ -0,0 +1,272 @@
+/**
+ * Rate Limiter
+ * Counts attempts per key and locks a key out once it reaches its limit. Each
+ * lockout in a row lasts twice as long as the one before, up to a maximum.
+ * Counters live in a pluggable store chosen with RATE_LIMIT_STORE:
+ *  - memory: kept in this process (default; fine for a single instance)
+ *  - mongo: kept in the ratelimits collection and shared by every instance
+ * Tests can swap in their own store with `setStore`.
+ */
+const RateLimit = require('../models/rate-limit.model');
+
+const LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const stores = {
+  memory: () => {
+    const counters = new Map();
+
+    // Drop expired counters now and then so the map doesn't grow forever
+    const sweep = setInterval(() => {
+      const now = Date.now();
+      for (const [key, counter] of counters) {
+        if (counter.expiresAt <= now) {
+          counters.delete(key);
+        }
+      }
+    }, 60 * 1000);
+    sweep.unref();
+
+    const current = (key) => {
+      const counter = counters.get(key);
+      return counter && counter.expiresAt > Date.now() ? counter : null;
+    };
+
+    return {
+      name: 'memory',
+      increment: async (key, ttlMs) => {
+        const counter = current(key) || { count: 0, expiresAt: Date.now() + ttlMs };
+        counter.count += 1;
+        counters.set(key, counter);
+        return { count: counter.count, expiresAt: new Date(counter.expiresAt) };
+      },
+      get: async (key) => {
+        const counter = current(key);
+        return counter ? { count: counter.count, expiresAt: new Date(counter.expiresAt) } : null;
+      },
+      reset: async (keys) => {
+        keys.forEach(key => counters.delete(key));
+      }
+    };
+  },
+
+  mongo: () => {
+    const increment = async (key, ttlMs, retried = false) => {
+      const now = new Date();
+      const isLive = { $gt: ['$expiresAt', now] };
+
+      try {
+        // One atomic update: add to a live counter, or start a new one
+        const counter = await RateLimit.findOneAndUpdate(
+          { key },
+          [{
+            $set: {
+              count: { $cond: [isLive, { $add: ['$count', 1] }, 1] },
+              expiresAt: { $cond: [isLive, '$expiresAt', new Date(now.getTime() + ttlMs)] }
+            }
+          }],
+          { upsert: true, new: true }
+        );
+        return { count: counter.count, expiresAt: counter.expiresAt };
+      } catch (err) {
+        // Two first attempts can race to create the counter; the loser adds to the winner's
+        if (err.code === 11000 && !retried) {
+          return increment(key, ttlMs, true);
+        }
+        throw err;
+      }
+    };
+
+    return {
+      name: 'mongo',
+      increment,
+      get: async (key) => {
+        const counter = await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } });
+        return counter ? { count: counter.count, expiresAt: counter.expiresAt } : null;
+      },
+      reset: async (keys) => {
+        await RateLimit.deleteMany({ key: { $in: keys } });
+      }
+    };
+  }
+};
+
+let activeStore = null;
+
+/**
+ * The store configured for this process
+ * @returns {Object} - { name, increment(key, ttlMs), get(key), reset(keys) }
+ */
+const getStore = () => {
+  if (!activeStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!stores[name]) {
+      throw new Error(`Unknown rate limit store "${name}". Use one of: ${Object.keys(stores).join(', ')}`);
+    }
+    activeStore = stores[name]();
+  }
+  return activeStore;
+};
+
+/**
+ * Replace the store, e.g. with a fresh in-memory one in tests
+ * @param {Object|string|null} store - { name, increment, get, reset }, a built-in store name, or null to reset
+ */
+const setStore = (store) => {
+  activeStore = typeof store === 'string' ? stores[store]() : store;
+};
+
+/**
+ * Create a limiter
+ * @param {string} name - Prefix for the limiter's keys
+ * @param {Object} options - { maxAttempts, windowMs, lockoutMs, maxLockoutMs }
+ * @returns {Object} - { check(id), record(id), reset(id) }
+ */
+const createLimiter = (name, { maxAttempts, windowMs, lockoutMs, maxLockoutMs = lockoutMs }) => {
+  const keys = (id) => ({
+    attempts: `${name}:attempts:${id}`,
+    lock: `${name}:lock:${id}`,
+    lockouts: `${name}:lockouts:${id}`
+  });
+
+  /**
+   * Whether an attempt may go ahead
+   * @param {string} id - Account, IP address or user the attempt is counted against
+   * @returns {Promise<Object>} - { allowed, retryAfterMs }
+   */
+  const check = async (id) => {
+    const lock = await getStore().get(keys(id).lock);
+    if (lock) {
+      return { allowed: false, retryAfterMs: Math.max(lock.expiresAt - Date.now(), 0) };
+    }
+    return { allowed: true, retryAfterMs: 0 };
+  };
+
+  /**
+   * Count an attempt, locking the key out when it reaches the limit
+   * @param {string} id - Account, IP address or user the attempt is counted against
+   * @returns {Promise<Object>} - { locked, retryAfterMs, remaining }
+   */
+  const record = async (id) => {
+    const store = getStore();
+    const { attempts, lock, lockouts } = keys(id);
+
+    const counter = await store.increment(attempts, windowMs);
+    if (counter.count < maxAttempts) {
+      return { locked: false, retryAfterMs: 0, remaining: maxAttempts - counter.count };
+    }
+
+    const lockout = await store.increment(lockouts, LOCKOUT_MEMORY_MS);
+    const duration = Math.min(lockoutMs * 2 ** (lockout.count - 1), maxLockoutMs);
+    await store.reset([attempts, lock]);
+    await store.increment(lock, duration);
+
+    return { locked: true, retryAfterMs: duration, remaining: 0 };
+  };
+
+  /**
+   * Forget the attempts and earlier lockouts of a key, e.g. after a successful login
+   * @param {string} id - Account, IP address or user
+   * @returns {Promise<void>}
+   */
+  const reset = (id) => {
+    const { attempts, lockouts } = keys(id);
+    return getStore().reset([attempts, lockouts]);
+  };
+
+  return { name, check, record, reset };
+};
+
+/**
+ * Describe how long to wait, for error messages
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+const formatRetryAfter = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  if (minutes <= 1) {
+    return 'a minute';
+  }
+  return `${minutes} minutes`;
+};
+
+// Limiters used by the app
+const limiters = {
+  // Failed logins for one username or email, whether or not the account exists
+  loginAccount: createLimiter('login-account', {
+    maxAttempts: 5,
+    windowMs: 15 * 60 * 1000,
+    lockoutMs: 60 * 1000,
+    maxLockoutMs: 60 * 60 * 1000
+  }),
+  // Failed logins from one IP address, across all accounts
+  loginIp: createLimiter('login-ip', {
+    maxAttempts: 20,
+    windowMs: 15 * 60 * 1000,
+    lockoutMs: 5 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000
+  }),
+  // Wrong two-factor codes for one user at the second login step
+  twoFactor: createLimiter('two-factor', {
+    maxAttempts: 5,
+    windowMs: 15 * 60 * 1000,
+    lockoutMs: 5 * 60 * 1000,
+    maxLockoutMs: 60 * 60 * 1000
+  }),
+  // Wrong passwords or codes when a logged-in user turns off 2FA or replaces recovery codes
+  twoFactorManage: createLimiter('two-factor-manage', {
+    maxAttempts: 5,
+    windowMs: 15 * 60 * 1000,
+    lockoutMs: 5 * 60 * 1000,
+    maxLockoutMs: 60 * 60 * 1000
+  }),
+  // Signups from one IP address
+  signup: createLimiter('signup', {
+    maxAttempts: 10,
+    windowMs: 60 * 60 * 1000,
+    lockoutMs: 60 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000
+  }),
+  // Invite emails sent or resent by one user
+  invite: createLimiter('invite', {
+    maxAttempts: 30,
+    windowMs: 60 * 60 * 1000,
+    lockoutMs: 60 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000
+  }),
+  // Invite links redeemed from one IP address
+  inviteAccept: createLimiter('invite-accept', {
+    maxAttempts: 20,
+    windowMs: 15 * 60 * 1000,
+    lockoutMs: 15 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000
+  }),
+  // Password reset emails requested from one IP address
+  forgotPasswordIp: createLimiter('forgot-password-ip', {
+    maxAttempts: 10,
+    windowMs: 60 * 60 * 1000,
+    lockoutMs: 60 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000
+  }),
+  // Password reset emails requested for one email address
+  forgotPasswordEmail: createLimiter('forgot-password-email', {
+    maxAttempts: 3,
+    windowMs: 60 * 60 * 1000,
+    lockoutMs: 60 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000
+  }),
+  // Reset tokens tried from one IP address
+  resetPasswordIp: createLimiter('reset-password-ip', {
+    maxAttempts: 10,
+    windowMs: 15 * 60 * 1000,
+    lockoutMs: 15 * 60 * 1000,
+    maxLockoutMs: 24 * 60 * 60 * 1000
+  })
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  createLimiter,
+  formatRetryAfter,
+  limiters
+};
@@ -0,0 +1,217 @@
+/**
+ * Recurring Order Scheduler
+ * Opens the next order for each active recurring order template, carries
+ * standing participants over, and closes sign-ups once an order's cutoff
+ * has passed. `runScheduler` is safe to call repeatedly; `startScheduler`
+ * runs it on an interval from server.js.
+ */
+const RecurringOrder = require('../models/recurring-order.model');
+const Order = require('../models/order.model');
+const Group = require('../models/group.model');
+const caseAllocation = require('./caseAllocation');
+const { WEEKDAYS } = require('./deliveryDates');
+
+const CADENCE_DAYS = { weekly: 7, biweekly: 14 };
+
+let schedulerTimer = null;
+
+/**
+ * When sign-ups close for a delivery
+ * @param {Date} deliveryDate - Delivery day (midnight, server time)
+ * @param {Object} cutoff - { daysBefore, time: 'HH:mm' }
+ * @returns {Date}
+ */
+const getCutoffDate = (deliveryDate, cutoff = {}) => {
+  const [hours, minutes] = (cutoff.time || '18:00').split(':').map(Number);
+  const date = new Date(deliveryDate);
+  date.setDate(date.getDate() - (cutoff.daysBefore || 0));
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+/**
+ * Next delivery date for a template whose sign-up cutoff is still ahead
+ * @param {Object} template - RecurringOrder document
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+const getNextDeliveryDate = (template, now = new Date()) => {
+  const cadenceDays = CADENCE_DAYS[template.cadence] || 7;
+  let date;
+
+  if (template.lastDeliveryDate) {
+    date = new Date(template.lastDeliveryDate);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + cadenceDays);
+  } else {
+    date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    const offset = (WEEKDAYS.indexOf(template.deliveryDay) - date.getDay() + 7) % 7;
+    date.setDate(date.getDate() + offset);
+  }
+
+  // Skip deliveries whose sign-up window has already closed (e.g. the scheduler was down)
+  while (getCutoffDate(date, template.cutoff) <= now) {
+    date.setDate(date.getDate() + cadenceDays);
+  }
+
+  return date;
+};
+
+/**
+ * Open the next order for a template unless its previous order is still taking sign-ups
+ * @param {Object} template - RecurringOrder document
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - The new order, or null if none was due
+ */
+const openNextOrder = async (template, now = new Date()) => {
+  if (template.lastOrder) {
+    const lastOrder = await Order.findById(template.lastOrder).select('signupCutoff');
+    if (lastOrder && lastOrder.signupCutoff && lastOrder.signupCutoff > now) {
+      return null;
+    }
+  }
+
+  const group = await Group.findById(template.group).select('members');
+  if (!group) {
+    template.isActive = false;
+    await template.save();
+    return null;
+  }
+
+  const deliveryDate = getNextDeliveryDate(template, now);
+  const order = new Order({
+    group: template.group,
+    recurringOrder: template._id,
+    products: template.products.map(product => ({
+      productName: product.productName,
+      vendor: product.vendor,
+      casePrice: product.casePrice,
+      quantity: product.quantity,
+      maxCases: product.quantity,
+      totalUnits: product.totalUnits
+    })),
+    allocationPolicy: template.allocationPolicy,
+    deliveryDate,
+    deliveryLocation: template.deliveryLocation,
+    signupCutoff: getCutoffDate(deliveryDate, template.cutoff),
+    statusHistory: [{
+      to: 'pending',
+      changedBy: template.createdBy,
+      changedAt: now,
+      note: `Opened automatically from recurring order "${template.name}"`
+    }],
+    participants: []
+  });
+
+  // Template product IDs -> the matching product in the new order
+  const productIds = new Map();
+  template.products.forEach((product, index) => {
+    productIds.set(product._id.toString(), order.products[index]._id.toString());
+  });
+
+  // Carry over standing quantities for people who are still members
+  const memberIds = group.members.map(member => member.toString());
+  template.standingParticipants.forEach(standing => {
+    if (!memberIds.includes(standing.user.toString())) {
+      return;
+    }
+
+    const items = standing.items
+      .filter(item => productIds.has(String(item.productId)))
+      .map(item => ({ productId: productIds.get(String(item.productId)), quantity: item.quantity }));
+
+    const validation = caseAllocation.validateClaims(order, items, standing.user);
+    if (!validation.isValid) {
+      console.warn(`Skipping standing quantities for user ${standing.user}:`, validation.errors);
+      return;
+    }
+
+    order.participants.push({ user: standing.user, items, hasPaid: false });
+  });
+
+  caseAllocation.rebalanceOrder(order);
+  await order.save();
+
+  template.lastDeliveryDate = deliveryDate;
+  template.lastOrder = order._id;
+  await template.save();
+
+  console.log(`Opened order ${order._id} for recurring order ${template._id} (delivery ${deliveryDate.toDateString()})`);
+  return order;
+};
+
+/**
+ * Close sign-ups on orders whose cutoff has passed and settle their partly filled cases
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of orders closed
+ */
+const closeExpiredSignups = async (now = new Date()) => {
+  const orders = await Order.find({
+    signupCutoff: { $lte: now },
+    participantsLocked: false,
+    status: 'pending'
+  });
+
+  for (const order of orders) {
+    order.participantsLocked = true;
+    if (!order.allocationFinalizedAt) {
+      caseAllocation.rebalanceOrder(order, { finalize: true });
+      order.allocationFinalizedAt = now;
+    }
+    await order.save();
+  }
+
+  return orders.length;
+};
+
+/**
+ * Run one pass of the scheduler
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { closed, opened }
+ */
+const runScheduler = async (now = new Date()) => {
+  const closed = await closeExpiredSignups(now);
+  let opened = 0;
+
+  const templates = await RecurringOrder.find({ isActive: true });
+  for (const template of templates) {
+    try {
+      if (await openNextOrder(template, now)) {
+        opened++;
+      }
+    } catch (err) {
+      console.error(`Error opening order for recurring order ${template._id}:`, err);
+    }
+  }
+
+  return { closed, opened };
+};
+
+/**
+ * Run the scheduler now and then on an interval
+ * @param {number} intervalMs - Time between runs (default 5 minutes)
+ */
+const startScheduler = (intervalMs = 5 * 60 * 1000) => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const run = () => runScheduler().catch(err => {
+    console.error('Recurring order scheduler error:', err);
+  });
+
+  run();
+  schedulerTimer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+};
+
+module.exports = {
+  getCutoffDate,
+  getNextDeliveryDate,
+  openNextOrder,
+  closeExpiredSignups,
+  runScheduler,
+  startScheduler
+};
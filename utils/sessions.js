@@ -0,0 +1,295 @@
+/**
+ * Sessions
+ * Logging in starts a session for the device and hands out two tokens:
+ *  - a short-lived JWT access token ({ id, sid }) sent as the `token` cookie or a Bearer header
+ *  - a random refresh token (`refreshToken` cookie) that gets a new access token.
+ *    It is replaced every time it is used, and reusing a replaced token revokes the session.
+ * Only a hash of the refresh token is stored. The access token is only accepted
+ * while its session is active, so revoking a session logs that device out.
+ * Revocations are announced on `events` ('revoked') so open sockets can be closed too.
+ */
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const config = require('../config/auth.config');
+const Session = require('../models/session.model');
+
+const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// A request that raced a rotation may still present the token it replaced for this long
+const ROTATION_GRACE_SECONDS = 30;
+
+const ACCESS_COOKIE = 'token';
+const REFRESH_COOKIE = 'refreshToken';
+
+// Emits 'revoked' with { sessionId } or { userId, except } after sessions are revoked
+const events = new EventEmitter();
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} token - Refresh token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Sign an access token for a session
+ * @param {Object} session - Session document
+ * @returns {string}
+ */
+const signAccessToken = (session) => {
+  return jwt.sign(
+    { id: session.user.toString(), sid: session._id.toString() },
+    config.secret,
+    { expiresIn: ACCESS_TOKEN_MINUTES * 60 }
+  );
+};
+
+/**
+ * Device details recorded with a session
+ * @param {Object} req - Express request object
+ * @returns {Object} - { userAgent, ipAddress }
+ */
+const requestMetadata = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ipAddress: req.ip
+});
+
+/**
+ * Start a session for a user who just logged in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @param {Object} options - { deviceName }
+ * @returns {Promise<Object>} - { session, accessToken, refreshToken }
+ */
+const createSession = async (user, req, { deviceName } = {}) => {
+  const refreshToken = newRefreshToken();
+  const { userAgent, ipAddress } = requestMetadata(req);
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: typeof deviceName === 'string' ? deviceName.slice(0, 100) : undefined,
+    userAgent,
+    ipAddress,
+    lastIpAddress: ipAddress,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, accessToken: signAccessToken(session), refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Current refresh token
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - { success, message, session, accessToken, refreshToken }.
+ *   refreshToken is null when a racing request already rotated it.
+ */
+const refreshSession = async (refreshToken, req) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return { success: false, message: 'Refresh token is required' };
+  }
+
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+  const replacement = newRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(replacement),
+        previousRefreshTokenHash: tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        lastIpAddress: req.ip
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { success: true, session, accessToken: signAccessToken(session), refreshToken: replacement };
+  }
+
+  const rotated = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+  if (!rotated || rotated.revokedAt || rotated.expiresAt <= now) {
+    return { success: false, message: 'Your session has expired. Please log in again.' };
+  }
+
+  if (now - rotated.rotatedAt <= ROTATION_GRACE_SECONDS * 1000) {
+    return { success: true, session: rotated, accessToken: signAccessToken(rotated), refreshToken: null };
+  }
+
+  // An old refresh token came back: someone else may hold a copy, so end the session
+  await revokeSession(rotated._id, rotated.user, 'token-reuse');
+  return { success: false, message: 'Your session has expired. Please log in again.' };
+};
+
+/**
+ * The active session an access token belongs to
+ * @param {Object} decoded - Verified access token payload
+ * @returns {Promise<Object|null>} - Session document
+ */
+const findActiveSession = async (decoded) => {
+  if (!decoded || !decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    return null;
+  }
+
+  return Session.findOne({
+    _id: decoded.sid,
+    user: decoded.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>}
+ */
+const listSessions = (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('-refreshTokenHash -previousRefreshTokenHash')
+    .sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Owner of the session
+ * @param {string} reason - Why it was revoked
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, userId, reason = 'user') => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  events.emit('revoked', { sessionId: sessionId.toString() });
+  return true;
+};
+
+/**
+ * Revoke all of a user's sessions
+ * @param {string} userId - User ID
+ * @param {Object} options - { except: session ID to keep, reason }
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, { except, reason = 'user' } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  if (result.modifiedCount > 0) {
+    events.emit('revoked', { userId: userId.toString(), except: except ? except.toString() : null });
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke the session a refresh token belongs to, e.g. on logout
+ * @param {string} refreshToken - Refresh token
+ * @param {string} reason - Why it was revoked
+ * @returns {Promise<boolean>}
+ */
+const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return false;
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOneAndUpdate(
+    { $or: [{ refreshTokenHash: tokenHash }, { previousRefreshTokenHash: tokenHash }], revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  if (!session) {
+    return false;
+  }
+
+  events.emit('revoked', { sessionId: session._id.toString() });
+  return true;
+};
+
+const cookieOptions = (maxAge) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  maxAge,
+  sameSite: 'lax',
+  path: '/'
+});
+
+/**
+ * Set the auth cookies. The refresh cookie is left as is when no new refresh token was issued.
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - { accessToken, refreshToken }
+ */
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie(ACCESS_COOKIE, accessToken, cookieOptions(ACCESS_TOKEN_MINUTES * 60 * 1000));
+  if (refreshToken) {
+    res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000));
+  }
+};
+
+/**
+ * Remove the auth cookies
+ * @param {Object} res - Express response object
+ */
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE, { path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { path: '/' });
+};
+
+/**
+ * Session details safe to show the user
+ * @param {Object} session - Session document
+ * @param {string} currentSessionId - Session of the request, marked as current
+ * @returns {Object}
+ */
+const toSessionResponse = (session, currentSessionId) => ({
+  id: session._id,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  lastIpAddress: session.lastIpAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+});
+
+module.exports = {
+  ACCESS_TOKEN_MINUTES,
+  REFRESH_TOKEN_DAYS,
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  events,
+  hashToken,
+  signAccessToken,
+  createSession,
+  refreshSession,
+  findActiveSession,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+  revokeByRefreshToken,
+  setAuthCookies,
+  clearAuthCookies,
+  toSessionResponse
+};
@@ -0,0 +1,155 @@
+/**
+ * Site Roles
+ * Site-wide roles ("user", "moderator", "admin") are Role documents
+ * referenced from `User.roles`. Unlike group roles they apply everywhere,
+ * e.g. moderators and admins may edit or remove any marketplace listing.
+ * Everyone gets the "user" role when they sign up; admins grant and revoke
+ * the others, and `node create-admin.js` makes the first admin.
+ */
+const Role = require('../models/role.model');
+const User = require('../models/user.model');
+
+const SITE_ROLES = ['user', 'moderator', 'admin'];
+const DEFAULT_ROLE = 'user';
+
+/**
+ * Make sure a Role document exists for every site role
+ * @returns {Promise<Object>} - Role documents by name
+ */
+const ensureRoles = async () => {
+  const roles = {};
+  for (const name of SITE_ROLES) {
+    roles[name] = await Role.findOneAndUpdate(
+      { name },
+      { $setOnInsert: { name } },
+      { upsert: true, new: true }
+    );
+  }
+  return roles;
+};
+
+/**
+ * The Role document for a site role
+ * @param {string} name - One of SITE_ROLES
+ * @returns {Promise<Object|null>}
+ */
+const getRole = async (name) => {
+  if (!SITE_ROLES.includes(name)) {
+    return null;
+  }
+  return (await Role.findOne({ name })) || (await ensureRoles())[name];
+};
+
+/**
+ * Give the default role to users who have no roles, e.g. accounts created before roles were assigned
+ * @returns {Promise<number>} - Number of users updated
+ */
+const assignDefaultRoleToAll = async () => {
+  const role = await getRole(DEFAULT_ROLE);
+  const result = await User.updateMany(
+    { $or: [{ roles: { $exists: false } }, { roles: { $size: 0 } }] },
+    { $set: { roles: [role._id] } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Names of the roles a user holds
+ * @param {Object} user - User document; roles may be ObjectIds or populated Role documents
+ * @returns {Promise<Array<string>>}
+ */
+const getRoleNames = async (user) => {
+  const roles = (user && user.roles) || [];
+  if (roles.length === 0) {
+    return [];
+  }
+
+  if (roles.every(role => role && role.name)) {
+    return roles.map(role => role.name);
+  }
+
+  const found = await Role.find({ _id: { $in: roles.map(role => role._id || role) } }).select('name');
+  return found.map(role => role.name);
+};
+
+/**
+ * Check whether a user holds any of the given site roles
+ * @param {Object} user - User document
+ * @param {...string} names - Role names
+ * @returns {Promise<boolean>}
+ */
+const hasRole = async (user, ...names) => {
+  const roleNames = await getRoleNames(user);
+  return roleNames.some(name => names.includes(name));
+};
+
+/**
+ * Check whether a user is a site moderator or admin
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+const isModeratorOrAdmin = (user) => hasRole(user, 'moderator', 'admin');
+
+/**
+ * Give a user a site role
+ * @param {string} userId - User ID
+ * @param {string} name - One of SITE_ROLES
+ * @returns {Promise<Object>} - { success, message, roles }
+ */
+const grantRole = async (userId, name) => {
+  const role = await getRole(name);
+  if (!role) {
+    return { success: false, message: `Unknown role "${name}". Use one of: ${SITE_ROLES.join(', ')}` };
+  }
+
+  const user = await User.findByIdAndUpdate(userId, { $addToSet: { roles: role._id } }, { new: true });
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+
+  return { success: true, message: `Granted the ${name} role`, roles: await getRoleNames(user) };
+};
+
+/**
+ * Take a site role away from a user. The last admin keeps the admin role.
+ * @param {string} userId - User ID
+ * @param {string} name - One of SITE_ROLES
+ * @returns {Promise<Object>} - { success, message, roles }
+ */
+const revokeRole = async (userId, name) => {
+  const role = await getRole(name);
+  if (!role) {
+    return { success: false, message: `Unknown role "${name}". Use one of: ${SITE_ROLES.join(', ')}` };
+  }
+
+  // The user as it was before the update
+  const user = await User.findByIdAndUpdate(userId, { $pull: { roles: role._id } }, { new: false });
+  if (!user) {
+    return { success: false, message: 'User not found' };
+  }
+  const hadRole = user.roles.some(id => id.equals(role._id));
+
+  // Counting admins first would let two admins revoke each other at the same
+  // time; revoke first and give the role back if nobody is left holding it
+  if (name === 'admin' && hadRole && !(await User.exists({ roles: role._id }))) {
+    await User.updateOne({ _id: userId }, { $addToSet: { roles: role._id } });
+    return { success: false, message: 'The site needs at least one admin' };
+  }
+
+  user.roles = user.roles.filter(id => !id.equals(role._id));
+
+  return { success: true, message: `Revoked the ${name} role`, roles: await getRoleNames(user) };
+};
+
+module.exports = {
+  SITE_ROLES,
+  DEFAULT_ROLE,
+  ensureRoles,
+  getRole,
+  assignDefaultRoleToAll,
+  getRoleNames,
+  hasRole,
+  isModeratorOrAdmin,
+  grantRole,
+  revokeRole
+};
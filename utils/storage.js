@@ -0,0 +1,309 @@
+/**
+ * Storage
+ * Saves uploaded media through a pluggable driver chosen with STORAGE_DRIVER:
+ *  - local: files on disk (default). Public files go under STORAGE_LOCAL_DIR
+ *    (default public/uploads, served at STORAGE_PUBLIC_URL, default /uploads);
+ *    private files go under STORAGE_PRIVATE_DIR (default data/private-uploads)
+ *    and are only reachable through signed /media URLs.
+ *  - s3: any S3-compatible bucket (S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID,
+ *    S3_SECRET_ACCESS_KEY). Set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true for
+ *    MinIO and similar servers. Public files are linked through S3_PUBLIC_URL
+ *    (default the bucket's own URL), which the bucket policy must allow.
+ * Files are addressed by keys such as "marketplace/<id>-full.webp". Public
+ * files are stored in the database by URL, private ones by key, and
+ * `signedUrl` gives time-limited access to either. Tests can swap in their
+ * own driver with `setDriver`.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/auth.config');
+
+const DEFAULT_SIGNED_URL_SECONDS = 15 * 60;
+
+/**
+ * Check that a key is a relative path with no way out of the storage root
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+const isSafeKey = (key) => {
+  if (typeof key !== 'string' || key.length === 0 || key.length > 512) {
+    return false;
+  }
+  return key.split('/').every(part => part.length > 0 && part !== '.' && part !== '..' && !part.includes('\\'));
+};
+
+/**
+ * Helper function to reject unsafe keys before they reach a driver
+ * @returns {string}
+ */
+const checkKey = (key) => {
+  if (!isSafeKey(key)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return key;
+};
+
+/**
+ * HMAC for a local signed URL
+ * @returns {string}
+ */
+const signLocal = (key, expires) => {
+  const secret = process.env.STORAGE_SIGNING_SECRET || config.secret;
+  return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+};
+
+const drivers = {
+  local: () => {
+    const publicDir = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'public', 'uploads'));
+    const privateDir = path.resolve(process.env.STORAGE_PRIVATE_DIR || path.join(__dirname, '..', 'data', 'private-uploads'));
+    const publicBase = (process.env.STORAGE_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+
+    const filePath = (key, visibility = 'public') =>
+      path.join(visibility === 'private' ? privateDir : publicDir, checkKey(key));
+
+    // Private files first, so a public file can't shadow one
+    const findFile = async (key) => {
+      for (const visibility of ['private', 'public']) {
+        const file = filePath(key, visibility);
+        if (await fs.promises.access(file).then(() => true, () => false)) {
+          return file;
+        }
+      }
+      return null;
+    };
+
+    return {
+      name: 'local',
+      save: async (key, buffer, { visibility = 'public' } = {}) => {
+        const file = filePath(key, visibility);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+      },
+      remove: async (key) => {
+        for (const visibility of ['private', 'public']) {
+          await fs.promises.unlink(filePath(key, visibility)).catch(err => {
+            if (err.code !== 'ENOENT') throw err;
+          });
+        }
+      },
+      exists: async (key) => (await findFile(key)) !== null,
+      read: async (key) => {
+        const file = await findFile(key);
+        return file ? fs.createReadStream(file) : null;
+      },
+      publicUrl: (key) => `${publicBase}/${checkKey(key)}`,
+      keyFromUrl: (url) => {
+        // Uploads saved before the storage layer stored "public/uploads/..." paths
+        const value = String(url || '').replace(/^public\/uploads\//, `${publicBase}/`);
+        return value.startsWith(`${publicBase}/`) ? value.slice(publicBase.length + 1) : null;
+      },
+      signedUrl: async (key, { expiresIn = DEFAULT_SIGNED_URL_SECONDS } = {}) => {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const encodedKey = checkKey(key).split('/').map(encodeURIComponent).join('/');
+        return `/media/${encodedKey}?expires=${expires}&signature=${signLocal(key, expires)}`;
+      }
+    };
+  },
+
+  s3: () => {
+    const { S3Client, PutObjectCommand, DeleteObjectCommand, HeadObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const region = process.env.S3_REGION || 'us-east-1';
+    const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true';
+    const client = new S3Client({
+      region,
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle,
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+
+    let publicBase = process.env.S3_PUBLIC_URL;
+    if (!publicBase) {
+      const endpoint = (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+      publicBase = forcePathStyle || process.env.S3_ENDPOINT
+        ? `${endpoint}/${bucket}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`;
+    }
+    publicBase = publicBase.replace(/\/$/, '');
+
+    return {
+      name: 's3',
+      save: async (key, buffer, { contentType } = {}) => {
+        await client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: checkKey(key),
+          Body: buffer,
+          ContentType: contentType
+        }));
+      },
+      remove: async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: checkKey(key) }));
+      },
+      exists: async (key) => {
+        try {
+          await client.send(new HeadObjectCommand({ Bucket: bucket, Key: checkKey(key) }));
+          return true;
+        } catch (err) {
+          if (err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404)) {
+            return false;
+          }
+          throw err;
+        }
+      },
+      read: async (key) => {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: checkKey(key) }));
+        return result.Body;
+      },
+      publicUrl: (key) => `${publicBase}/${checkKey(key)}`,
+      keyFromUrl: (url) => {
+        const value = String(url || '');
+        return value.startsWith(`${publicBase}/`) ? value.slice(publicBase.length + 1) : null;
+      },
+      signedUrl: (key, { expiresIn = DEFAULT_SIGNED_URL_SECONDS, download } = {}) => {
+        return getSignedUrl(client, new GetObjectCommand({
+          Bucket: bucket,
+          Key: checkKey(key),
+          ResponseContentDisposition: download ? `attachment; filename="${path.basename(key)}"` : undefined
+        }), { expiresIn });
+      }
+    };
+  }
+};
+
+let activeDriver = null;
+
+/**
+ * The driver configured for this process
+ * @returns {Object} - { name, save, remove, exists, read, publicUrl, keyFromUrl, signedUrl }
+ */
+const getDriver = () => {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver "${name}". Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    activeDriver = drivers[name]();
+  }
+  return activeDriver;
+};
+
+/**
+ * Replace the driver, e.g. with an in-memory one in tests
+ * @param {Object|string|null} driver - A driver object, a built-in driver name, or null to reset
+ */
+const setDriver = (driver) => {
+  activeDriver = typeof driver === 'string' ? drivers[driver]() : driver;
+};
+
+/**
+ * Store a file
+ * @param {string} key - Where to store it, e.g. "marketplace/abc-full.webp"
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { contentType, visibility: 'public' (default) or 'private' }
+ * @returns {Promise<Object>} - { key, url } where url is null for private files
+ */
+const save = async (key, buffer, options = {}) => {
+  const driver = getDriver();
+  await driver.save(checkKey(key), buffer, options);
+  return {
+    key,
+    url: options.visibility === 'private' ? null : driver.publicUrl(key)
+  };
+};
+
+/**
+ * Key of a stored file from its key or public URL
+ * @param {string} keyOrUrl - Storage key or public URL
+ * @returns {string|null} - null for URLs this storage didn't produce
+ */
+const toKey = (keyOrUrl) => {
+  const key = getDriver().keyFromUrl(keyOrUrl) || keyOrUrl;
+  return isSafeKey(key) && !/^[a-z]+:/i.test(key) ? key : null;
+};
+
+/**
+ * Delete stored files. Files that are already gone, and URLs that aren't ours, are skipped.
+ * @param {Array<string>} keysOrUrls - Storage keys or public URLs
+ * @returns {Promise<void>}
+ */
+const remove = async (keysOrUrls = []) => {
+  const driver = getDriver();
+  const keys = [...new Set(keysOrUrls.map(toKey).filter(Boolean))];
+
+  await Promise.all(keys.map(key => driver.remove(key).catch(err => {
+    console.error(`Error deleting stored file ${key}:`, err.message);
+  })));
+};
+
+/**
+ * Check whether a stored file is still there
+ * @param {string} keyOrUrl - Storage key or public URL
+ * @returns {Promise<boolean>}
+ */
+const exists = async (keyOrUrl) => {
+  const key = toKey(keyOrUrl);
+  return key ? getDriver().exists(key) : false;
+};
+
+/**
+ * Public URL of a stored file
+ * @param {string} key - Storage key
+ * @returns {string}
+ */
+const publicUrl = (key) => getDriver().publicUrl(key);
+
+/**
+ * Time-limited URL for a stored file, public or private
+ * @param {string} key - Storage key
+ * @param {Object} options - { expiresIn: seconds (default 15 minutes), download: ask the browser to save it }
+ * @returns {Promise<string>}
+ */
+const signedUrl = (key, options = {}) => getDriver().signedUrl(checkKey(key), options);
+
+/**
+ * Check a local signed URL's expiry and signature
+ * @param {string} key - Storage key from the URL path
+ * @param {Object} query - { expires, signature }
+ * @returns {boolean}
+ */
+const verifySignature = (key, { expires, signature } = {}) => {
+  if (!isSafeKey(key) || !/^\d+$/.test(String(expires)) || typeof signature !== 'string') {
+    return false;
+  }
+  if (Number(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+  const expected = Buffer.from(signLocal(key, expires));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Stream a stored file's contents
+ * @param {string} key - Storage key
+ * @returns {Promise<Object|null>} - Readable stream, or null if it doesn't exist
+ */
+const read = (key) => getDriver().read(checkKey(key));
+
+module.exports = {
+  getDriver,
+  setDriver,
+  isSafeKey,
+  save,
+  remove,
+  exists,
+  toKey,
+  publicUrl,
+  signedUrl,
+  verifySignature,
+  read
+};
@@ -0,0 +1,394 @@
+/**
+ * Two-Factor Authentication
+ * Time-based one-time passwords (TOTP, RFC 6238: SHA-1, 6 digits, 30 second
+ * steps) that work with common authenticator apps, plus one-time recovery
+ * codes for when the app is lost. The TOTP secret is stored encrypted with
+ * AES-256-GCM and recovery codes only as SHA-256 hashes.
+ *
+ * Setup: `startSetup` stores a pending secret and returns its otpauth:// URI;
+ * `enable` activates it once the user confirms a code and returns recovery codes.
+ * Login: after the password, `issueLoginChallenge` hands out a short-lived
+ * token that `verifyLoginChallenge` exchanges, together with a code, for a session.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/auth.config');
+const User = require('../models/user.model');
+const Group = require('../models/group.model');
+const { isGroupAdmin } = require('./groupPermissions');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'FreshShare';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted to allow for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_MINUTES = 5;
+const LOGIN_CHALLENGE_PURPOSE = 'two-factor-login';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding), the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string; spaces, dashes and padding are ignored
+ * @param {string} input - Base32 text
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * A new random TOTP secret
+ * @returns {string} - Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * The TOTP code for a time step (RFC 4226 HOTP with the step as the counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string}
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * The time step for a moment
+ * @param {Date} now - Time
+ * @returns {number}
+ */
+const timeStep = (now = new Date()) => Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+
+/**
+ * Check a code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed
+ * @param {Object} options - { lastUsedStep: steps up to this one are refused, now }
+ * @returns {number|null} - The matching time step, or null
+ */
+const verifyCode = (secret, code, { lastUsedStep, now = new Date() } = {}) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) {
+    return null;
+  }
+
+  const current = timeStep(now);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (lastUsedStep != null && step <= lastUsedStep) {
+      continue;
+    }
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(clean))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for adding the account to an authenticator app (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app, e.g. the email address
+ * @returns {string}
+ */
+const provisioningUri = (secret, accountName) => {
+  const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const encryptionKey = () => {
+  return crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || config.secret).digest();
+};
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} - iv:tag:ciphertext, hex encoded
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} - Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Hash a recovery code, ignoring case, spaces and dashes
+ * @param {string} code - Recovery code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => {
+  const clean = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+};
+
+/**
+ * New recovery codes, e.g. "k3d9x-7fq2m"
+ * @returns {Object} - { codes: shown to the user once, recoveryCodes: hashes to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = base32Encode(crypto.randomBytes(7)).toLowerCase().slice(0, 10);
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+  return {
+    codes,
+    recoveryCodes: codes.map(code => ({ codeHash: hashRecoveryCode(code) }))
+  };
+};
+
+/**
+ * Start setting up 2FA: store a pending secret until the user confirms a code from it
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { secret, uri }
+ */
+const startSetup = async (user) => {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+  return { secret, uri: provisioningUri(secret, user.email || user.username) };
+};
+
+/**
+ * Turn 2FA on with a code from the pending secret
+ * @param {Object} user - User document
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Object>} - { success, message, recoveryCodes }
+ */
+const enable = async (user, code) => {
+  const twoFactor = user.twoFactor || {};
+  if (twoFactor.enabled) {
+    return { success: false, message: 'Two-factor authentication is already on' };
+  }
+  if (!twoFactor.pendingSecret) {
+    return { success: false, message: 'Start two-factor setup first' };
+  }
+
+  const secret = decryptSecret(twoFactor.pendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    return { success: false, message: 'The code is not valid' };
+  }
+
+  const { codes, recoveryCodes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': twoFactor.pendingSecret,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.recoveryCodes': recoveryCodes
+    },
+    $unset: { 'twoFactor.pendingSecret': '' }
+  });
+
+  return { success: true, message: 'Two-factor authentication is on', recoveryCodes: codes };
+};
+
+/**
+ * Check a code or recovery code for a user with 2FA on. Each code works only once.
+ * @param {Object} user - User document
+ * @param {Object} input - { code } from the authenticator app, or { recoveryCode }
+ * @returns {Promise<Object>} - { success, message, method, recoveryCodesRemaining }
+ */
+const verify = async (user, { code, recoveryCode } = {}) => {
+  const twoFactor = user.twoFactor || {};
+  if (!twoFactor.enabled || !twoFactor.secret) {
+    return { success: false, message: 'Two-factor authentication is not on' };
+  }
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.recoveryCodes': { $elemMatch: { codeHash: hashRecoveryCode(recoveryCode), usedAt: null } }
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    if (result.modifiedCount === 0) {
+      return { success: false, message: 'The recovery code is not valid' };
+    }
+
+    const remaining = twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length - 1;
+    return { success: true, method: 'recovery-code', recoveryCodesRemaining: remaining };
+  }
+
+  const step = verifyCode(decryptSecret(twoFactor.secret), code, { lastUsedStep: twoFactor.lastUsedStep });
+  if (step === null) {
+    return { success: false, message: 'The code is not valid' };
+  }
+
+  // Only the first request with this code gets through
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (result.modifiedCount === 0) {
+    return { success: false, message: 'The code is not valid' };
+  }
+
+  return {
+    success: true,
+    method: 'totp',
+    recoveryCodesRemaining: twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length
+  };
+};
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const disable = async (user) => {
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.enabled': false, 'twoFactor.recoveryCodes': [] },
+    $unset: {
+      'twoFactor.secret': '',
+      'twoFactor.pendingSecret': '',
+      'twoFactor.enabledAt': '',
+      'twoFactor.lastUsedStep': ''
+    }
+  });
+};
+
+/**
+ * Replace all recovery codes
+ * @param {Object} user - User document
+ * @returns {Promise<Array<string>>} - The new codes
+ */
+const regenerateRecoveryCodes = async (user) => {
+  const { codes, recoveryCodes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes } });
+  return codes;
+};
+
+/**
+ * Token for the second login step, given once the password was right
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+const issueLoginChallenge = (user) => {
+  return jwt.sign(
+    { id: user._id.toString(), purpose: LOGIN_CHALLENGE_PURPOSE },
+    config.secret,
+    { expiresIn: LOGIN_CHALLENGE_MINUTES * 60 }
+  );
+};
+
+/**
+ * The user a second-step login token was issued to
+ * @param {string} token - Token from issueLoginChallenge
+ * @returns {string|null} - User ID, or null if the token is invalid or expired
+ */
+const verifyLoginChallenge = (token) => {
+  try {
+    const payload = jwt.verify(token, config.secret);
+    return payload.purpose === LOGIN_CHALLENGE_PURPOSE ? payload.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Groups that require 2FA and where the user is the owner or an admin
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} - Groups with their name
+ */
+const groupsRequiringTwoFactor = async (userId) => {
+  const groups = await Group.find({
+    'rules.requireAdminTwoFactor': true,
+    $or: [{ owner: userId }, { createdBy: userId }, { admins: userId }]
+  }).select('name owner createdBy admins members');
+
+  return groups.filter(group => isGroupAdmin(group, userId));
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  provisioningUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  startSetup,
+  enable,
+  verify,
+  disable,
+  regenerateRecoveryCodes,
+  issueLoginChallenge,
+  verifyLoginChallenge,
+  groupsRequiringTwoFactor
+};